@@ -0,0 +1,44 @@
+// Fill the `timezone` column of public/airports.csv from each airport's
+// coordinates, using geo-tz's time zone boundaries (built from OpenStreetMap by
+// timezone-boundary-builder). Airports outside any land zone get the nautical
+// Etc/GMT±N zone for their longitude. Rows whose coordinates aren't valid
+// latitudes and longitudes are dropped, since they can't be placed on the map
+// or in a zone either.
+//
+// Run with `npm run airports:timezones` after updating airports.csv.
+
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const { find } = require('geo-tz/all');
+
+const AIRPORTS_PATH = path.join(__dirname, '..', 'public', 'airports.csv');
+
+const isValidCoordinate = (latitude, longitude) => (
+  Number.isFinite(latitude) && Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180
+);
+
+const { data, errors } = Papa.parse(fs.readFileSync(AIRPORTS_PATH, 'utf8'), { header: true, skipEmptyLines: true });
+if (errors.length > 0) {
+  throw new Error(`Failed to parse ${AIRPORTS_PATH}: ${errors[0].message}`);
+}
+
+const rows = [];
+data.forEach(airport => {
+  const latitude = parseFloat(airport.latitude);
+  const longitude = parseFloat(airport.longitude);
+  if (!isValidCoordinate(latitude, longitude)) {
+    console.warn(`Dropping ${airport.airport_ident}: invalid coordinates ${airport.latitude}, ${airport.longitude}`);
+    return;
+  }
+  rows.push({
+    airport_ident: airport.airport_ident,
+    latitude: airport.latitude,
+    longitude: airport.longitude,
+    timezone: find(latitude, longitude)[0] || '',
+  });
+});
+
+fs.writeFileSync(AIRPORTS_PATH, `${Papa.unparse(rows, { newline: '\n' })}\n`);
+console.log(`Wrote time zones for ${rows.length} airports to ${AIRPORTS_PATH}`);
@@ -0,0 +1,61 @@
+import React from 'react';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+
+// Cell shading scales with the busiest slot; empty slots stay transparent
+const getCellStyle = (count, max) => (
+  count > 0 ? { backgroundColor: `rgba(0, 230, 255, ${(0.12 + 0.88 * (count / max)).toFixed(3)})` } : undefined
+);
+
+// Landings by day of week and hour of day as a 7x24 grid
+// (data[dayOfWeek][hour], Sunday first). Clicking a cell calls
+// onCellClick({ weekday, hour }); selectedCell is highlighted.
+const ActivityHeatmap = ({ title, data, label, selectedCell, onCellClick }) => {
+  const max = Math.max(0, ...data.flat());
+  if (max === 0) {
+    return <div className="chart-placeholder">No data to display for "{title}"</div>;
+  }
+
+  return (
+    <div className="activity-heatmap">
+      <h2>{title}</h2>
+      <table>
+        <thead>
+          <tr>
+            <th aria-hidden="true"></th>
+            {HOUR_LABELS.map(hour => <th key={hour} scope="col">{hour}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {data.map((hours, weekday) => (
+            <tr key={DAY_LABELS[weekday]}>
+              <th scope="row">{DAY_LABELS[weekday]}</th>
+              {hours.map((count, hour) => {
+                const isSelected = selectedCell?.weekday === weekday && selectedCell?.hour === hour;
+                const description = `${DAY_LABELS[weekday]} ${HOUR_LABELS[hour]}:00: ${count.toLocaleString()} ${label}`;
+                return (
+                  <td key={hour} className={isSelected ? 'selected' : undefined} style={getCellStyle(count, max)}>
+                    <button
+                      onClick={() => onCellClick({ weekday, hour })}
+                      title={description}
+                      aria-label={description}
+                      aria-pressed={isSelected}
+                    />
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="activity-heatmap-scale">
+        <span>0</span>
+        <span className="activity-heatmap-gradient" aria-hidden="true" />
+        <span>{max.toLocaleString()} {label}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
@@ -0,0 +1,179 @@
+import React, { useState, useMemo } from 'react';
+import { ModalOverlay, Modal, Dialog, Heading } from 'react-aria-components';
+import {
+  AIRCRAFT_KINDS,
+  findAircraftFlights,
+  summarizeAircraftFlights,
+  formatDuration
+} from './dataUtils';
+import { formatTimeAt, getDateKey, getLandingTimeZone } from './timeUtils';
+import { getAdsbExchangeLink } from './adsbExchange';
+import { isEstimatedLeg } from './durationUtils';
+import MapView from './MapView';
+import BarChart from './BarChart';
+
+const LEGS_PER_PAGE = 50;
+const ignoreMapClick = () => {}; // The detail map has no filters to change
+const NO_SELECTION = []; // Stable empty selection for the detail map
+
+// Detail view for one airframe, opened from a registration, callsign or ICAO
+// hex. `aircraft` is { kind, value } (see AIRCRAFT_KINDS); `flights` is the whole
+// loaded dataset. A callsign or registration flown by several airframes lists
+// them so one can be picked (onSelectAircraft is called with { kind: 'icao', value }).
+// Times and days are shown in the time basis (see timeUtils.js).
+const AircraftDetail = ({ aircraft, flights, aircraftDataMap, timeBasis, onSelectAircraft, onClose }) => {
+  const [page, setPage] = useState(1);
+
+  const legs = useMemo(() => findAircraftFlights(flights || [], aircraft), [flights, aircraft]);
+  const summary = useMemo(() => summarizeAircraftFlights(legs, timeBasis), [legs, timeBasis]);
+
+  const primaryIcao = summary.icaos.length > 0 ? summary.icaos[0][0] : null;
+  const aircraftInfo = primaryIcao ? aircraftDataMap.get(primaryIcao) : null;
+  const registrations = summary.registrations.map(([registration]) => registration);
+  const title = aircraft.kind === 'icao' && registrations.length > 0
+    ? `${registrations[0]} (${aircraft.value.toLowerCase()})`
+    : `${AIRCRAFT_KINDS[aircraft.kind]} ${aircraft.value}`;
+
+  const totalPages = Math.max(1, Math.ceil(legs.length / LEGS_PER_PAGE));
+  const currentPage = Math.min(page, totalPages);
+  const pageStart = (currentPage - 1) * LEGS_PER_PAGE;
+  const pageLegs = legs.slice(pageStart, pageStart + LEGS_PER_PAGE);
+
+  return (
+    <ModalOverlay
+      className="modal-overlay"
+      isOpen
+      isDismissable
+      onOpenChange={(isOpen) => { if (!isOpen) onClose(); }}
+    >
+      <Modal className="modal aircraft-detail-modal">
+        <Dialog className="aircraft-detail" aria-label={`Aircraft ${title}`}>
+          <div className="aircraft-detail-header">
+            <Heading slot="title">{title}</Heading>
+            <button className="stats-toggle-button" onClick={onClose}>Close</button>
+          </div>
+
+          {legs.length === 0 ? (
+            <p className="info-message">No legs found for {AIRCRAFT_KINDS[aircraft.kind]} {aircraft.value}.</p>
+          ) : (
+            <>
+              <div className="summary-stats aircraft-summary">
+                <p><strong>Legs:</strong> {legs.length.toLocaleString()} ({formatTimeAt(legs[0].landing_time, timeBasis, legs[0].destination)} – {formatTimeAt(legs[legs.length - 1].landing_time, timeBasis, legs[legs.length - 1].destination)})</p>
+                <p><strong>Manufacturer:</strong> {aircraftInfo?.Manufacturer || 'Unknown'}</p>
+                <p><strong>Type:</strong> {aircraftInfo?.Type || 'Unknown'}</p>
+                <p><strong>Owner:</strong> {aircraftInfo?.RegisteredOwners || 'Unknown'}</p>
+                {registrations.length > 0 && (
+                  <p><strong>Registrations:</strong> {registrations.join(', ')}</p>
+                )}
+                {summary.callsigns.length > 0 && (
+                  <p><strong>Callsigns:</strong> {summary.callsigns.map(([callsign, count]) => `${callsign} (${count})`).join(', ')}</p>
+                )}
+                {summary.icaos.length > 1 && (
+                  <div className="aircraft-airframes">
+                    <strong>Flown by {summary.icaos.length} airframes:</strong>
+                    <div className="top-items">
+                      {summary.icaos.map(([icao, count]) => (
+                        <button
+                          key={icao}
+                          className="top-item aircraft-link"
+                          onClick={() => onSelectAircraft({ kind: 'icao', value: icao })}
+                        >
+                          {icao}: {count.toLocaleString()}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                <div className="column-header"><strong>Most Visited Airports</strong></div>
+                <div className="top-items">
+                  {summary.topAirports.slice(0, 10).map(([airport, count]) => (
+                    <span key={airport} className="top-item">{airport}: {count.toLocaleString()}</span>
+                  ))}
+                </div>
+              </div>
+
+              <div className="aircraft-detail-charts">
+                <div className="chart-container">
+                  <BarChart
+                    title="Flights per Day"
+                    labels={summary.dailyLabels}
+                    data={summary.dailyCounts}
+                    label="Flights"
+                  />
+                </div>
+              </div>
+
+              <div className="map-section">
+                <h2>Routes</h2>
+                <MapView
+                  flightData={legs}
+                  selectedAirports={NO_SELECTION}
+                  selectedPairs={NO_SELECTION}
+                  onAirportClick={ignoreMapClick}
+                  onBackgroundClick={ignoreMapClick}
+                  filterLabel={title}
+                  timeBasis={timeBasis}
+                  aircraftDataMap={aircraftDataMap}
+                />
+              </div>
+
+              <div className="table-container aircraft-timeline">
+                <h3>Itinerary</h3>
+                {totalPages > 1 && (
+                  <div className="stats-pagination">
+                    <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 1}>
+                      Previous
+                    </button>
+                    <span className="page-info">Page {currentPage} of {totalPages}</span>
+                    <button onClick={() => setPage(currentPage + 1)} disabled={currentPage === totalPages}>
+                      Next
+                    </button>
+                  </div>
+                )}
+                <ol className="timeline">
+                  {pageLegs.map((leg, index) => {
+                    const legIndex = pageStart + index;
+                    const previous = legIndex > 0 ? legs[legIndex - 1] : null;
+                    const landingZone = getLandingTimeZone(leg, timeBasis);
+                    const isNewDay = index === 0 || getDateKey(previous.landing_time, getLandingTimeZone(previous, timeBasis)) !== getDateKey(leg.landing_time, landingZone);
+                    const groundTime = previous && leg.takeoff_time ? leg.takeoff_time - previous.landing_time : null;
+                    const adsbLink = getAdsbExchangeLink(leg);
+                    return (
+                      <li key={`${leg.landing_time.getTime()}-${legIndex}`} className="timeline-leg">
+                        {isNewDay && (
+                          <div className="timeline-day">{leg.landing_time.toLocaleDateString(undefined, { timeZone: landingZone, weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}</div>
+                        )}
+                        {previous && groundTime !== null && groundTime >= 0 && (
+                          <div className="timeline-ground">
+                            {previous.destination === leg.origin
+                              ? `On the ground at ${leg.origin} for ${formatDuration(groundTime)}`
+                              : `${formatDuration(groundTime)} later; last seen landing at ${previous.destination}`}
+                          </div>
+                        )}
+                        <div className="timeline-route">
+                          <span className="timeline-airports">{leg.origin || '?'} → {leg.destination}</span>
+                          <span className="timeline-times">
+                            {leg.takeoff_time ? formatTimeAt(leg.takeoff_time, timeBasis, leg.origin) : 'Takeoff unknown'} – {formatTimeAt(leg.landing_time, timeBasis, leg.destination)}
+                            {leg.takeoff_time ? ` (${formatDuration(leg.landing_time - leg.takeoff_time)}${isEstimatedLeg(leg) ? ', estimated' : ''})` : ''}
+                          </span>
+                          {leg.callsign && <span className="timeline-callsign">{leg.callsign}</span>}
+                          {adsbLink ? (
+                            <a href={adsbLink} target="_blank" rel="noopener noreferrer">ADSBx</a>
+                          ) : (
+                            <span>N/A</span>
+                          )}
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ol>
+              </div>
+            </>
+          )}
+        </Dialog>
+      </Modal>
+    </ModalOverlay>
+  );
+};
+
+export default AircraftDetail;
@@ -1,5 +1,4 @@
 import React, { useState, useCallback, useMemo, useRef, useEffect, Suspense } from 'react';
-import Papa from 'papaparse';
 import 'chartjs-adapter-date-fns';        // registers the adapter
 import { enUS } from 'date-fns/locale';
 import {
@@ -27,18 +26,12 @@ import {
   RangeCalendar,
   CalendarCell,
   CalendarGrid,
-  Heading,
-  ComboBox,
-  Input,
-  ListBox,
-  ListBoxItem,
-  Key
+  Heading
 } from 'react-aria-components';
 import {
   parseDate,
   parseAbsoluteToLocal, // Or parseZonedDateTime, parseAbsolute depending on timestamp format
   today,
-  getLocalTimeZone,
   CalendarDate,
   toCalendarDate
 } from '@internationalized/date';
@@ -46,11 +39,58 @@ import { I18nProvider } from '@react-aria/i18n';
 import MapView from './MapView';
 import FlightsTable from './FlightsTable';
 import './styles.css'; // Import the CSS file
-import { processInitialData, aggregateFlightData, getCalendarDate, formatDateTime } from './dataUtils';
+import { mergeFlightSources, aggregateFlightData, getDateBounds, filterFlights, filterHeatmapCellFlights, getDirectionAirports, AIRPORT_DIRECTIONS, DEFAULT_AIRPORT_DIRECTION, sumAirportCounts, mergeAirportCounts, getAircraftOperator, getOperatorIcaos, pickAircraftInfo, getFlightDateRange, formatDateTime, fetchAirportCoordinates, fetchDataFile } from './dataUtils';
+import { buildDataQualityReport } from './dataQuality';
+import { createDataWorker, useAggregationWorker, toWorkerFilters, isCancelledError } from './workerClient';
 import SummaryStatistics from './SummaryStatistics';
+import SourceFileList from './SourceFileList';
+import DataQualityPanel from './DataQualityPanel';
+import RecentDatasets from './RecentDatasets';
+import ExportMenu from './ExportMenu';
+import AircraftDetail from './AircraftDetail';
+import TripsPanel from './TripsPanel';
+import ItineraryPatterns, { DEFAULT_PATTERN_LENGTH, DEFAULT_PATTERN_LIMIT } from './ItineraryPatterns';
+import GroundTimePanel from './GroundTimePanel';
+import FlightDurationsPanel from './FlightDurationsPanel';
+import DistancePanel from './DistancePanel';
+import { buildDistanceSummary } from './distanceUtils';
+import { buildDurationModel } from './durationUtils';
+import { loadMaxGroundHours, storeMaxGroundHours } from './tripUtils';
+import { getExportTables } from './exportUtils';
+import { loadTimeZoneSetting, storeTimeZoneSetting, buildTimeBasis, getAirportTimeZones, describeTimeBasis } from './timeUtils';
+import TimeZonePicker from './TimeZonePicker';
+import {
+  isDatasetStoreAvailable,
+  listDatasets,
+  saveDataset,
+  loadDataset,
+  deleteDataset,
+  saveDatasetFilterState,
+  getStorageEstimate,
+  getDatasetName
+} from './datasetStore';
+import {
+  EMPTY_SELECTIONS,
+  hasSelections,
+  getSelectionNoun,
+  describeValues,
+  describeSelections,
+  serializeFilterState,
+  parseFilterState,
+  clampDateRange,
+  buildUrlSearch,
+  readUrlState,
+  normalizeUrlSearch
+} from './filterState';
+import ProgressPanel from './ProgressPanel';
+import ColumnMappingDialog from './ColumnMappingDialog';
+import { isEventFile } from './landingsTakeoffs';
+import { readCsvPreview, hasRequiredColumns, findColumnProfile, saveColumnProfile } from './columnMapping';
 // Import the extracted chart components
 import BarChart from './BarChart';
 import DualBarChart from './DualBarChart';
+import ActivityHeatmap from './ActivityHeatmap';
+import FilterTagInput from './FilterTagInput';
 import TimeSeriesChart from './TimeSeriesChart';
 
 ChartJS.register(
@@ -81,31 +121,103 @@ ChartJS.register(
 //   // ... (code moved)
 // };
 
+// Placeholders used until the worker returns its first results
+const emptyAggregate = aggregateFlightData([]);
+const emptyDistanceSummary = buildDistanceSummary([]);
+const emptyDurationModel = buildDurationModel([]);
+const EMPTY_LIST = [];
+
+const DURATION_MODEL_REQUEST = { type: 'durationModel' };
+
+// Tag input labels for the multi-select filters; the airports label follows the direction
+const SELECTION_INPUT_LABELS = {
+  origins: 'Origin Airports',
+  destinations: 'Destination Airports',
+  pairs: 'Airport Pairs (Origin-Dest)',
+  registrations: 'Registrations',
+  callsigns: 'Callsigns',
+  operators: 'Operators',
+};
+
+// Shift-, Ctrl- or Cmd-clicking a chart bar or map airport adds it to the selection
+const isAdditiveClick = (event) => Boolean(event && (event.shiftKey || event.ctrlKey || event.metaKey));
+
+const toggleValue = (values, value) => (
+  values.includes(value) ? values.filter(item => item !== value) : [...values, value]
+);
+
+// Pair the events of every event file source together in the worker (see
+// pairEventFiles) and give each of those sources its share of the legs. Each
+// source keeps the callsign filter it was loaded with.
+const pairEventSources = async (client, sources) => {
+  const eventSources = sources.filter(source => source.events);
+  if (eventSources.length === 0) return sources;
+  const task = client.run('pairEvents', {
+    eventLists: eventSources.map(source => source.events),
+    callsignFilters: eventSources.map(source => source.callsignFilter),
+  });
+  const legsByFile = await task.promise;
+  const legsBySource = new Map(eventSources.map((source, index) => [source, legsByFile[index]]));
+  return sources.map(source => {
+    const legs = legsBySource.get(source);
+    return legs ? { ...source, flights: legs, rowCount: legs.length } : source;
+  });
+};
+
 // --- Main App Component ---
 
 function App() {
-  const [initialData, setInitialData] = useState(null); // Holds rawFlights, earliestTime, latestTime
+  const [sources, setSources] = useState([]); // Loaded files: { id, name, rowCount, flights, rejectedRows }, plus { events, callsignFilter } for event files
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [selectedAirport, setSelectedAirport] = useState('all'); // Destination filter - Use Key type
-  const [selectedPair, setSelectedPair] = useState('none'); // Pair filter - Use Key type
+  const [selections, setSelections] = useState(EMPTY_SELECTIONS); // Multi-select filters (see SELECTION_FIELDS in filterState.js)
+  const [airportDirection, setAirportDirection] = useState(DEFAULT_AIRPORT_DIRECTION); // Whether the airport filter matches arrivals, departures or both
   const [dateRange, setDateRange] = useState(null); // Holds { start: DateValue, end: DateValue } or null
-  const [selectedFilename, setSelectedFilename] = useState(null); // Add this line to track filename
-  const fileInputRef = React.createRef();
+  const [callsignFilter, setCallsignFilter] = useState(''); // Optional regex applied to event files
+  const [selectedAircraft, setSelectedAircraft] = useState(null); // { kind, value } shown in the aircraft detail view
+  const [maxGroundHours, setMaxGroundHours] = useState(loadMaxGroundHours); // Longest stop within one trip
+  const [timeZoneSetting, setTimeZoneSetting] = useState(loadTimeZoneSetting); // 'local', 'airport' or an IANA zone
+  const [selectedPatternAirports, setSelectedPatternAirports] = useState(null); // Airports of the itinerary pattern whose legs the flights table shows
+  const [patternLength, setPatternLength] = useState(DEFAULT_PATTERN_LENGTH); // Airports per itinerary pattern
+  const [patternLimit, setPatternLimit] = useState(DEFAULT_PATTERN_LIMIT); // Itinerary patterns listed
+  const [selectedDayHour, setSelectedDayHour] = useState(null); // Heatmap cell { weekday, hour } the flights table is narrowed to
+  const nextSourceId = useRef(1);
+  const [parseProgress, setParseProgress] = useState(null); // { fileName, fileIndex, fileCount, rows, percent }
+  const [mappingRequest, setMappingRequest] = useState(null); // { fileName, headers, sampleRows, resolve }
+  const [currentDatasetId, setCurrentDatasetId] = useState(null); // Id of the loaded dataset in IndexedDB
+  const [recentDatasets, setRecentDatasets] = useState([]); // Stored dataset metadata, most recent first
+  const [storageEstimate, setStorageEstimate] = useState(null); // { usage, quota } in bytes
+  const restoredFiltersRef = useRef(null); // Filters to apply once a reopened dataset is merged
+  const lastSpanRef = useRef(null); // Date span of the merged dataset, to detect span changes
+  const [dataSource, setDataSource] = useState(null); // { url, callsign } when loaded from a ?data= link
+
+  // Filters from the page URL, applied to the first dataset that is loaded
+  const initialUrlState = useRef(null);
+  if (!initialUrlState.current) {
+    initialUrlState.current = readUrlState();
+  }
+  const urlFiltersRef = useRef(
+    initialUrlState.current.hasFilters ? parseFilterState(initialUrlState.current.filters) : null
+  );
+
+  // Worker used to parse uploaded files off the main thread
+  const parseClientRef = useRef(null);
+  if (!parseClientRef.current) {
+    parseClientRef.current = createDataWorker();
+  }
+  useEffect(() => {
+    const client = parseClientRef.current;
+    return () => client.terminate();
+  }, []);
+
+  // Merged, de-duplicated flights from all loaded files: rawFlights, earliestTime, latestTime
+  const initialData = useMemo(() => mergeFlightSources(sources), [sources]);
 
   // State for aircraft details fetched from aircraft.csv
   const [aircraftDataMap, setAircraftDataMap] = useState(new Map());
   const [isLoadingAircraft, setIsLoadingAircraft] = useState(true);
   const [aircraftDataError, setAircraftDataError] = useState(null);
 
-  // State for ComboBox input values
-  const [airportInputValue, setAirportInputValue] = useState('');
-  const [pairInputValue, setPairInputValue] = useState('');
-  
-  // Debounce timers for input changes
-  const airportInputTimer = useRef(null);
-  const pairInputTimer = useRef(null);
-
   // Fetch aircraft details from aircraft.csv on initial mount
   useEffect(() => {
     const fetchAircraftData = async () => {
@@ -123,6 +235,8 @@ function App() {
         const manufacturerIndex = header.indexOf('Manufacturer');
         const typeIndex = header.indexOf('Type');
         const ownerIndex = header.indexOf('RegisteredOwners');
+        const typeCodeIndex = header.indexOf('ICAOTypeCode'); // Optional, used for fuel burn estimates
+        const operatorCodeIndex = header.indexOf('OperatorFlagCode'); // Optional
 
         if (icaoIndex === -1 || manufacturerIndex === -1 || typeIndex === -1 || ownerIndex === -1) {
           console.error('Aircraft CSV header is missing required columns (icao, Manufacturer, Type, RegisteredOwners)');
@@ -140,6 +254,8 @@ function App() {
                 Manufacturer: values[manufacturerIndex],
                 Type: values[typeIndex],
                 RegisteredOwners: values[ownerIndex],
+                ICAOTypeCode: typeCodeIndex !== -1 ? values[typeCodeIndex] : '',
+                OperatorFlagCode: operatorCodeIndex !== -1 ? values[operatorCodeIndex] : '',
               });
             }
           } else if (lines[i].trim()) { // Only warn if line isn't just whitespace
@@ -158,6 +274,98 @@ function App() {
     fetchAircraftData();
   }, []); // Run only once on mount
 
+  // Airport coordinates, used by the data quality report to flag unknown codes
+  const [airportCoordinates, setAirportCoordinates] = useState(null);
+  useEffect(() => {
+    fetchAirportCoordinates()
+      .then(setAirportCoordinates)
+      .catch(err => console.error("Failed to load airport coordinates:", err));
+  }, []);
+
+  // Zone every date filter, aggregation, chart and table reads times in
+  const timeBasis = useMemo(
+    () => buildTimeBasis(timeZoneSetting, airportCoordinates),
+    [timeZoneSetting, airportCoordinates]
+  );
+
+  const handleTimeZoneChange = useCallback((setting) => {
+    setTimeZoneSetting(setting);
+    storeTimeZoneSetting(setting);
+  }, []);
+
+  // First and last landing dates of the merged dataset in the time basis
+  const dataDateRange = useMemo(
+    () => getFlightDateRange(initialData?.rawFlights, timeBasis),
+    [initialData?.rawFlights, timeBasis]
+  );
+
+  // Rejected rows from parsing plus suspicious rows in the loaded data
+  const qualityReport = useMemo(
+    () => (sources.length > 0 ? buildDataQualityReport(sources, airportCoordinates) : null),
+    [sources, airportCoordinates]
+  );
+
+  // --- Stored Datasets ---
+  const refreshRecentDatasets = useCallback(async () => {
+    if (!isDatasetStoreAvailable()) return;
+    try {
+      const [datasets, estimate] = await Promise.all([listDatasets(), getStorageEstimate()]);
+      setRecentDatasets(datasets);
+      setStorageEstimate(estimate);
+    } catch (err) {
+      console.error("Failed to list stored datasets:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshRecentDatasets();
+  }, [refreshRecentDatasets]);
+
+  // Store the given sources as a new dataset (datasetId = null) or as the new contents of an existing one
+  const persistSources = useCallback(async (nextSources, datasetId) => {
+    if (!isDatasetStoreAvailable()) return;
+    try {
+      const meta = await saveDataset({ id: datasetId, name: getDatasetName(nextSources), sources: nextSources });
+      setCurrentDatasetId(meta.id);
+    } catch (err) {
+      console.error("Failed to store dataset:", err);
+      setError(`Couldn't store the dataset in the browser: ${err.message}`);
+    }
+    refreshRecentDatasets();
+  }, [refreshRecentDatasets]);
+
+  const handleOpenDataset = useCallback(async (datasetId) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { meta, sources: storedSources } = await loadDataset(datasetId);
+      restoredFiltersRef.current = urlFiltersRef.current || parseFilterState(meta.filterState);
+      urlFiltersRef.current = null;
+      setSources(storedSources.map(source => ({ ...source, id: nextSourceId.current++ })));
+      setCurrentDatasetId(meta.id);
+      setDataSource(null);
+    } catch (err) {
+      console.error("Failed to open stored dataset:", err);
+      setError(`Failed to open stored dataset: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+    refreshRecentDatasets();
+  }, [refreshRecentDatasets]);
+
+  const handleDeleteDataset = useCallback(async (datasetId) => {
+    try {
+      await deleteDataset(datasetId);
+      if (datasetId === currentDatasetId) {
+        setCurrentDatasetId(null); // Keep the data on screen, but stop saving it
+      }
+    } catch (err) {
+      console.error("Failed to delete stored dataset:", err);
+      setError(`Failed to delete stored dataset: ${err.message}`);
+    }
+    refreshRecentDatasets();
+  }, [currentDatasetId, refreshRecentDatasets]);
+
   // Add error handler for ResizeObserver errors
   useEffect(() => {
     // Suppress ResizeObserver loop limit exceeded error
@@ -172,398 +380,660 @@ function App() {
     return () => window.removeEventListener('error', errorHandler);
   }, []);
 
-  const handleFileUpload = useCallback((event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // Ask the user to map a CSV's columns; resolves to the mapping, or null if cancelled
+  const requestColumnMapping = useCallback((preview) => new Promise((resolve) => {
+    setMappingRequest({ ...preview, resolve });
+  }), []);
+
+  const handleMappingConfirm = useCallback((mapping, profileName, signature) => {
+    if (profileName) {
+      saveColumnProfile({ name: profileName, signature, mapping });
+    }
+    mappingRequest.resolve(mapping);
+    setMappingRequest(null);
+  }, [mappingRequest]);
+
+  const handleMappingCancel = useCallback(() => {
+    mappingRequest.resolve(null);
+    setMappingRequest(null);
+  }, [mappingRequest]);
+
+  // Work out how a CSV's columns map onto the expected fields. Returns null if
+  // the file already uses the expected names, otherwise a saved profile's
+  // mapping for the same header signature or one chosen in the dialog.
+  const resolveColumnMapping = useCallback(async (file) => {
+    const preview = await readCsvPreview(file);
+    if (preview.headers.length === 0) {
+      throw new Error("CSV file is empty or invalid.");
+    }
+    if (hasRequiredColumns(preview.headers)) return null;
+
+    const profile = findColumnProfile(preview.headers);
+    if (profile) return profile.mapping;
+
+    const mapping = await requestColumnMapping({ fileName: file.name, ...preview });
+    if (!mapping) {
+      throw new Error("Column mapping was cancelled.");
+    }
+    return mapping;
+  }, [requestColumnMapping]);
+
+  // Parse and process the given files in the worker, either replacing or adding to the loaded sources.
+  // options: { callsignFilter (overrides the input box), dataSource ({ url, callsign } for ?data= links) }
+  const loadFiles = useCallback(async (fileList, append, options = {}) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
 
-    // Set the selected filename
-    setSelectedFilename(file.name);
-    
     setLoading(true);
     setError(null);
-    setInitialData(null); // Clear previous raw data
-    setSelectedAirport('all');
-    setSelectedPair('none');
-    setAirportInputValue(''); // Reset input values
-    setPairInputValue(''); // Reset input values
-    setDateRange(null); // Reset date filter temporarily
-
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        try {
-          if (!results.data || results.data.length === 0) {
-            throw new Error("CSV file is empty or invalid.");
-          }
-          const requiredColumns = ['takeoff_time', 'landing_time', 'icao', 'origin', 'destination'];
-          const optionalColumns = ['registration', 'callsign'];  // Add registration as optional field
-          const actualColumns = results.meta.fields.map(field => field ? field.trim() : '');
-          if (!requiredColumns.every(col => actualColumns.includes(col))) {
-             throw new Error(`CSV must include columns: ${requiredColumns.join(', ')}. Found: ${actualColumns.join(', ')}`);
-          }
 
-          // Optional columns notice for UI feedback
-          const missingOptionalColumns = optionalColumns.filter(col => !actualColumns.includes(col));
-          if (missingOptionalColumns.length > 0) {
-            console.log(`Note: Some optional columns are missing: ${missingOptionalColumns.join(', ')}`);
-          }
+    const client = parseClientRef.current;
+    const filter = (options.callsignFilter ?? callsignFilter).trim();
+    let loadedSources = [];
+    const failures = [];
+    let cancelled = false;
 
-          // Perform initial processing only
-          const processed = processInitialData(results.data);
-
-          // No need for extensive checks here as processInitialData throws errors
-          setInitialData(processed); // Store raw flights and date range
-          
-          // Set date range to cover the entire time span
-          if (processed.earliestTime && processed.latestTime) {
-            setDateRange({
-              start: getCalendarDate(processed.earliestTime),
-              end: getCalendarDate(processed.latestTime)
-            });
-          }
-          
-          setLoading(false);
+    // Parse files one at a time so progress is reported per file
+    for (let index = 0; index < files.length; index++) {
+      const file = files[index];
+      setParseProgress({ fileName: file.name, fileIndex: index, fileCount: files.length, rows: 0, percent: 0 });
+
+      const isEvents = isEventFile(file.name);
+      let columnMapping = null;
+      if (!isEvents) {
+        try {
+          columnMapping = await resolveColumnMapping(file);
         } catch (err) {
-          console.error("Processing Error:", err);
-          setError(`Failed to process data: ${err.message}`);
-          setLoading(false);
-          setInitialData(null); // Ensure data is null on error
+          failures.push(`${file.name}: ${err.message}`);
+          continue;
         }
-      },
-      error: (err) => {
-        console.error("Parsing Error:", err);
-        setError(`Failed to parse CSV: ${err.message}`);
-        setLoading(false);
-        setInitialData(null); // Ensure data is null on error
       }
-    });
 
-    if (fileInputRef.current) {
-      fileInputRef.current.value = "";
+      const task = client.run('parse', { file, columnMapping }, (progress) => {
+        setParseProgress(prev => (prev ? { ...prev, ...progress } : prev));
+      });
+      try {
+        const processed = await task.promise;
+        loadedSources.push(isEvents ? {
+          id: nextSourceId.current++,
+          name: file.name,
+          rowCount: 0, // Set once the events are paired into legs
+          flights: [],
+          rejectedRows: processed.rejectedRows,
+          events: processed.events,
+          callsignFilter: filter,
+        } : {
+          id: nextSourceId.current++,
+          name: file.name,
+          rowCount: processed.rawFlights.length,
+          flights: processed.rawFlights,
+          rejectedRows: processed.rejectedRows,
+        });
+      } catch (err) {
+        if (isCancelledError(err)) {
+          cancelled = true;
+          break;
+        }
+        console.error("Processing Error:", err);
+        failures.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    // Event files are paired into legs together with those already loaded
+    let nextSources = append ? [...sources, ...loadedSources] : loadedSources;
+    if (!cancelled && loadedSources.some(source => source.events)) {
+      try {
+        nextSources = await pairEventSources(client, nextSources);
+      } catch (err) {
+        if (isCancelledError(err)) {
+          cancelled = true;
+        } else {
+          console.error("Pairing Error:", err);
+          failures.push(`${loadedSources.filter(source => source.events).map(source => source.name).join(', ')}: ${err.message}`);
+          loadedSources = loadedSources.filter(source => !source.events);
+          nextSources = append ? [...sources, ...loadedSources] : loadedSources;
+        }
+      }
     }
-  }, [fileInputRef]); // Dependencies remain the same
 
-  // --- Filtering Logic with DateRangePicker ---
-  const filteredFlights = useMemo(() => {
-    if (!initialData?.rawFlights) return [];
+    setParseProgress(null);
+    setLoading(false);
+    if (cancelled) return; // Discard the whole batch
+
+    if (!append) {
+      setSelections(EMPTY_SELECTIONS);
+      setAirportDirection(DEFAULT_AIRPORT_DIRECTION);
+      setSelectedAircraft(null);
+      setSelectedDayHour(null);
+      setSelectedPatternAirports(null);
+      setCurrentDatasetId(null);
+      if (loadedSources.length > 0) {
+        restoredFiltersRef.current = urlFiltersRef.current;
+        urlFiltersRef.current = null;
+      }
+    }
+    if (loadedSources.length > 0) {
+      setDataSource(append ? null : options.dataSource || null);
+    }
+    setSources(nextSources);
+    if (failures.length > 0) {
+      setError(`Failed to process data: ${failures.join('; ')}`);
+    }
+    if (loadedSources.length > 0) {
+      persistSources(nextSources, append ? currentDatasetId : null);
+    }
+  }, [callsignFilter, resolveColumnMapping, sources, currentDatasetId, persistSources]);
 
-    let flightsToFilter = initialData.rawFlights;
-
-    // 1. Filter by Date Range
-    if (dateRange?.start && dateRange?.end) {
-      const startFilterTime = dateRange.start.toDate(getLocalTimeZone());
-      startFilterTime.setHours(0, 0, 0, 0); // Start of the day
-      const endFilterTime = dateRange.end.toDate(getLocalTimeZone());
-      endFilterTime.setHours(23, 59, 59, 999); // End of the day
-
-      flightsToFilter = flightsToFilter.filter(flight => {
-        // Use landing_time for date filtering
-        if (!flight.landing_time) return false; // Ensure landing_time exists
-        const flightTimeMs = flight.landing_time.getTime();
-        const afterStart = flightTimeMs >= startFilterTime.getTime();
-        const beforeEnd = flightTimeMs <= endFilterTime.getTime();
-        return afterStart && beforeEnd;
-      });
+  // Load the dataset named by a ?data= link
+  const loadDataUrl = useCallback(async (dataUrl, callsign) => {
+    setLoading(true);
+    let file;
+    try {
+      file = await fetchDataFile(dataUrl);
+    } catch (err) {
+      console.error("Failed to fetch linked dataset:", err);
+      setError(`Failed to load ${dataUrl}: ${err.message}`);
+      setLoading(false);
+      return;
     }
+    setCallsignFilter(callsign);
+    loadFiles([file], false, { callsignFilter: callsign, dataSource: { url: dataUrl, callsign } });
+  }, [loadFiles]);
+
+  const dataUrlRequested = useRef(false);
+  useEffect(() => {
+    if (dataUrlRequested.current) return;
+    dataUrlRequested.current = true;
+    const { dataUrl, callsign } = initialUrlState.current;
+    if (dataUrl) loadDataUrl(dataUrl, callsign);
+  }, [loadDataUrl]);
+
+  const handleCancelParse = useCallback(() => {
+    parseClientRef.current.terminate();
+  }, []);
 
-    // 2. Filter by Selected Airport (Destination)
-    if (selectedAirport !== 'all') {
-      flightsToFilter = flightsToFilter.filter(flight => flight.destination === selectedAirport);
+  const handleFileUpload = useCallback((event) => {
+    loadFiles(event.target.files, false);
+    event.target.value = ""; // Allow re-selecting the same files
+  }, [loadFiles]);
+
+  const handleAddFiles = useCallback((event) => {
+    loadFiles(event.target.files, true);
+    event.target.value = "";
+  }, [loadFiles]);
+
+  const handleRemoveSource = useCallback(async (sourceId) => {
+    const removed = sources.find(source => source.id === sourceId);
+    let nextSources = sources.filter(source => source.id !== sourceId);
+    if (removed?.events) { // Legs spanning the removed file change, so pair the rest again
+      setLoading(true);
+      try {
+        nextSources = await pairEventSources(parseClientRef.current, nextSources);
+      } catch (err) {
+        if (!isCancelledError(err)) {
+          console.error("Pairing Error:", err);
+          setError(`Failed to pair the remaining event files: ${err.message}`);
+        }
+        return;
+      } finally {
+        setLoading(false);
+      }
     }
+    setSources(nextSources);
+    setDataSource(null);
+    if (currentDatasetId === null) return;
+    if (nextSources.length > 0) {
+      persistSources(nextSources, currentDatasetId);
+    } else {
+      setCurrentDatasetId(null); // Leave the stored copy as it was
+    }
+  }, [sources, currentDatasetId, persistSources]);
+
+  // Apply parsed filters (see filterState.js), keeping the date range inside the dataset's span.
+  // A different time zone can move the span's first and last day, so the rest
+  // is applied once the span has been worked out in the new zone.
+  const applyFilterState = useCallback((filters) => {
+    if (!dataDateRange) return;
+    if (filters.timeZone && filters.timeZone !== timeZoneSetting) {
+      handleTimeZoneChange(filters.timeZone);
+      restoredFiltersRef.current = { ...filters, timeZone: null };
+      return;
+    }
+    const { start: minDate, end: maxDate } = dataDateRange;
+    setDateRange(clampDateRange(filters.dateRange, minDate, maxDate) || { start: minDate, end: maxDate });
+    setSelections(filters.selections);
+    setAirportDirection(filters.airportDirection);
+    setSelectedAircraft(filters.selectedAircraft);
+    setSelectedDayHour(filters.selectedDayHour);
+    setSelectedPatternAirports(filters.selectedPattern);
+  }, [dataDateRange, timeZoneSetting, handleTimeZoneChange]);
+
+  const replaceUrlRef = useRef(false); // Next URL update replaces the history entry instead of pushing one
+
+  // Reset the date range to the full span whenever the merged dataset's span
+  // changes (including a time zone change that moves its first or last day),
+  // or apply the saved (or linked) filters of a dataset that was just loaded
+  useEffect(() => {
+    const restored = restoredFiltersRef.current;
+    restoredFiltersRef.current = null;
 
-    // 3. Filter by Selected Pair (Origin-Destination)
-    // This takes precedence if both airport and pair are somehow selected (UI prevents this)
-    if (selectedPair !== 'none') {
-      flightsToFilter = flightsToFilter.filter(flight =>
-          flight.origin && flight.destination && `${flight.origin}-${flight.destination}` === selectedPair
-      );
+    if (!dataDateRange) {
+      lastSpanRef.current = null;
+      setDateRange(null);
+      return;
+    }
+    const { start: minDate, end: maxDate } = dataDateRange;
+    const span = `${minDate}/${maxDate}`;
+
+    if (restored) {
+      applyFilterState(restored);
+      replaceUrlRef.current = true;
+    } else if (span !== lastSpanRef.current) {
+      setDateRange({ start: minDate, end: maxDate });
+      replaceUrlRef.current = true;
     }
+    lastSpanRef.current = span;
+  }, [dataDateRange, applyFilterState]);
 
-    return flightsToFilter;
-    
-  }, [initialData?.rawFlights, dateRange, selectedAirport, selectedPair]); // <-- Add selectedAirport and selectedPair to dependencies
+  // Remember the current filters with the stored dataset (debounced). A
+  // cleared date range is stored as no dates.
+  useEffect(() => {
+    if (currentDatasetId === null) return undefined;
+    const timer = setTimeout(() => {
+      const filterState = serializeFilterState({
+        dateRange,
+        selections,
+        airportDirection,
+        timeZone: timeZoneSetting,
+        selectedDayHour,
+        selectedPattern: selectedPatternAirports,
+      });
+      saveDatasetFilterState(currentDatasetId, filterState)
+        .catch(err => console.warn("Failed to save filter state:", err));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [currentDatasetId, dateRange, selections, airportDirection, timeZoneSetting, selectedDayHour, selectedPatternAirports]);
 
-  // New memoized value for date-filtered flights only (no airport/pair filtering)
-  // This is used for top charts and ComboBox options
-  const dateFilteredFlights = useMemo(() => {
+  // --- Filtering Logic with DateRangePicker ---
+  const dateBounds = useMemo(() => getDateBounds(dateRange, timeBasis), [dateRange, timeBasis]);
+
+  // Operators are picked by name; flights are matched by the ICAO hexes of
+  // their aircraft, which the worker can check without aircraft.csv
+  const operatorIcaos = useMemo(
+    () => (selections.operators.length > 0
+      ? getOperatorIcaos(initialData?.rawFlights, selections.operators, aircraftDataMap)
+      : null),
+    [initialData?.rawFlights, selections.operators, aircraftDataMap]
+  );
+
+  // Filters for the selected aircraft in the date range (see filterFlights)
+  const aircraftFilters = useMemo(() => ({
+    ...dateBounds,
+    registrations: selections.registrations,
+    icaos: operatorIcaos,
+  }), [dateBounds, selections.registrations, operatorIcaos]);
+
+  // Filters for the displayed data (date range plus all selections)
+  const flightFilters = useMemo(() => ({
+    ...aircraftFilters,
+    airports: selections.airports,
+    direction: airportDirection,
+    origins: selections.origins,
+    destinations: selections.destinations,
+    pairs: selections.pairs,
+    callsigns: selections.callsigns,
+  }), [aircraftFilters, selections.airports, airportDirection, selections.origins, selections.destinations, selections.pairs, selections.callsigns]);
+
+  // Filtered flights for the map and table (a single cheap pass on the main thread)
+  const filteredFlights = useMemo(() => {
     if (!initialData?.rawFlights) return [];
+    return filterFlights(initialData.rawFlights, flightFilters);
+  }, [initialData?.rawFlights, flightFilters]);
 
-    let flightsToFilter = initialData.rawFlights;
-
-    // Only apply date filtering
-    if (dateRange?.start && dateRange?.end) {
-      const startFilterTime = dateRange.start.toDate(getLocalTimeZone());
-      startFilterTime.setHours(0, 0, 0, 0); // Start of the day
-      const endFilterTime = dateRange.end.toDate(getLocalTimeZone());
-      endFilterTime.setHours(23, 59, 59, 999); // End of the day
-
-      flightsToFilter = flightsToFilter.filter(flight => {
-        // Use landing_time for date filtering
-        if (!flight.landing_time) return false; // Ensure landing_time exists
-        const flightTimeMs = flight.landing_time.getTime();
-        const afterStart = flightTimeMs >= startFilterTime.getTime();
-        const beforeEnd = flightTimeMs <= endFilterTime.getTime();
-        return afterStart && beforeEnd;
-      });
-    }
+  const handleMaxGroundHoursChange = useCallback((hours) => {
+    setMaxGroundHours(hours);
+    storeMaxGroundHours(hours);
+  }, []);
 
-    return flightsToFilter;
-  }, [initialData?.rawFlights, dateRange]);
+  // --- Full Passes over the Data (in the worker) ---
+  // The worker keeps the dataset, the airport time zones and coordinates and
+  // the aircraft details it needs, so requests only carry filters
+  const airportTimeZones = useMemo(() => getAirportTimeZones(airportCoordinates), [airportCoordinates]);
+  const aircraftInfo = useMemo(
+    () => pickAircraftInfo(initialData?.rawFlights, aircraftDataMap),
+    [initialData?.rawFlights, aircraftDataMap]
+  );
+  const workerDataset = useMemo(
+    () => ({ flights: initialData?.rawFlights, airportTimeZones, airportCoordinates, aircraftInfo }),
+    [initialData?.rawFlights, airportTimeZones, airportCoordinates, aircraftInfo]
+  );
 
-  // --- Aggregation on Filtered Data ---
-  const displayedData = useMemo(() => {
-    // Pass aircraft data map to aggregation
-    const aggData = aggregateFlightData(filteredFlights, aircraftDataMap);
+  // The displayed data uses all filters; the top charts and filter options
+  // only the date range
+  const displayedRequest = useMemo(() => ({ type: 'aggregate', filters: toWorkerFilters(flightFilters) }), [flightFilters]);
+  const topChartsRequest = useMemo(() => ({ type: 'aggregate', filters: toWorkerFilters(dateBounds) }), [dateBounds]);
+
+  // Trips, stays and itinerary patterns are linked from all legs of the
+  // selected aircraft in the date range, then kept if they touch the selected
+  // airports, origins, destinations, pairs or callsigns, so a trip isn't cut
+  // at the filtered airport
+  const tripsRequest = useMemo(() => ({
+    type: 'trips',
+    filters: toWorkerFilters(aircraftFilters),
+    selections,
+    maxGroundHours,
+  }), [aircraftFilters, selections, maxGroundHours]);
+
+  // Ground time between landing at an airport and the next takeoff from it
+  const staysRequest = useMemo(
+    () => ({ type: 'stays', filters: toWorkerFilters(aircraftFilters), selections }),
+    [aircraftFilters, selections]
+  );
 
-     // Ensure input values are updated if selection changes due to filtering
-     if (selectedAirport !== 'all' && !aggData.allAirports.includes(selectedAirport)) {
-       setSelectedAirport('all');
-       setAirportInputValue('');
-     }
-     if (selectedPair !== 'none' && !aggData.allPairs.includes(selectedPair)) {
-       setSelectedPair('none');
-       setPairInputValue('');
-     }
+  // The most common patterns, and the selected one with its legs under the
+  // current filters (none while it isn't among the patterns the filters list)
+  const patternsRequest = useMemo(() => ({
+    type: 'patterns',
+    filters: toWorkerFilters(aircraftFilters),
+    length: patternLength,
+    limit: patternLimit,
+    airports: selections.airports,
+    pairs: selections.pairs,
+    selectedAirports: selectedPatternAirports,
+  }), [aircraftFilters, patternLength, patternLimit, selections.airports, selections.pairs, selectedPatternAirports]);
+
+  // Distance, fuel and CO₂ for the filtered flights
+  const distancesRequest = useMemo(() => ({ type: 'distances', filters: toWorkerFilters(flightFilters) }), [flightFilters]);
+
+  const workerRequests = useMemo(() => ({
+    displayed: displayedRequest,
+    topCharts: topChartsRequest,
+    trips: tripsRequest,
+    stays: staysRequest,
+    patterns: patternsRequest,
+    distances: distancesRequest,
+    durationModel: DURATION_MODEL_REQUEST, // Expected leg duration per route, from every loaded leg
+  }), [displayedRequest, topChartsRequest, tripsRequest, staysRequest, patternsRequest, distancesRequest]);
+
+  const aggregation = useAggregationWorker(workerDataset, workerRequests);
+  const { results: workerResults } = aggregation;
+  const displayedData = workerResults.displayed?.data || emptyAggregate;
+  const topChartsResult = workerResults.topCharts;
+  const topChartsData = topChartsResult?.data || emptyAggregate;
+  const filteredTrips = workerResults.trips?.data || EMPTY_LIST;
+  const filteredStays = workerResults.stays?.data || EMPTY_LIST;
+  const itineraryPatterns = workerResults.patterns?.data.patterns || EMPTY_LIST;
+  const patternResult = workerResults.patterns?.data.selectedPattern;
+  const selectedPattern = patternResult && patternResult.key === selectedPatternAirports?.join('-') ? patternResult : null;
+  const distanceSummary = workerResults.distances?.data || emptyDistanceSummary;
+  const durationModel = workerResults.durationModel?.data || emptyDurationModel;
+
+  const isAggregating = aggregation.isPending;
+  const hasAggregatedData = Boolean(workerResults.displayed && topChartsResult);
+  const handleCancelAggregation = aggregation.cancel;
+  const handleRetryAggregation = aggregation.retry;
+
+  const handlePatternClick = useCallback((pattern) => {
+    setSelectedPatternAirports(prev => (prev?.join('-') === pattern.key ? null : pattern.airports));
+  }, []);
 
-    return aggData;
-  }, [filteredFlights, selectedAirport, selectedPair, aircraftDataMap]); // Add aircraftDataMap dependency
+  // Time charts count takeoffs when only departures from an airport are shown
+  const isDepartureView = selections.airports.length > 0 && airportDirection === 'departures';
+  const timeChartEvent = isDepartureView ? 'takeoff' : 'landing';
 
-  // New aggregation for top charts - only uses date filtering
-  const topChartsData = useMemo(() => {
-    // Pass aircraft data map to aggregation
-    return aggregateFlightData(dateFilteredFlights, aircraftDataMap);
-  }, [dateFilteredFlights, aircraftDataMap]); // Add aircraftDataMap dependency
+  const handleDayHourClick = useCallback((cell) => {
+    setSelectedDayHour(prev => (
+      prev?.weekday === cell.weekday && prev?.hour === cell.hour && prev?.event === timeChartEvent
+        ? null
+        : { ...cell, event: timeChartEvent }
+    ));
+  }, [timeChartEvent]);
 
+  // The heatmap marks a cell by weekday and hour only, so a cell picked while
+  // it counted the other event is dropped when the view switches
+  useEffect(() => {
+    if (selectedDayHour && selectedDayHour.event !== timeChartEvent) setSelectedDayHour(null);
+  }, [selectedDayHour, timeChartEvent]);
+
+  // The flights table shows the selected pattern's legs instead of the filtered
+  // flights, narrowed to the flights counted in the selected heatmap cell
+  const tableFlights = useMemo(() => {
+    const flights = selectedPattern ? selectedPattern.legs : filteredFlights;
+    if (!selectedDayHour) return flights;
+    return filterHeatmapCellFlights(flights, selectedDayHour, timeBasis, { airports: selections.airports, direction: airportDirection });
+  }, [selectedPattern, filteredFlights, selectedDayHour, timeBasis, selections.airports, airportDirection]);
+
+  // Values each multi-select filter offers: those in the date range
+  const selectionOptions = useMemo(() => ({
+    airports: getDirectionAirports(topChartsData, airportDirection),
+    origins: topChartsData.allOrigins,
+    destinations: topChartsData.allAirports,
+    pairs: topChartsData.allPairs,
+    registrations: topChartsData.allSortedRegistrations.map(({ registration }) => registration).sort(),
+    callsigns: topChartsData.allSortedCallsigns.map(([callsign]) => callsign).sort(),
+    operators: Array.from(new Set(
+      topChartsData.allSortedIcaos.map(([icao]) => getAircraftOperator(icao, aircraftDataMap))
+    )).sort(),
+  }), [topChartsData, airportDirection, aircraftDataMap]);
+
+  // Drop selected airports and pairs that aren't in the date range (or, for
+  // airports, the direction) once the aggregation for it is in
+  useEffect(() => {
+    if (topChartsResult?.request !== topChartsRequest) return; // Result is for an older range
+    setSelections(prev => {
+      const pruned = {};
+      ['airports', 'origins', 'destinations', 'pairs'].forEach(field => {
+        const values = prev[field].filter(value => selectionOptions[field].includes(value));
+        if (values.length !== prev[field].length) pruned[field] = values;
+      });
+      return Object.keys(pruned).length > 0 ? { ...prev, ...pruned } : prev;
+    });
+  }, [topChartsResult, topChartsRequest, selectionOptions]);
 
-  // --- Click Handlers for Charts ---
-  const handleAirportClick = useCallback((airportId) => {
-    // Use topChartsData.allAirports which contains all airports in the date range
-    if (topChartsData && topChartsData.allAirports.includes(airportId)) {
-      setSelectedAirport(airportId);
-      setSelectedPair('none');
-      setAirportInputValue(airportId); // Update input field text
-      setPairInputValue('');
-    }
-  }, [topChartsData]); // Depends on topChartsData now
+  const handleSelectionChange = useCallback((field, values) => {
+    setSelections(prev => ({ ...prev, [field]: values }));
+  }, []);
+
+  const handleClearSelections = useCallback(() => setSelections(EMPTY_SELECTIONS), []);
 
-  const handlePairClick = useCallback((pairId) => {
+
+  // --- Click Handlers for Charts ---
+  // A plain click selects just the clicked airport or pair; a modifier click
+  // (see isAdditiveClick) adds it to or removes it from the selection
+  const handleAirportClick = useCallback((airportId, event) => {
+    // Use topChartsData, which contains all airports in the date range
+    if (!topChartsData || !getDirectionAirports(topChartsData, airportDirection).includes(airportId)) return;
+    setSelections(prev => (isAdditiveClick(event)
+      ? { ...prev, airports: toggleValue(prev.airports, airportId) }
+      : { ...prev, airports: [airportId], pairs: [] }));
+  }, [topChartsData, airportDirection]);
+
+  const handlePairClick = useCallback((pairId, event) => {
     // Use topChartsData.allPairs which contains all pairs in the date range
-    if (topChartsData && topChartsData.allPairs.includes(pairId)) {
-      setSelectedPair(pairId);
-      setSelectedAirport('all');
-      setPairInputValue(pairId); // Update input field text
-      setAirportInputValue('');
-    }
-  }, [topChartsData]); // Depends on topChartsData now
-
-  // --- NEW: Handler for map clicks ---
-  const handleMapAirportClick = useCallback((airportCode) => {
-    // Check if the clicked airport is valid within the current context
-    if (topChartsData && topChartsData.allAirports.includes(airportCode)) {
-      setSelectedAirport(airportCode);
-      setSelectedPair('none'); // Reset pair filter when airport is clicked on map
-      setAirportInputValue(airportCode); // Update input value
-      setPairInputValue('');
-    }
-  }, [topChartsData]); // Use topChartsData for validation
+    if (!topChartsData || !topChartsData.allPairs.includes(pairId)) return;
+    setSelections(prev => (isAdditiveClick(event)
+      ? { ...prev, pairs: toggleValue(prev.pairs, pairId) }
+      : { ...prev, pairs: [pairId], airports: [] }));
+  }, [topChartsData]);
 
   // --- NEW: Handler for map background clicks ---
   const handleMapBackgroundClick = useCallback(() => {
-    setSelectedAirport('all');
-    setSelectedPair('none');
-    setAirportInputValue(''); // Clear input values
-    setPairInputValue('');
+    setSelections(prev => ({ ...prev, airports: [], pairs: [] }));
   }, []); // No dependencies needed
 
+  // --- Aircraft detail view ---
+  const handleAircraftClick = useCallback((kind, value) => {
+    setSelectedAircraft({ kind, value });
+  }, []);
+
+  const handleCloseAircraft = useCallback(() => setSelectedAircraft(null), []);
+
   // --- Derive specific chart data from displayedData based on filters ---
+  // displayedData only covers the selected flights, so its overall counts fit
+  // every selection except airports matched as origins: departures are counted
+  // at takeoff, and with both directions the charts show landings at the
+  // selected airports (their departures get charts of their own)
+  const isBothDirectionsView = selections.airports.length > 0 && airportDirection === 'both';
+
   const displayLandingsByDay = useMemo(() => {
     if (!displayedData) return [];
-    if (selectedPair !== 'none' && displayedData.pairLandingsByDay[selectedPair]) {
-      return displayedData.pairLandingsByDay[selectedPair];
+    if (isDepartureView) {
+      return sumAirportCounts(displayedData.airportDeparturesByDay, selections.airports) || [];
     }
-    if (selectedAirport !== 'all' && displayedData.airportLandingsByDay[selectedAirport]) {
-      return displayedData.airportLandingsByDay[selectedAirport];
+    if (isBothDirectionsView) {
+      return sumAirportCounts(displayedData.airportLandingsByDay, selections.airports) || [];
     }
     // Fallback to overall landings (for the filtered period)
     return displayedData.landingsByDay || [];
-  }, [displayedData, selectedAirport, selectedPair]);
+  }, [displayedData, selections.airports, isDepartureView, isBothDirectionsView]);
 
   const displayLandingsByHour = useMemo(() => {
     if (!displayedData) return [];
-    if (selectedPair !== 'none' && displayedData.pairLandingsByHour[selectedPair]) {
-      return displayedData.pairLandingsByHour[selectedPair];
+    if (isDepartureView) {
+      return sumAirportCounts(displayedData.airportDeparturesByHour, selections.airports) || [];
     }
-    if (selectedAirport !== 'all' && displayedData.airportLandingsByHour[selectedAirport]) {
-      return displayedData.airportLandingsByHour[selectedAirport];
+    if (isBothDirectionsView) {
+      return sumAirportCounts(displayedData.airportLandingsByHour, selections.airports) || [];
     }
      // Fallback to overall landings (for the filtered period)
     return displayedData.landingsByHour || [];
-  }, [displayedData, selectedAirport, selectedPair]);
+  }, [displayedData, selections.airports, isDepartureView, isBothDirectionsView]);
+
+  const displayLandingsByDayHour = useMemo(() => {
+    if (!displayedData) return [];
+    if (isDepartureView) {
+      return sumAirportCounts(displayedData.airportDeparturesByDayHour, selections.airports) || [];
+    }
+    if (isBothDirectionsView) {
+      return sumAirportCounts(displayedData.airportLandingsByDayHour, selections.airports) || [];
+    }
+    // Fallback to overall landings (for the filtered period)
+    return displayedData.landingsByDayHour || [];
+  }, [displayedData, selections.airports, isDepartureView, isBothDirectionsView]);
+
+  // Departures from the selected airports alongside their arrivals ('both' direction)
+  const bothDirectionsDepartures = useMemo(() => {
+    if (!displayedData || !isBothDirectionsView) return null;
+    return {
+      byDay: sumAirportCounts(displayedData.airportDeparturesByDay, selections.airports) || [],
+      byHour: sumAirportCounts(displayedData.airportDeparturesByHour, selections.airports) || [],
+    };
+  }, [displayedData, selections.airports, isBothDirectionsView]);
 
   // Determine the label for the time chart titles based on filters
-  const activeFilterLabel = useMemo(() => {
-    if (selectedPair !== 'none') return `Leg: ${selectedPair}`;
-    if (selectedAirport !== 'all') return `Destination: ${selectedAirport}`;
-    return 'All Destinations';
-  }, [selectedAirport, selectedPair]);
+  const activeFilterLabel = useMemo(
+    () => describeSelections(selections, airportDirection) || 'All Destinations',
+    [selections, airportDirection]
+  );
+
+  // Selected airports for chart titles, e.g. "KAEX, KIWA"
+  const selectedAirportsLabel = describeValues(selections.airports);
 
   // Determine the label for the data points in time charts
-  const timeChartDataLabel = useMemo(() => {
-    if (selectedPair !== 'none') return 'Flights';
-    return 'Flights';
-  }, [selectedPair]);
+  const timeChartDataLabel = 'Flights';
 
   const dayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const dayNames = ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'];
   const hourLabels = Array.from({ length: 24 }, (_, i) => `${i.toString().padStart(2, '0')}:00`);
 
   // Memoized Data for Arrivals From Chart (derived from displayedData)
   const arrivalsFromChartData = useMemo(() => {
-    if (!displayedData || selectedAirport === 'all' || !displayedData.arrivalsFrom || !displayedData.arrivalsFrom[selectedAirport]) {
+    if (!displayedData || selections.airports.length === 0 || !displayedData.arrivalsFrom) {
+      return [];
+    }
+    return Object.entries(mergeAirportCounts(displayedData.arrivalsFrom, selections.airports))
+      .sort(([, countA], [, countB]) => countB - countA)
+      .slice(0, 20);
+  }, [displayedData, selections.airports]);
+
+  // Memoized Data for Departures To Chart (derived from displayedData)
+  const departuresToChartData = useMemo(() => {
+    if (!displayedData || selections.airports.length === 0 || !displayedData.departuresTo) {
       return [];
     }
-    return Object.entries(displayedData.arrivalsFrom[selectedAirport])
+    return Object.entries(mergeAirportCounts(displayedData.departuresTo, selections.airports))
       .sort(([, countA], [, countB]) => countB - countA)
       .slice(0, 20);
-  }, [displayedData, selectedAirport]);
+  }, [displayedData, selections.airports]);
 
-  // Filtered daily activity data based on selection (derived from displayedData)
+  // Daily activity for the selected flights (derived from displayedData)
    const filteredDailyActivityChartData = useMemo(() => {
     if (!displayedData || !displayedData.dailyLabels) {
       return { labels: [], uniqueAircraftCounts: [], totalLandings: [] };
     }
-
-    // Base data from the filtered & aggregated results
-    const { dailyLabels, dailyUniqueAircraftCounts, dailyTotalLandings, airportDailyActivity, pairDailyActivity } = displayedData;
-
-    // If no further filter (airport/pair), use the aggregated daily totals
-    if (selectedAirport === 'all' && selectedPair === 'none') {
-      return {
-        labels: dailyLabels,
-        uniqueAircraftCounts: dailyUniqueAircraftCounts,
-        totalLandings: dailyTotalLandings
-      };
-    }
-
-    // Apply airport or pair filter to the *already aggregated* daily data
-    const labels = [...dailyLabels];
-    const uniqueAircraftCounts = Array(labels.length).fill(0);
-    const totalLandings = Array(labels.length).fill(0);
-
-    if (selectedAirport !== 'all') {
-      labels.forEach((dateStr, index) => {
-        if (airportDailyActivity[dateStr]?.[selectedAirport]) {
-          const airportData = airportDailyActivity[dateStr][selectedAirport];
-          uniqueAircraftCounts[index] = airportData.uniqueAircraft.size;
-          totalLandings[index] = airportData.landings;
-        }
-      });
-    } else if (selectedPair !== 'none') {
-      labels.forEach((dateStr, index) => {
-        if (pairDailyActivity[dateStr]?.[selectedPair]) {
-          const pairData = pairDailyActivity[dateStr][selectedPair];
-          uniqueAircraftCounts[index] = pairData.uniqueAircraft.size;
-          totalLandings[index] = pairData.flights;
-        }
-      });
-    }
-
-    return { labels, uniqueAircraftCounts, totalLandings };
-  }, [displayedData, selectedAirport, selectedPair]);
+    return {
+      labels: displayedData.dailyLabels,
+      uniqueAircraftCounts: displayedData.dailyUniqueAircraftCounts,
+      totalLandings: displayedData.dailyTotalLandings
+    };
+  }, [displayedData]);
+
+  // Tables offered in the Export menu, matching what the charts show
+  const exportTables = useMemo(() => getExportTables({
+    flights: filteredFlights,
+    aggregate: displayedData,
+    dailyActivity: filteredDailyActivityChartData,
+    landingsByDay: displayLandingsByDay,
+    landingsByHour: displayLandingsByHour,
+    landingsByDayHour: displayLandingsByDayHour,
+    selectedAirports: selections.airports,
+    trips: filteredTrips,
+    stays: filteredStays,
+    distances: distanceSummary,
+  }), [filteredFlights, displayedData, filteredDailyActivityChartData, displayLandingsByDay, displayLandingsByHour, displayLandingsByDayHour, selections.airports, filteredTrips, filteredStays, distanceSummary]);
 
   // --- Determine if filters are active --- 
   const isDateRangeFiltered = useMemo(() => {
     // Check if the dateRange is set and different from the initial full range
-    if (!dateRange || !initialData?.earliestTime || !initialData?.latestTime) {
+    if (!dateRange || !dataDateRange) {
         return false; // No range set or initial data not ready
     }
-    const startMatchesInitial = dateRange.start.compare(getCalendarDate(initialData.earliestTime)) === 0;
-    const endMatchesInitial = dateRange.end.compare(getCalendarDate(initialData.latestTime)) === 0;
+    const startMatchesInitial = dateRange.start.compare(dataDateRange.start) === 0;
+    const endMatchesInitial = dateRange.end.compare(dataDateRange.end) === 0;
     return !(startMatchesInitial && endMatchesInitial);
-  }, [dateRange, initialData?.earliestTime, initialData?.latestTime]);
-
-  const isAirportFiltered = selectedAirport !== 'all';
-  const isPairFiltered = selectedPair !== 'none';
-  const filtersActive = isDateRangeFiltered || isAirportFiltered || isPairFiltered;
-
-  // --- Handlers for ComboBox Selection ---
-  const handleAirportSelectionChange = useCallback((key) => {
-      if (key === null) { // Handle case where user clears selection or types non-matching value
-          setSelectedAirport('all');
-          setAirportInputValue(''); // Clear input if selection cleared
-      } else {
-          setSelectedAirport(key);
-          const selectedText = key === 'all' ? '' : (displayedData?.allAirports.find(a => a === key) || '');
-          setAirportInputValue(selectedText); // Update input to match selection
-      }
-      // Reset pair filter when airport changes
-      setSelectedPair('none');
-      setPairInputValue('');
-  }, [displayedData?.allAirports]);
-
-  const handlePairSelectionChange = useCallback((key) => {
-      if (key === null) {
-          setSelectedPair('none');
-          setPairInputValue('');
-      } else {
-          setSelectedPair(key);
-          const selectedText = key === 'none' ? '' : (displayedData?.allPairs.find(p => p === key) || '');
-          setPairInputValue(selectedText); // Update input to match selection
-      }
-      // Reset airport filter when pair changes
-      setSelectedAirport('all');
-      setAirportInputValue('');
-  }, [displayedData?.allPairs]);
-
-  // Debounced input change handlers
-  const handleAirportInputChange = useCallback((value) => {
-    // Clear any existing timeout
-    if (airportInputTimer.current) {
-      clearTimeout(airportInputTimer.current);
-    }
-    
-    // Debounce the input change by 50ms
-    airportInputTimer.current = setTimeout(() => {
-      setAirportInputValue(value);
-    }, 50);
-  }, []);
+  }, [dateRange, dataDateRange]);
 
-  const handlePairInputChange = useCallback((value) => {
-    // Clear any existing timeout
-    if (pairInputTimer.current) {
-      clearTimeout(pairInputTimer.current);
+  const filtersActive = isDateRangeFiltered || hasSelections(selections);
+
+  // --- Shareable URL ---
+  // Mirror the filters in the query string. Filter changes push history entries
+  // so back/forward step through them; loading a dataset replaces the entry.
+  const urlDataRef = useRef(null);
+  useEffect(() => {
+    if (!initialData) return; // Keep a linked URL intact until its data is loaded
+    const dataChanged = urlDataRef.current !== initialData;
+    urlDataRef.current = initialData;
+    const replace = dataChanged || replaceUrlRef.current;
+    if (!dataChanged) replaceUrlRef.current = false; // Keep replacing until the reset filters have rendered
+
+    const filterState = serializeFilterState({
+      dateRange: isDateRangeFiltered ? dateRange : null, // A cleared or full range is stored as no dates
+      selections,
+      airportDirection,
+      selectedAircraft,
+      timeZone: timeZoneSetting,
+      selectedDayHour,
+      selectedPattern: selectedPatternAirports,
+    });
+    const search = buildUrlSearch(filterState, dataSource);
+    if (search === normalizeUrlSearch(window.location.search)) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
     }
-    
-    // Debounce the input change by 50ms
-    pairInputTimer.current = setTimeout(() => {
-      setPairInputValue(value);
-    }, 50);
-  }, []);
+  }, [initialData, dateRange, isDateRangeFiltered, selections, airportDirection, selectedAircraft, timeZoneSetting, selectedDayHour, selectedPatternAirports, dataSource]);
 
-  // --- Prepare options for ComboBoxes (with filtering by text only) ---
-  const airportOptions = useMemo(() => {
-    if (!topChartsData?.allAirports) return [{ id: 'all', name: 'All Destinations' }];
-    // Filter by input text only, not by selectedAirport
-    const filtered = topChartsData.allAirports
-      .filter(airport => airport.toLowerCase().includes(airportInputValue.toLowerCase()))
-      .sort();
-    return [
-      { id: 'all', name: 'All Destinations' },
-      ...filtered.map(airport => ({ id: airport, name: airport }))
-    ];
-  }, [topChartsData?.allAirports, airportInputValue]);
-
-  const pairOptions = useMemo(() => {
-    if (!topChartsData?.allPairs) return [{ id: 'none', name: 'No Pair Selected' }];
-    // Filter by input text only, not by selectedPair
-    const filtered = topChartsData.allPairs
-      .filter(pair => pair.toLowerCase().includes(pairInputValue.toLowerCase()))
-      .sort();
-    return [
-      { id: 'none', name: 'No Pair Selected' },
-      ...filtered.map(pair => ({ id: pair, name: pair }))
-    ];
-  }, [topChartsData?.allPairs, pairInputValue]);
+  // Back/forward: apply the filters from the restored URL
+  useEffect(() => {
+    const handlePopState = () => {
+      replaceUrlRef.current = true; // Don't push an entry if the filters need clamping
+      applyFilterState(parseFilterState(readUrlState().filters));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applyFilterState]);
 
   return (
     <I18nProvider locale={navigator.language || 'en-US'}>
@@ -573,25 +1043,112 @@ function App() {
         <div className="upload-section">
           <input
             type="file"
-            accept=".csv"
+            accept=".csv,.json,.jsonl,.ndjson"
+            multiple
             onChange={handleFileUpload}
-            ref={fileInputRef}
             id="csvFileInput"
             className="file-input"
           />
           <label htmlFor="csvFileInput" className="file-input-label">
-            Select CSV
+            Select CSV or Events
           </label>
+          {sources.length > 0 && (
+            <>
+              <input
+                type="file"
+                accept=".csv,.json,.jsonl,.ndjson"
+                multiple
+                onChange={handleAddFiles}
+                id="addFileInput"
+                className="file-input"
+                disabled={loading}
+              />
+              <label htmlFor="addFileInput" className="file-input-label">
+                Add Files
+              </label>
+            </>
+          )}
           <span className="filename-display">
-            {selectedFilename || "No file chosen"}
+            {sources.length === 0 ? "No file chosen" : sources.length === 1 ? sources[0].name : `${sources.length} files loaded`}
           </span>
+          <input
+            type="text"
+            value={callsignFilter}
+            onChange={(e) => setCallsignFilter(e.target.value)}
+            placeholder="Callsign regex (event files)"
+            aria-label="Callsign filter regex for event files"
+            className="callsign-filter-input"
+            disabled={loading}
+          />
         </div>
 
-        {loading && <p className="loading">Loading and processing data...</p>}
+        <SourceFileList
+          sources={sources}
+          duplicatesRemoved={initialData?.duplicatesRemoved || 0}
+          onRemove={handleRemoveSource}
+          isDisabled={loading}
+        />
+
+        <RecentDatasets
+          datasets={recentDatasets}
+          storageEstimate={storageEstimate}
+          currentDatasetId={currentDatasetId}
+          hasLoadedData={sources.length > 0}
+          onOpen={handleOpenDataset}
+          onDelete={handleDeleteDataset}
+          isDisabled={loading}
+        />
+
+        <DataQualityPanel report={qualityReport} />
+
+        {loading && parseProgress && (
+          <ProgressPanel
+            label={`Parsing ${parseProgress.fileName}${parseProgress.fileCount > 1 ? ` (${parseProgress.fileIndex + 1} of ${parseProgress.fileCount})` : ''}`}
+            detail={`${parseProgress.rows.toLocaleString()} rows parsed · ${Math.round(parseProgress.percent)}%`}
+            percent={parseProgress.percent}
+            onCancel={handleCancelParse}
+          />
+        )}
+        {initialData && isAggregating && (
+          <ProgressPanel
+            label={hasAggregatedData ? 'Updating charts...' : 'Aggregating flight data...'}
+            onCancel={handleCancelAggregation}
+            compact={hasAggregatedData}
+          />
+        )}
+        {initialData && !hasAggregatedData && !isAggregating && (
+          <p className="info-message">
+            Aggregation was cancelled.{' '}
+            <button className="stats-toggle-button" onClick={handleRetryAggregation}>Retry</button>
+          </p>
+        )}
         {error && <p className="error">Error: {error}</p>}
 
+        {mappingRequest && (
+          <ColumnMappingDialog
+            key={mappingRequest.fileName}
+            fileName={mappingRequest.fileName}
+            headers={mappingRequest.headers}
+            sampleRows={mappingRequest.sampleRows}
+            onConfirm={handleMappingConfirm}
+            onCancel={handleMappingCancel}
+          />
+        )}
+
+        {initialData && selectedAircraft && (
+          <AircraftDetail
+            key={`${selectedAircraft.kind}:${selectedAircraft.value}`}
+            aircraft={selectedAircraft}
+            flights={initialData.rawFlights}
+            aircraftDataMap={aircraftDataMap}
+            timeBasis={timeBasis}
+            onSelectAircraft={setSelectedAircraft}
+            onClose={handleCloseAircraft}
+          />
+        )}
+
         {/* Display content only after initial data is loaded */}
-        {initialData && (
+        {initialData && hasAggregatedData && (
           <>
             {/* --- Date Range Filter using React Aria --- */}
             <div className="date-filter-section">
@@ -599,8 +1156,8 @@ function App() {
                     label="Filter by Date Range"
                     value={dateRange}
                     onChange={setDateRange}
-                    minValue={getCalendarDate(initialData.earliestTime)}
-                    maxValue={getCalendarDate(initialData.latestTime)}
+                    minValue={dataDateRange?.start}
+                    maxValue={dataDateRange?.end}
                     granularity="day" // Only select dates, not times
                     isDisabled={loading}
                 >
@@ -640,6 +1197,7 @@ function App() {
                         Clear Range
                     </Button>
                 )}
+                <TimeZonePicker value={timeZoneSetting} onChange={handleTimeZoneChange} isDisabled={loading} />
             </div>
 
             {/* --- Summary Statistics Section (Uses displayedData) --- */}
@@ -647,61 +1205,60 @@ function App() {
               displayedData={displayedData} 
               aircraftDataMap={aircraftDataMap} 
               isLoadingAircraft={isLoadingAircraft} 
+              onAircraftClick={handleAircraftClick}
             />
 
-             {/* --- NEW: ComboBox Filters --- */}
+             {/* --- Multi-select filters (OR within a field, AND across fields) --- */}
             <div className="filters-container">
                 <div className="filter-section">
-                  <ComboBox
-                    label="Filter by Destination Airport:"
-                    items={airportOptions}
-                    selectedKey={selectedAirport}
-                    onSelectionChange={handleAirportSelectionChange}
-                    inputValue={airportInputValue}
-                    onInputChange={handleAirportInputChange}
-                    allowsCustomValue={false} // Don't allow values not in the list
-                    isDisabled={loading || !displayedData.allAirports}
-                    aria-label="Filter by Destination Airport" // Good for accessibility
-                    menuTrigger="input" // Open on typing
-                  >
-                    <Label>Destination Airport:</Label>
-                    <Group className="combobox-group"> {/* Use Group for styling input + button */}
-                        <Input className="combobox-input" />
-                        <Button className="combobox-button">▼</Button>
-                    </Group>
-                    <Popover className="combobox-popover">
-                        <ListBox className="combobox-listbox">
-                            {(item) => <ListBoxItem textValue={item.name} className="combobox-item">{item.name}</ListBoxItem>}
-                        </ListBox>
-                    </Popover>
-                </ComboBox>
-              </div>
+                  <FilterTagInput
+                    label={`${getSelectionNoun('airports', airportDirection)}s`}
+                    options={selectionOptions.airports}
+                    values={selections.airports}
+                    onChange={(values) => handleSelectionChange('airports', values)}
+                    isDisabled={loading}
+                  />
+                  <label className="airport-direction">
+                    Direction:{' '}
+                    <select
+                      value={airportDirection}
+                      onChange={(e) => setAirportDirection(e.target.value)}
+                      disabled={loading}
+                    >
+                      {Object.entries(AIRPORT_DIRECTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                  </label>
+                </div>
+                {Object.entries(SELECTION_INPUT_LABELS).map(([field, label]) => (
+                  <div className="filter-section" key={field}>
+                    <FilterTagInput
+                      label={label}
+                      options={selectionOptions[field]}
+                      values={selections[field]}
+                      onChange={(values) => handleSelectionChange(field, values)}
+                      isDisabled={loading}
+                    />
+                  </div>
+                ))}
+            </div>
+            <div className="filters-footer">
+              <span className="dialog-description">
+                Shift-click a chart bar or map airport to add it to the selection.
+              </span>
+              {hasSelections(selections) && (
+                <button className="stats-toggle-button" onClick={handleClearSelections}>
+                  Clear Filters
+                </button>
+              )}
+            </div>
 
-              <div className="filter-section">
-                 <ComboBox
-                    label="Filter by Airport Pair (Origin-Destination):"
-                    items={pairOptions}
-                    selectedKey={selectedPair}
-                    onSelectionChange={handlePairSelectionChange}
-                    inputValue={pairInputValue}
-                    onInputChange={handlePairInputChange}
-                    allowsCustomValue={false} // Don't allow values not in the list
-                    isDisabled={loading || !displayedData.allPairs}
-                    aria-label="Filter by Airport Pair"
-                    menuTrigger="input"
-                  >
-                    <Label>Airport Pair (Origin-Dest):</Label>
-                    <Group className="combobox-group">
-                        <Input className="combobox-input" />
-                        <Button className="combobox-button">▼</Button>
-                    </Group>
-                    <Popover className="combobox-popover">
-                        <ListBox className="combobox-listbox">
-                           {(item) => <ListBoxItem textValue={item.name} className="combobox-item">{item.name}</ListBoxItem>}
-                        </ListBox>
-                    </Popover>
-                </ComboBox>
-              </div>
+            <div className="export-section">
+              <ExportMenu
+                tables={exportTables}
+                filterLabel={activeFilterLabel}
+                dateRange={dateRange}
+                isDisabled={loading || isAggregating}
+              />
             </div>
 
 
@@ -734,7 +1291,7 @@ function App() {
                   {/* Row 2: Activity by Time (uses displayLandingsByDay/Hour derived from displayedData) */}
                   <div className="chart-container">
                     <BarChart
-                      title={`Activity by Day of Week (${activeFilterLabel})`}
+                      title={`Activity by Day of Week (${activeFilterLabel}, ${describeTimeBasis(timeBasis)})`}
                       labels={dayLabels}
                       data={displayLandingsByDay}
                       label={timeChartDataLabel}
@@ -742,18 +1299,49 @@ function App() {
                   </div>
                   <div className="chart-container">
                     <BarChart
-                      title={`Activity by Hour of Day (${activeFilterLabel})`}
+                      title={`Activity by Hour of Day (${activeFilterLabel}, ${describeTimeBasis(timeBasis)})`}
                       labels={hourLabels}
                       data={displayLandingsByHour}
                       label={timeChartDataLabel}
                     />
                   </div>
+                  <div className="chart-container full-width">
+                    <ActivityHeatmap
+                      title={`Activity by Day and Hour (${activeFilterLabel}, ${describeTimeBasis(timeBasis)})`}
+                      data={displayLandingsByDayHour}
+                      label={timeChartDataLabel.toLowerCase()}
+                      selectedCell={selectedDayHour}
+                      onCellClick={handleDayHourClick}
+                    />
+                  </div>
+
+                  {/* Departures alongside arrivals when the airport filter matches both */}
+                  {bothDirectionsDepartures && (
+                    <>
+                      <div className="chart-container">
+                        <BarChart
+                          title={`Departures by Day of Week from ${selectedAirportsLabel} (${describeTimeBasis(timeBasis)})`}
+                          labels={dayLabels}
+                          data={bothDirectionsDepartures.byDay}
+                          label="Departures"
+                        />
+                      </div>
+                      <div className="chart-container">
+                        <BarChart
+                          title={`Departures by Hour of Day from ${selectedAirportsLabel} (${describeTimeBasis(timeBasis)})`}
+                          labels={hourLabels}
+                          data={bothDirectionsDepartures.byHour}
+                          label="Departures"
+                        />
+                      </div>
+                    </>
+                  )}
 
                   {/* Row 3: Arrivals From (uses arrivalsFromChartData derived from displayedData) */}
-                  {selectedAirport !== 'all' && arrivalsFromChartData.length > 0 && (
+                  {selections.airports.length > 0 && airportDirection !== 'departures' && arrivalsFromChartData.length > 0 && (
                     <div className="chart-container">
                       <BarChart
-                        title={`Top 20 Sources for Arrivals at ${selectedAirport}`}
+                        title={`Top 20 Sources for Arrivals at ${selectedAirportsLabel}`}
                         labels={arrivalsFromChartData.map(([source]) => source)}
                         data={arrivalsFromChartData.map(([, count]) => count)}
                         label="Arrivals"
@@ -761,12 +1349,29 @@ function App() {
                     </div>
                   )}
                    {/* Placeholder if destination selected but no arrival data *in the filtered range* */}
-                   {selectedAirport !== 'all' && arrivalsFromChartData.length === 0 && (
+                   {selections.airports.length > 0 && airportDirection !== 'departures' && arrivalsFromChartData.length === 0 && (
                     <div className="chart-container chart-placeholder">
-                       No arrival data recorded for {selectedAirport} { dateRange ? 'in the selected date range.' : '.'}
+                       No arrival data recorded for {selectedAirportsLabel} { dateRange ? 'in the selected date range.' : '.'}
                     </div>
                    )}
 
+                  {/* Departures To (uses departuresToChartData derived from displayedData) */}
+                  {selections.airports.length > 0 && airportDirection !== 'arrivals' && departuresToChartData.length > 0 && (
+                    <div className="chart-container">
+                      <BarChart
+                        title={`Top 20 Destinations from ${selectedAirportsLabel}`}
+                        labels={departuresToChartData.map(([destination]) => destination)}
+                        data={departuresToChartData.map(([, count]) => count)}
+                        label="Departures"
+                      />
+                    </div>
+                  )}
+                  {selections.airports.length > 0 && airportDirection !== 'arrivals' && departuresToChartData.length === 0 && (
+                    <div className="chart-container chart-placeholder">
+                       No departure data recorded for {selectedAirportsLabel} { dateRange ? 'in the selected date range.' : '.'}
+                    </div>
+                  )}
+
 
                   {/* Row 4: Daily Activity (uses filteredDailyActivityChartData derived from displayedData) */}
                   {filteredDailyActivityChartData.labels && filteredDailyActivityChartData.labels.length > 0 && (
@@ -774,12 +1379,12 @@ function App() {
                       {/* Use DualBarChart or TimeSeriesChart - Using DualBarChart as before */}
                        <DualBarChart
                           key={`daily-${activeFilterLabel}-${dateRange?.start}-${dateRange?.end}`} // Key needs to change with data/filter
-                          title={`Daily Activity Over Time (${activeFilterLabel})`}
+                          title={`Daily Activity Over Time (${activeFilterLabel}, ${describeTimeBasis(timeBasis)})`}
                           labels={filteredDailyActivityChartData.labels}
                           data1={filteredDailyActivityChartData.uniqueAircraftCounts}
                           label1="# Unique Aircraft"
                           data2={filteredDailyActivityChartData.totalLandings}
-                          label2={selectedPair !== 'none' ? '# Flights' : '# Flights'}
+                          label2="# Flights"
                       />
                     </div>
                   )}
@@ -801,21 +1406,124 @@ function App() {
                   <h2>Flight Routes Map</h2>
                   <MapView 
                     flightData={filteredFlights} 
-                    selectedAirport={selectedAirport === 'all' ? null : selectedAirport}
-                    selectedPair={selectedPair === 'none' ? null : selectedPair}
-                    onAirportClick={handleMapAirportClick}
+                    selectedAirports={selections.airports}
+                    selectedPairs={selections.pairs}
+                    airportDirection={airportDirection}
+                    onAirportClick={handleAirportClick}
                     onBackgroundClick={handleMapBackgroundClick}
+                    filterLabel={activeFilterLabel}
+                    dateRange={dateRange}
+                    timeBasis={timeBasis}
+                    aircraftDataMap={aircraftDataMap}
                   />
                 </div>
               )}
 
-            {/* --- Filtered Flights Table (conditional) --- */}
-            {filtersActive && displayedData.totalFlightsProcessed > 0 && (
+            {/* --- Flight Durations (against each route's expected duration) --- */}
+            {displayedData.totalFlightsProcessed > 0 && (
+              <div className="table-section">
+                <FlightDurationsPanel
+                  flights={filteredFlights}
+                  durationModel={durationModel}
+                  selectedPair={selections.pairs.length === 1 ? selections.pairs[0] : null}
+                  onPairClick={handlePairClick}
+                />
+              </div>
+            )}
+
+            {/* --- Itinerary Patterns (airport n-grams per aircraft) --- */}
+            {displayedData.totalFlightsProcessed > 0 && (
+              <div className="table-section">
+                <ItineraryPatterns
+                  patterns={itineraryPatterns}
+                  length={patternLength}
+                  limit={patternLimit}
+                  onLengthChange={setPatternLength}
+                  onLimitChange={setPatternLimit}
+                  selectedPatternKey={selectedPattern?.key}
+                  onPatternClick={handlePatternClick}
+                  filterLabel={activeFilterLabel}
+                  dateRange={dateRange}
+                />
+              </div>
+            )}
+
+            {/* --- Flights Table (all flights matching the current filters) --- */}
+            {displayedData.totalFlightsProcessed > 0 && (
               <div className="table-section">
+                 {selectedPattern && (
+                   <div className="table-filter-chip">
+                     Showing the {selectedPattern.legs.length.toLocaleString()} legs of {selectedPattern.airports.join(' → ')}
+                     <button
+                       className="source-file-remove"
+                       onClick={() => setSelectedPatternAirports(null)}
+                       aria-label="Show all filtered flights"
+                       title="Show all filtered flights"
+                     >
+                       ×
+                     </button>
+                   </div>
+                 )}
+                 {selectedDayHour && (
+                   <div className="table-filter-chip">
+                     Showing the {tableFlights.length.toLocaleString()} flights {selectedDayHour.event === 'takeoff' ? 'taking off' : 'landing'} on {dayNames[selectedDayHour.weekday]}, {hourLabels[selectedDayHour.hour]}–{String(selectedDayHour.hour).padStart(2, '0')}:59
+                     <button
+                       className="source-file-remove"
+                       onClick={() => setSelectedDayHour(null)}
+                       aria-label="Show flights at any day and hour"
+                       title="Show flights at any day and hour"
+                     >
+                       ×
+                     </button>
+                   </div>
+                 )}
                  <FlightsTable 
-                   flights={filteredFlights} 
+                   flights={tableFlights} 
+                   durationModel={durationModel}
+                   airportCoordinates={airportCoordinates}
                    aircraftDataMap={aircraftDataMap} 
+                   timeBasis={timeBasis}
                    isLoadingAircraft={isLoadingAircraft} 
+                   onAircraftClick={handleAircraftClick}
+                 />
+              </div>
+            )}
+            {/* --- Trips (legs chained per aircraft) --- */}
+            {displayedData.totalFlightsProcessed > 0 && (
+              <div className="table-section">
+                 <TripsPanel
+                   trips={filteredTrips}
+                   maxGroundHours={maxGroundHours}
+                   onMaxGroundHoursChange={handleMaxGroundHoursChange}
+                   aircraftDataMap={aircraftDataMap}
+                   timeBasis={timeBasis}
+                   isLoadingAircraft={isLoadingAircraft}
+                   onAircraftClick={handleAircraftClick}
+                 />
+              </div>
+            )}
+            {/* --- Ground Time (stays between landing and the next takeoff) --- */}
+            {displayedData.totalFlightsProcessed > 0 && (
+              <div className="table-section">
+                 <GroundTimePanel
+                   stays={filteredStays}
+                   selectedAirports={selections.airports}
+                   onAirportClick={handleAirportClick}
+                   aircraftDataMap={aircraftDataMap}
+                   timeBasis={timeBasis}
+                   isLoadingAircraft={isLoadingAircraft}
+                   onAircraftClick={handleAircraftClick}
+                 />
+              </div>
+            )}
+            {/* --- Distance and emissions --- */}
+            {displayedData.totalFlightsProcessed > 0 && (
+              <div className="table-section">
+                 <DistancePanel
+                   summary={distanceSummary}
+                   aircraftDataMap={aircraftDataMap}
+                   isLoadingAircraft={isLoadingAircraft}
+                   onAircraftClick={handleAircraftClick}
                  />
               </div>
             )}
@@ -76,7 +76,7 @@ const BarChart = ({ title, labels, data, label, onBarClick, showAllLabels = fals
 
         const { index } = elements[0];
         const clickedLabel = labels[index];
-        onBarClick(clickedLabel);
+        onBarClick(clickedLabel, event.native); // The DOM event, for modifier keys
       }
     };
     // Add a wrapper div to control size if necessary, especially with maintainAspectRatio: false
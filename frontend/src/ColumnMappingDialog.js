@@ -0,0 +1,161 @@
+import React, { useState, useMemo } from 'react';
+import { ModalOverlay, Modal, Dialog, Heading } from 'react-aria-components';
+import {
+  MAPPING_FIELDS,
+  guessColumnMapping,
+  isMappingComplete,
+  loadColumnProfiles,
+  deleteColumnProfile,
+  getHeaderSignature
+} from './columnMapping';
+
+// Dialog for assigning a CSV's headers to the fields the app expects.
+// Calls onConfirm(mapping, profileName | null, headerSignature) or onCancel().
+const ColumnMappingDialog = ({ fileName, headers, sampleRows, onConfirm, onCancel }) => {
+  const [mapping, setMapping] = useState(() => guessColumnMapping(headers));
+  const [saveProfile, setSaveProfile] = useState(true);
+  const [profileName, setProfileName] = useState(() => fileName.replace(/\.[^.]+$/, ''));
+  const [savedProfiles, setSavedProfiles] = useState(loadColumnProfiles);
+  const [selectedProfileName, setSelectedProfileName] = useState('');
+  const signature = useMemo(() => getHeaderSignature(headers), [headers]);
+
+  const handleFieldChange = (fieldKey, header) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (header) {
+        next[fieldKey] = header;
+      } else {
+        delete next[fieldKey];
+      }
+      return next;
+    });
+  };
+
+  // Apply a saved profile, keeping only headers this file actually has
+  const handleProfileSelect = (name) => {
+    const profile = savedProfiles.find(p => p.name === name);
+    if (!profile) return;
+    const applicable = {};
+    Object.entries(profile.mapping).forEach(([fieldKey, header]) => {
+      if (headers.includes(header)) applicable[fieldKey] = header;
+    });
+    setMapping(applicable);
+    setProfileName(profile.name);
+    setSelectedProfileName(profile.name);
+  };
+
+  const handleProfileDelete = () => {
+    if (!selectedProfileName) return;
+    deleteColumnProfile(selectedProfileName);
+    setSavedProfiles(loadColumnProfiles());
+    setSelectedProfileName('');
+  };
+
+  const complete = isMappingComplete(mapping);
+  const trimmedProfileName = profileName.trim();
+
+  const handleConfirm = () => {
+    if (!complete) return;
+    onConfirm(mapping, saveProfile && trimmedProfileName ? trimmedProfileName : null, signature);
+  };
+
+  return (
+    <ModalOverlay className="modal-overlay" isOpen isDismissable={false}>
+      <Modal className="modal">
+        <Dialog className="column-mapping-dialog" aria-label="Map CSV columns">
+          <Heading slot="title">Map Columns for {fileName}</Heading>
+          <p className="dialog-description">
+            This file doesn't use the expected column names. Choose which column holds each field.
+          </p>
+
+          <div className="mapping-profile-select">
+            {savedProfiles.length > 0 && (
+              <>
+                <label htmlFor="mappingProfileSelect">Apply saved profile:</label>
+                <select id="mappingProfileSelect" value={selectedProfileName} onChange={(e) => handleProfileSelect(e.target.value)}>
+                  <option value="" disabled>Choose a profile…</option>
+                  {savedProfiles.map(profile => (
+                    <option key={profile.name} value={profile.name}>{profile.name}</option>
+                  ))}
+                </select>
+                <button
+                  className="stats-toggle-button"
+                  onClick={handleProfileDelete}
+                  disabled={!selectedProfileName}
+                  title="Delete the selected profile"
+                >
+                  Delete Profile
+                </button>
+              </>
+            )}
+            <button className="stats-toggle-button" onClick={() => setMapping(guessColumnMapping(headers))}>
+              Guess from Names
+            </button>
+          </div>
+
+          <div className="mapping-fields">
+            {MAPPING_FIELDS.map(field => (
+              <div key={field.key} className="mapping-field">
+                <label htmlFor={`mapping-${field.key}`}>
+                  {field.label}{field.required ? ' *' : ''}
+                </label>
+                <select
+                  id={`mapping-${field.key}`}
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => handleFieldChange(field.key, e.target.value)}
+                  className={field.required && !mapping[field.key] ? 'unmapped' : ''}
+                >
+                  <option value="">(none)</option>
+                  {headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div className="mapping-sample">
+            <table className="flights-table">
+              <thead>
+                <tr>
+                  {headers.map(header => <th key={header}>{header}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {sampleRows.map((row, index) => (
+                  <tr key={index}>
+                    {headers.map(header => <td key={header}>{row[header]}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mapping-save">
+            <label>
+              <input type="checkbox" checked={saveProfile} onChange={(e) => setSaveProfile(e.target.checked)} />
+              Save as profile
+            </label>
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              disabled={!saveProfile}
+              aria-label="Profile name"
+              className="callsign-filter-input"
+            />
+          </div>
+
+          <div className="dialog-actions">
+            <button className="stats-toggle-button" onClick={onCancel}>Cancel</button>
+            <button className="file-input-label" onClick={handleConfirm} disabled={!complete}>
+              Apply Mapping
+            </button>
+          </div>
+        </Dialog>
+      </Modal>
+    </ModalOverlay>
+  );
+};
+
+export default ColumnMappingDialog;
@@ -0,0 +1,131 @@
+import React, { useState, useMemo } from 'react';
+import { QUALITY_CATEGORIES, getCategoryLabel, getCategorySeverity, issuesToExportRows } from './dataQuality';
+import { downloadCsv } from './exportUtils';
+import { formatDateTime } from './dataUtils';
+
+// Show a cell value from a raw row (strings) or a processed flight (Dates)
+const formatCell = (value) => {
+  if (value instanceof Date) return formatDateTime(value);
+  if (value === null || value === undefined || value === '') return '—';
+  return String(value);
+};
+
+const DataQualityPanel = ({ report }) => {
+  const [showDetails, setShowDetails] = useState(false);
+  const [selectedReason, setSelectedReason] = useState(null); // null = all categories
+  const [page, setPage] = useState(1);
+  const itemsPerPage = 25;
+
+  const visibleIssues = useMemo(() => {
+    if (!report) return [];
+    return selectedReason ? report.issues.filter(issue => issue.reason === selectedReason) : report.issues;
+  }, [report, selectedReason]);
+
+  if (!report) return null;
+
+  const rejectedCount = report.issues.filter(issue => getCategorySeverity(issue.reason) === 'rejected').length;
+  const suspiciousCount = report.issues.length - rejectedCount;
+
+  const totalPages = Math.max(1, Math.ceil(visibleIssues.length / itemsPerPage));
+  const currentPage = Math.min(page, totalPages);
+  const paginatedIssues = visibleIssues.slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage);
+
+  const handleCategoryClick = (reason) => {
+    setSelectedReason(prev => (prev === reason ? null : reason));
+    setPage(1);
+    setShowDetails(true);
+  };
+
+  const handleDownload = () => {
+    const suffix = selectedReason ? `-${selectedReason}` : '';
+    downloadCsv(issuesToExportRows(visibleIssues), `data-quality${suffix}.csv`);
+  };
+
+  return (
+    <div className="summary-stats data-quality">
+      <div className="top-stats-header">
+        <div className="top-stats-title">
+          <strong>Data Quality</strong>{' '}
+          {report.issues.length === 0
+            ? 'No rejected or suspicious rows found.'
+            : `${rejectedCount.toLocaleString()} rejected, ${suspiciousCount.toLocaleString()} suspicious rows`}
+        </div>
+        {report.issues.length > 0 && (
+          <button
+            className="stats-toggle-button"
+            onClick={() => setShowDetails(!showDetails)}
+            aria-expanded={showDetails}
+          >
+            {showDetails ? 'Hide Details ▲' : 'Show Details ▼'}
+          </button>
+        )}
+      </div>
+
+      {report.issues.length > 0 && (
+        <div className="top-items quality-categories">
+          {QUALITY_CATEGORIES.map(category => (
+            <button
+              key={category.key}
+              className={`top-item quality-category ${category.severity}${selectedReason === category.key ? ' selected' : ''}`}
+              onClick={() => handleCategoryClick(category.key)}
+              disabled={report.counts[category.key] === 0}
+            >
+              {category.label}: {report.counts[category.key].toLocaleString()}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {showDetails && report.issues.length > 0 && (
+        <div className="table-container">
+          <div className="stats-pagination">
+            <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 1}>
+              Previous
+            </button>
+            <span className="page-info">
+              Page {currentPage} of {totalPages} ({visibleIssues.length.toLocaleString()} rows)
+            </span>
+            <button onClick={() => setPage(currentPage + 1)} disabled={currentPage === totalPages}>
+              Next
+            </button>
+            <button onClick={handleDownload}>
+              Download CSV
+            </button>
+          </div>
+          <table className="flights-table">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Row</th>
+                <th>Reason</th>
+                <th>Takeoff</th>
+                <th>Landing</th>
+                <th>ICAO</th>
+                <th>Origin</th>
+                <th>Destination</th>
+              </tr>
+            </thead>
+            <tbody>
+              {paginatedIssues.map((issue, index) => (
+                <tr key={`${issue.source}-${issue.rowNumber}-${issue.reason}-${index}`}>
+                  <td>{issue.source}</td>
+                  <td>{issue.rowNumber ?? '—'}</td>
+                  <td className={getCategorySeverity(issue.reason)}>
+                    {getCategoryLabel(issue.reason)}{issue.detail ? ` (${issue.detail})` : ''}
+                  </td>
+                  <td>{formatCell(issue.row.takeoff_time)}</td>
+                  <td>{formatCell(issue.row.landing_time)}</td>
+                  <td>{formatCell(issue.row.icao)}</td>
+                  <td>{formatCell(issue.row.origin)}</td>
+                  <td>{formatCell(issue.row.destination)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataQualityPanel;
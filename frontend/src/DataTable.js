@@ -0,0 +1,346 @@
+import React, { useState, useMemo, useDeferredValue, useRef, useCallback } from 'react';
+import { DialogTrigger, Button, Popover, Dialog } from 'react-aria-components';
+import { formatDuration } from './dataUtils';
+import { formatTimeAt } from './timeUtils';
+
+const PAGE_SIZES = [25, 50, 100, 250];
+const VIRTUAL = 'virtual'; // Page size option for one virtually scrolled list
+const ROW_HEIGHT = 34; // Fixed row height (px) in virtual mode, matches .flights-table.virtual td
+const VIRTUAL_HEIGHT = 600;
+const OVERSCAN = 10; // Extra rows rendered above and below the viewport
+
+const defaultVisibleColumns = (columns) => columns.filter(column => !column.hidden).map(column => column.key);
+
+const loadVisibleColumns = (columns, storageKey) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey) || 'null');
+    if (Array.isArray(stored)) {
+      const known = stored.filter(key => columns.some(column => column.key === key));
+      if (known.length > 0) return known;
+    }
+  } catch (e) {
+    console.warn("Failed to read table column settings:", e);
+  }
+  return defaultVisibleColumns(columns);
+};
+
+const storeVisibleColumns = (storageKey, keys) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(keys));
+  } catch (e) {
+    console.warn("Failed to save table column settings:", e);
+  }
+};
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+// Text shown in a cell, also used for the column filters. Dates are shown in
+// the time basis at the column's airport (getAirport).
+const formatCellValue = (column, value, item, timeBasis) => {
+  if (column.type === 'date') return formatTimeAt(value, timeBasis, column.getAirport?.(item));
+  if (isMissing(value)) return column.emptyText ?? 'N/A';
+  if (column.type === 'duration') return formatDuration(value);
+  if (column.type === 'number') return value.toLocaleString();
+  return String(value);
+};
+
+const textCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Sort order for raw (non-missing) values
+const compareValues = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a - b;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return textCollator.compare(String(a), String(b));
+};
+
+// Cell content: custom render, a link to the aircraft detail view, or plain text
+const renderCell = (column, item, aircraftInfo, handlers, timeBasis) => {
+  if (column.render) return column.render(item, aircraftInfo, handlers);
+  const value = column.getValue(item, aircraftInfo);
+  const text = formatCellValue(column, value, item, timeBasis);
+  if (column.aircraftKind && handlers.onAircraftClick && !isMissing(value)) {
+    return (
+      <button className="aircraft-link" onClick={() => handlers.onAircraftClick(column.aircraftKind, String(value).trim())}>
+        {text}
+      </button>
+    );
+  }
+  return text;
+};
+
+// Sortable, filterable table of flights or trips with paging or virtual
+// scrolling and a column chooser. Each column is
+//   { key, label, type, getValue, getAirport, render, hidden, sortable, filterable, emptyText, aircraftKind }
+// getValue(item, aircraftInfo) feeds sorting and filtering; 'date',
+// 'duration' and 'number' columns sort by value and filter on their
+// formatted text. Dates are shown in timeBasis (see timeUtils.js), at the
+// airport given by getAirport(item) in airport time.
+// render(item, aircraftInfo, handlers) overrides the cell, and `aircraftKind`
+// makes the cell open the aircraft detail view. Items are joined with
+// aircraftDataMap by their `icao`. Visible columns are remembered in
+// localStorage under columnsStorageKey.
+const DataTable = ({
+  title,
+  noun,
+  items,
+  columns,
+  columnsStorageKey,
+  defaultSort,
+  getRowKey,
+  aircraftDataMap,
+  timeBasis,
+  isLoadingAircraft,
+  onAircraftClick
+}) => {
+  const [visibleColumnKeys, setVisibleColumnKeys] = useState(() => loadVisibleColumns(columns, columnsStorageKey));
+  const [sort, setSort] = useState(defaultSort);
+  const [columnFilters, setColumnFilters] = useState({}); // { [columnKey]: text }
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [page, setPage] = useState(1);
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollFrame = useRef(null);
+
+  // Filtering 100k+ rows can take a moment; keep typing responsive
+  const deferredFilters = useDeferredValue(columnFilters);
+  const deferredSort = useDeferredValue(sort);
+
+  const visibleColumns = useMemo(
+    () => columns.filter(column => visibleColumnKeys.includes(column.key)),
+    [columns, visibleColumnKeys]
+  );
+
+  // Join each item with its aircraft details once
+  const rows = useMemo(() => (items || []).map(item => ({
+    item,
+    aircraftInfo: item.icao ? aircraftDataMap.get(item.icao.toLowerCase()) : null,
+  })), [items, aircraftDataMap]);
+
+  const filteredRows = useMemo(() => {
+    const activeFilters = Object.entries(deferredFilters)
+      .map(([key, text]) => ({ column: columns.find(c => c.key === key), text: text.trim().toLowerCase() }))
+      .filter(({ column, text }) => column && text);
+    if (activeFilters.length === 0) return rows;
+    return rows.filter(({ item, aircraftInfo }) => activeFilters.every(({ column, text }) => (
+      formatCellValue(column, column.getValue(item, aircraftInfo), item, timeBasis).toLowerCase().includes(text)
+    )));
+  }, [rows, columns, deferredFilters, timeBasis]);
+
+  const sortedRows = useMemo(() => {
+    const column = columns.find(c => c.key === deferredSort.key);
+    if (!column || !column.getValue) return filteredRows;
+    // Extract sort values once rather than in every comparison
+    const keyed = filteredRows.map(row => ({ row, value: column.getValue(row.item, row.aircraftInfo) }));
+    const direction = deferredSort.direction === 'asc' ? 1 : -1;
+    keyed.sort((a, b) => {
+      // Missing values go last in both directions
+      const aMissing = isMissing(a.value);
+      const bMissing = isMissing(b.value);
+      if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+      return compareValues(a.value, b.value) * direction;
+    });
+    return keyed.map(({ row }) => row);
+  }, [filteredRows, columns, deferredSort]);
+
+  const handleSort = (column) => {
+    if (column.sortable === false) return;
+    setSort(prev => ({
+      key: column.key,
+      direction: prev.key === column.key && prev.direction === 'asc' ? 'desc' : 'asc',
+    }));
+    setPage(1);
+  };
+
+  const handleFilterChange = (key, text) => {
+    setColumnFilters(prev => ({ ...prev, [key]: text }));
+    setPage(1);
+  };
+
+  const handleToggleColumn = (key) => {
+    setVisibleColumnKeys(prev => {
+      // Keep the table's column order regardless of toggle order
+      const next = prev.includes(key)
+        ? prev.filter(existing => existing !== key)
+        : columns.map(column => column.key).filter(existing => existing === key || prev.includes(existing));
+      if (next.length === 0) return prev; // Always keep at least one column
+      storeVisibleColumns(columnsStorageKey, next);
+      return next;
+    });
+  };
+
+  const handleResetColumns = () => {
+    const keys = defaultVisibleColumns(columns);
+    storeVisibleColumns(columnsStorageKey, keys);
+    setVisibleColumnKeys(keys);
+  };
+
+  const handlePageSizeChange = (value) => {
+    setPageSize(value === VIRTUAL ? VIRTUAL : Number(value));
+    setPage(1);
+    setScrollTop(0);
+  };
+
+  // Update the virtual window at most once per frame
+  const handleScroll = useCallback((event) => {
+    const { scrollTop: top } = event.currentTarget;
+    if (scrollFrame.current) cancelAnimationFrame(scrollFrame.current);
+    scrollFrame.current = requestAnimationFrame(() => setScrollTop(top));
+  }, []);
+
+  if (isLoadingAircraft) {
+    return <p>Loading aircraft details...</p>;
+  }
+
+  if (!items || items.length === 0) {
+    return <p>No {noun} match the current filters.</p>;
+  }
+
+  const isVirtual = pageSize === VIRTUAL;
+  const totalPages = isVirtual ? 1 : Math.max(1, Math.ceil(sortedRows.length / pageSize));
+  const currentPage = Math.min(page, totalPages);
+
+  let displayRows;
+  let paddingTop = 0;
+  let paddingBottom = 0;
+  let firstRowIndex;
+  if (isVirtual) {
+    const visibleCount = Math.ceil(VIRTUAL_HEIGHT / ROW_HEIGHT);
+    const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const end = Math.min(sortedRows.length, start + visibleCount + OVERSCAN * 2);
+    displayRows = sortedRows.slice(start, end);
+    paddingTop = start * ROW_HEIGHT;
+    paddingBottom = (sortedRows.length - end) * ROW_HEIGHT;
+    firstRowIndex = start;
+  } else {
+    firstRowIndex = (currentPage - 1) * pageSize;
+    displayRows = sortedRows.slice(firstRowIndex, firstRowIndex + pageSize);
+  }
+
+  const cellHandlers = { onAircraftClick };
+  const hasColumnFilters = Object.values(columnFilters).some(text => text.trim());
+  const isFiltering = deferredFilters !== columnFilters || deferredSort !== sort;
+
+  return (
+    <div className="table-container">
+      <h3>
+        {title} ({sortedRows.length.toLocaleString()}
+        {sortedRows.length !== items.length ? ` of ${items.length.toLocaleString()}` : ''} total matches)
+      </h3>
+
+      <div className="table-toolbar">
+        <label className="table-page-size">
+          Rows:{' '}
+          <select value={pageSize} onChange={(e) => handlePageSizeChange(e.target.value)}>
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size} per page</option>)}
+            <option value={VIRTUAL}>All (scroll)</option>
+          </select>
+        </label>
+        {hasColumnFilters && (
+          <button className="stats-toggle-button" onClick={() => { setColumnFilters({}); setPage(1); }}>
+            Clear Column Filters
+          </button>
+        )}
+        <DialogTrigger>
+          <Button className="stats-toggle-button">Columns ▼</Button>
+          <Popover className="export-popover" placement="bottom end">
+            <Dialog className="export-dialog column-chooser" aria-label="Choose columns">
+              <ul className="column-chooser-list">
+                {columns.map(column => (
+                  <li key={column.key}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={visibleColumnKeys.includes(column.key)}
+                        onChange={() => handleToggleColumn(column.key)}
+                      />
+                      {column.label}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+              <button className="stats-toggle-button" onClick={handleResetColumns}>Reset Columns</button>
+            </Dialog>
+          </Popover>
+        </DialogTrigger>
+      </div>
+
+      <div
+        className={`table-scroll${isVirtual ? ' virtual' : ''}${isFiltering ? ' updating' : ''}`}
+        style={isVirtual ? { height: VIRTUAL_HEIGHT } : undefined}
+        onScroll={isVirtual ? handleScroll : undefined}
+      >
+        <table className={`flights-table${isVirtual ? ' virtual' : ''}`}>
+          <thead>
+            <tr>
+              {visibleColumns.map(column => {
+                const isSorted = sort.key === column.key;
+                return (
+                  <th
+                    key={column.key}
+                    aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                  >
+                    {column.sortable === false ? (
+                      <span className="column-label">{column.label}</span>
+                    ) : (
+                      <button className="sort-button" onClick={() => handleSort(column)}>
+                        {column.label}
+                        <span className="sort-indicator">{isSorted ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}</span>
+                      </button>
+                    )}
+                    {column.filterable !== false && (
+                      <input
+                        type="text"
+                        className="column-filter-input"
+                        value={columnFilters[column.key] || ''}
+                        onChange={(e) => handleFilterChange(column.key, e.target.value)}
+                        placeholder="Filter"
+                        aria-label={`Filter ${column.label}`}
+                      />
+                    )}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {paddingTop > 0 && <tr className="virtual-spacer" style={{ height: paddingTop }} />}
+            {displayRows.map(({ item, aircraftInfo }, index) => (
+              <tr key={getRowKey(item, firstRowIndex + index)}>
+                {visibleColumns.map(column => (
+                  <td key={column.key}>
+                    {renderCell(column, item, aircraftInfo, cellHandlers, timeBasis)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {paddingBottom > 0 && <tr className="virtual-spacer" style={{ height: paddingBottom }} />}
+          </tbody>
+        </table>
+        {sortedRows.length === 0 && (
+          <p>No {noun} match the column filters.</p>
+        )}
+      </div>
+
+      {!isVirtual && totalPages > 1 && (
+        <div className="stats-pagination">
+          <button onClick={() => setPage(1)} disabled={currentPage === 1}>
+            First
+          </button>
+          <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 1}>
+            Previous
+          </button>
+          <span className="page-info">
+            Page {currentPage.toLocaleString()} of {totalPages.toLocaleString()}
+          </span>
+          <button onClick={() => setPage(currentPage + 1)} disabled={currentPage === totalPages}>
+            Next
+          </button>
+          <button onClick={() => setPage(totalPages)} disabled={currentPage === totalPages}>
+            Last
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataTable;
@@ -0,0 +1,119 @@
+import React, { useState, useMemo } from 'react';
+import DataTable from './DataTable';
+import BarChart from './BarChart';
+import { DISTANCE_UNITS, DISTANCE_GROUPINGS, convertDistance } from './distanceUtils';
+
+const KG_PER_TONNE = 1000;
+
+const roundDistance = (distanceNm, unit) => Math.round(convertDistance(distanceNm, unit));
+const formatTonnes = (kg) => (kg / KG_PER_TONNE).toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+// Columns for one grouping in the chosen unit; see DataTable for the fields
+const buildColumns = (grouping, unit) => {
+  const unitLabel = DISTANCE_UNITS[unit].label;
+  const columns = [
+    {
+      key: 'key',
+      label: DISTANCE_GROUPINGS[grouping],
+      aircraftKind: grouping === 'aircraft' ? 'icao' : undefined,
+      getValue: (row) => row.key,
+    },
+  ];
+  if (grouping === 'aircraft') {
+    columns.push(
+      { key: 'registration', label: 'Registration', aircraftKind: 'registration', getValue: (row) => row.registration },
+      { key: 'type', label: 'Type', getValue: (row, info) => info?.ICAOTypeCode, emptyText: '' },
+      { key: 'owner', label: 'Registered Owner', getValue: (row, info) => info?.RegisteredOwners, emptyText: '', hidden: true },
+    );
+  }
+  columns.push(
+    { key: 'legs', label: 'Legs', type: 'number', getValue: (row) => row.legs },
+    { key: 'distance', label: `Distance (${unitLabel})`, type: 'number', getValue: (row) => roundDistance(row.distanceNm, unit) },
+    { key: 'average', label: `Average (${unitLabel})`, type: 'number', getValue: (row) => roundDistance(row.averageNm, unit) },
+    { key: 'fuel', label: 'Fuel (kg)', type: 'number', getValue: (row) => (row.fuelLegs > 0 ? Math.round(row.fuelKg) : null), emptyText: '—' },
+    { key: 'co2', label: 'CO₂ (kg)', type: 'number', getValue: (row) => (row.fuelLegs > 0 ? Math.round(row.co2Kg) : null), emptyText: '—' },
+  );
+  return columns;
+};
+
+const DEFAULT_SORT = { key: 'distance', direction: 'desc' };
+const TIME_SORT = { key: 'key', direction: 'asc' };
+
+const getGroupRowKey = (row) => row.key;
+
+// Distance flown for the current filters, with fuel and CO₂ estimated from
+// the aircraft type (see fuelBurn.js), broken down by aircraft, operator,
+// route, day or month. `summary` comes from buildDistanceSummary.
+const DistancePanel = ({ summary, aircraftDataMap, isLoadingAircraft, onAircraftClick }) => {
+  const [unit, setUnit] = useState('nm');
+  const [grouping, setGrouping] = useState('aircraft');
+
+  const columns = useMemo(() => buildColumns(grouping, unit), [grouping, unit]);
+  const { totals, groups } = summary;
+  const unitLabel = DISTANCE_UNITS[unit].label;
+
+  return (
+    <>
+      <div className="summary-stats distance-summary">
+        <div className="top-stats-header">
+          <h2>Distance and Emissions</h2>
+          <div className="pattern-controls">
+            <label>
+              Units:{' '}
+              <select value={unit} onChange={(e) => setUnit(e.target.value)}>
+                {Object.entries(DISTANCE_UNITS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+            <label>
+              Group by:{' '}
+              <select value={grouping} onChange={(e) => setGrouping(e.target.value)}>
+                {Object.entries(DISTANCE_GROUPINGS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+        <p>
+          <strong>Total Distance:</strong> {roundDistance(totals.distanceNm, unit).toLocaleString()} {unitLabel} over{' '}
+          {totals.legs.toLocaleString()} legs (average {roundDistance(totals.averageNm, unit).toLocaleString()} {unitLabel})
+        </p>
+        {totals.legsWithoutDistance > 0 && (
+          <p className="dialog-description">
+            {totals.legsWithoutDistance.toLocaleString()} legs have an airport missing from airports.csv and no distance.
+          </p>
+        )}
+        <p>
+          <strong>Estimated Fuel:</strong> {formatTonnes(totals.fuelKg)} t
+          {' · '}<strong>Estimated CO₂:</strong> {formatTonnes(totals.co2Kg)} t
+          {' '}({totals.fuelLegs.toLocaleString()} of {totals.legs.toLocaleString()} legs have an aircraft type with a fuel burn rate)
+        </p>
+
+        {groups.day.length > 1 && (
+          <div className="chart-container distance-chart">
+            <BarChart
+              title={`Distance per Day (${unitLabel})`}
+              labels={groups.day.map(row => row.key)}
+              data={groups.day.map(row => roundDistance(row.distanceNm, unit))}
+              label={`Distance (${unitLabel})`}
+            />
+          </div>
+        )}
+      </div>
+
+      <DataTable
+        key={grouping}
+        title={`Distance by ${DISTANCE_GROUPINGS[grouping]}`}
+        noun="legs"
+        items={groups[grouping]}
+        columns={columns}
+        columnsStorageKey={`ice-air.distanceTableColumns.${grouping}`}
+        defaultSort={grouping === 'day' || grouping === 'month' ? TIME_SORT : DEFAULT_SORT}
+        getRowKey={getGroupRowKey}
+        aircraftDataMap={aircraftDataMap}
+        isLoadingAircraft={isLoadingAircraft}
+        onAircraftClick={onAircraftClick}
+      />
+    </>
+  );
+};
+
+export default DistancePanel;
@@ -12,11 +12,12 @@ const DualBarChart = ({ title, labels, data1, label1, data2, label2 }) => {
         return <div className="chart-placeholder">No data to display for "{title}"</div>;
     }
   
-    // Format dates for display - convert YYYY-MM-DD to shorter format
+    // Format dates for display - convert YYYY-MM-DD to shorter format. The
+    // labels are already calendar days, which Date parses as UTC midnight
     const formattedLabels = labels.map(dateStr => {
       try {
         const date = new Date(dateStr);
-        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        return date.toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric' });
       } catch (e) {
         return dateStr;
       }
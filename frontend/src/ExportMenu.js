@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { DialogTrigger, Button, Popover, Dialog } from 'react-aria-components';
+import { downloadCsv, downloadJson, buildExportFilename } from './exportUtils';
+
+// Export button with a popover listing the tables from getExportTables().
+// Files are named after the active filter label and date range.
+const ExportMenu = ({ tables, filterLabel, dateRange, isDisabled }) => {
+  const [format, setFormat] = useState('csv');
+
+  const handleExport = (table, close) => {
+    const filename = buildExportFilename(table.id, filterLabel, dateRange, format);
+    const rows = table.getRows();
+    if (format === 'json') {
+      downloadJson(rows, filename);
+    } else {
+      downloadCsv(rows, filename);
+    }
+    close();
+  };
+
+  return (
+    <DialogTrigger>
+      <Button className="stats-toggle-button export-button" isDisabled={isDisabled}>
+        Export ▼
+      </Button>
+      <Popover className="export-popover" placement="bottom end">
+        <Dialog className="export-dialog" aria-label="Export data">
+          {({ close }) => (
+            <>
+              <div className="export-format" role="group" aria-label="Export format">
+                {['csv', 'json'].map(option => (
+                  <button
+                    key={option}
+                    className={`export-format-option${format === option ? ' selected' : ''}`}
+                    onClick={() => setFormat(option)}
+                    aria-pressed={format === option}
+                  >
+                    {option.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+              <ul className="export-table-list">
+                {tables.map(table => (
+                  <li key={table.id}>
+                    <button
+                      className="export-table-option"
+                      onClick={() => handleExport(table, close)}
+                      disabled={table.count === 0}
+                    >
+                      <span>{table.label}</span>
+                      <span className="export-table-count">{table.count.toLocaleString()} rows</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </Dialog>
+      </Popover>
+    </DialogTrigger>
+  );
+};
+
+export default ExportMenu;
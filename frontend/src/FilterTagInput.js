@@ -0,0 +1,81 @@
+import React, { useState, useMemo } from 'react';
+import {
+  ComboBox,
+  Label,
+  Group,
+  Input,
+  Button,
+  Popover,
+  ListBox,
+  ListBoxItem
+} from 'react-aria-components';
+
+// Long lists (registrations, callsigns) only show the first matches; typing narrows them
+const MAX_OPTIONS = 200;
+
+// Multi-select filter: a ComboBox that adds the picked option to `values`,
+// with the current values shown below it as removable chips.
+// onChange(values) receives the new list.
+const FilterTagInput = ({ label, options, values, onChange, isDisabled }) => {
+  const [inputValue, setInputValue] = useState('');
+
+  const items = useMemo(() => {
+    const text = inputValue.toLowerCase();
+    return options
+      .filter(option => !values.includes(option) && option.toLowerCase().includes(text))
+      .slice(0, MAX_OPTIONS)
+      .map(option => ({ id: option, name: option }));
+  }, [options, values, inputValue]);
+
+  const handleSelectionChange = (key) => {
+    if (key === null) return;
+    onChange([...values, key]);
+    setInputValue('');
+  };
+
+  return (
+    <div className="filter-tag-input">
+      <ComboBox
+        aria-label={`Filter by ${label}`}
+        items={items}
+        selectedKey={null}
+        onSelectionChange={handleSelectionChange}
+        inputValue={inputValue}
+        onInputChange={setInputValue}
+        allowsCustomValue={false}
+        isDisabled={isDisabled}
+        menuTrigger="input"
+      >
+        <Label>{label}:</Label>
+        <Group className="combobox-group">
+          <Input className="combobox-input" placeholder={values.length > 0 ? 'Add another…' : 'Any'} />
+          <Button className="combobox-button">▼</Button>
+        </Group>
+        <Popover className="combobox-popover">
+          <ListBox className="combobox-listbox">
+            {(item) => <ListBoxItem textValue={item.name} className="combobox-item">{item.name}</ListBoxItem>}
+          </ListBox>
+        </Popover>
+      </ComboBox>
+      {values.length > 0 && (
+        <div className="filter-chips">
+          {values.map(value => (
+            <span key={value} className="filter-chip">
+              {value}
+              <button
+                className="source-file-remove"
+                onClick={() => onChange(values.filter(item => item !== value))}
+                aria-label={`Remove ${value}`}
+                title={`Remove ${value}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterTagInput;
@@ -0,0 +1,125 @@
+import React, { useMemo } from 'react';
+import BarChart from './BarChart';
+import { getRouteKey, getLegDuration, getDurationCheck, buildDurationHistogram } from './durationUtils';
+import { formatDuration } from './dataUtils';
+
+const ROUTES_SHOWN = 20;
+
+const formatRange = (expected) => (
+  expected && expected.low !== null ? `${formatDuration(expected.low)} – ${formatDuration(expected.high)}` : '—'
+);
+
+// Leg durations for the current filters against each route's expected
+// duration (durationModel, built from all loaded legs). With a pair selected
+// it shows that route's histogram; otherwise the busiest routes, which select
+// the pair when clicked (onPairClick).
+const FlightDurationsPanel = ({ flights, durationModel, selectedPair, onPairClick }) => {
+  // Per-route leg counts and duration checks for the filtered legs
+  const { routeStats, totals } = useMemo(() => {
+    const stats = new Map();
+    const counts = { measured: 0, estimated: 0, long: 0, short: 0 };
+    flights.forEach(flight => {
+      const route = getRouteKey(flight);
+      if (!route || getLegDuration(flight) === null) return;
+      const check = getDurationCheck(flight, durationModel);
+      if (check === 'estimated') {
+        counts.estimated++;
+        return;
+      }
+      counts.measured++;
+      if (!stats.has(route)) stats.set(route, { route, count: 0, long: 0, short: 0 });
+      const routeStat = stats.get(route);
+      routeStat.count++;
+      if (check) {
+        routeStat[check]++;
+        counts[check]++;
+      }
+    });
+    return {
+      routeStats: Array.from(stats.values()).sort((a, b) => b.count - a.count || a.route.localeCompare(b.route)),
+      totals: counts,
+    };
+  }, [flights, durationModel]);
+
+  const selectedRoute = selectedPair ? durationModel.routes.get(selectedPair) : null;
+  const histogram = useMemo(
+    () => buildDurationHistogram(selectedRoute ? selectedRoute.durations : []),
+    [selectedRoute]
+  );
+
+  return (
+    <div className="summary-stats flight-durations">
+      <div className="top-stats-header">
+        <h2>Flight Durations{selectedPair ? ` for ${selectedPair}` : ''}</h2>
+      </div>
+      <p>
+        <strong>Legs with Durations:</strong> {totals.measured.toLocaleString()}
+        {totals.estimated > 0 && ` (${totals.estimated.toLocaleString()} more with estimated times, left out of the statistics)`}
+      </p>
+      <p>
+        <strong>Outside the Normal Range:</strong> {totals.long.toLocaleString()} unusually long,{' '}
+        {totals.short.toLocaleString()} unusually short. These often mean a missed landing event or a diversion;
+        filter the flights table's Duration Check column to list them.
+      </p>
+
+      {selectedPair ? (
+        selectedRoute ? (
+          <>
+            <p>
+              <strong>Median:</strong> {formatDuration(selectedRoute.median)}
+              {' · '}<strong>Normal Range:</strong> {formatRange(selectedRoute)}
+              {' · '}<strong>Measured Legs (all dates):</strong> {selectedRoute.count.toLocaleString()}
+            </p>
+            <div className="chart-container flight-duration-chart">
+              <BarChart
+                title={`Durations for ${selectedPair}`}
+                labels={histogram.labels}
+                data={histogram.counts}
+                label="Legs"
+              />
+            </div>
+          </>
+        ) : (
+          <p className="info-message">No measured durations for {selectedPair}.</p>
+        )
+      ) : routeStats.length > 0 && (
+        <div className="table-container">
+          <h3>Busiest Routes</h3>
+          <table className="flights-table">
+            <thead>
+              <tr>
+                <th>Route</th>
+                <th>Legs</th>
+                <th>Median</th>
+                <th>Normal Range</th>
+                <th>Long</th>
+                <th>Short</th>
+              </tr>
+            </thead>
+            <tbody>
+              {routeStats.slice(0, ROUTES_SHOWN).map(routeStat => {
+                const expected = durationModel.routes.get(routeStat.route);
+                return (
+                  <tr key={routeStat.route}>
+                    <td>
+                      <button className="pattern-link" onClick={(e) => onPairClick(routeStat.route, e)}>
+                        {routeStat.route}
+                      </button>
+                    </td>
+                    <td>{routeStat.count.toLocaleString()}</td>
+                    <td>{expected ? formatDuration(expected.median) : '—'}</td>
+                    <td>{formatRange(expected)}</td>
+                    <td>{routeStat.long.toLocaleString()}</td>
+                    <td>{routeStat.short.toLocaleString()}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FlightDurationsPanel;
@@ -1,114 +1,80 @@
-import React from 'react';
+import React, { useMemo } from 'react';
+import DataTable from './DataTable';
+import { getAdsbExchangeLink } from './adsbExchange';
+import { getLegDuration, getDurationCheck, DURATION_CHECK_LABELS } from './durationUtils';
+import { getLegDistanceNm } from './distanceUtils';
 
-// Helper to format Date objects nicely for the table (local time)
-const formatTableDateTime = (date) => {
-  if (!date || !(date instanceof Date)) return 'N/A';
-  try {
-    if (isNaN(date.getTime())) return 'Invalid Date';
-    return date.toLocaleString(undefined, {
-        year: 'numeric', month: '2-digit', day: '2-digit',
-        hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false
-    });
-  } catch (e) {
-    console.warn("Invalid date for table:", date);
-    return 'Invalid Date';
-  }
-};
-
-// Helper to format Date objects for ADSBExchange URL (UTC YYYY-MM-DD and HH:MM:SS)
-const formatUrlDateTime = (date) => {
-  if (!date || !(date instanceof Date) || isNaN(date.getTime())) return null;
-  try {
-    const year = date.getUTCFullYear();
-    const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
-    const day = date.getUTCDate().toString().padStart(2, '0');
-    const hours = date.getUTCHours().toString().padStart(2, '0');
-    const minutes = date.getUTCMinutes().toString().padStart(2, '0');
-    const seconds = date.getUTCSeconds().toString().padStart(2, '0');
-    return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}:${seconds}` };
-  } catch (e) {
-    console.warn("Invalid date for URL formatting:", date);
-    return null;
-  }
-};
+// --- Column Definitions ---
+// See DataTable for the column fields. The duration check column compares
+// each leg with durationModel (see buildDurationModel), and distances need
+// the airport coordinates.
+const buildColumns = (durationModel, airportCoordinates) => [
+  { key: 'landing_time', label: 'Landing Time', type: 'date', getValue: (flight) => flight.landing_time, getAirport: (flight) => flight.destination },
+  { key: 'takeoff_time', label: 'Takeoff Time', type: 'date', getValue: (flight) => flight.takeoff_time, getAirport: (flight) => flight.origin, hidden: true },
+  { key: 'origin', label: 'Origin', getValue: (flight) => flight.origin },
+  { key: 'destination', label: 'Destination', getValue: (flight) => flight.destination },
+  { key: 'duration', label: 'Duration', type: 'duration', getValue: getLegDuration },
+  {
+    key: 'duration_check',
+    label: 'Duration Check',
+    getValue: (flight) => DURATION_CHECK_LABELS[getDurationCheck(flight, durationModel)] || null,
+    emptyText: '',
+  },
+  {
+    key: 'distance',
+    label: 'Distance (nm)',
+    type: 'number',
+    getValue: (flight) => {
+      const distanceNm = getLegDistanceNm(flight, airportCoordinates);
+      return distanceNm === null ? null : Math.round(distanceNm);
+    },
+    emptyText: '',
+  },
+  { key: 'callsign', label: 'Callsign', aircraftKind: 'callsign', getValue: (flight) => flight.callsign },
+  { key: 'registration', label: 'Registration', aircraftKind: 'registration', getValue: (flight) => flight.registration },
+  { key: 'icao', label: 'ICAO', aircraftKind: 'icao', getValue: (flight) => (flight.icao ? flight.icao.toLowerCase() : null), hidden: true },
+  { key: 'manufacturer', label: 'Manufacturer', getValue: (flight, info) => info?.Manufacturer, emptyText: '' },
+  { key: 'type', label: 'Type', getValue: (flight, info) => info?.Type, emptyText: '' },
+  { key: 'owner', label: 'Registered Owner', getValue: (flight, info) => info?.RegisteredOwners, emptyText: '' },
+  {
+    key: 'link',
+    label: 'Link',
+    sortable: false,
+    filterable: false,
+    render: (flight) => {
+      const adsbLink = getAdsbExchangeLink(flight);
+      return adsbLink ? (
+        <a href={adsbLink} target="_blank" rel="noopener noreferrer">
+          ADSBx
+        </a>
+      ) : (
+        <span>N/A</span>
+      );
+    }
+  },
+];
 
-const FlightsTable = ({ flights, aircraftDataMap, isLoadingAircraft }) => {
-  if (isLoadingAircraft) {
-    return <p>Loading aircraft details...</p>;
-  }
+const DEFAULT_SORT = { key: 'landing_time', direction: 'asc' };
 
-  if (!flights || flights.length === 0) {
-    return <p>No flights match the current filters.</p>;
-  }
-
-  // Limit the number of rows displayed for performance, e.g., first 100
-  const displayFlights = flights.slice(0, 100); // Adjust limit as needed
+const getFlightRowKey = (flight, index) => `${flight.landing_time?.getTime()}-${flight.icao}-${index}`;
 
+const FlightsTable = ({ flights, durationModel, airportCoordinates, aircraftDataMap, timeBasis, isLoadingAircraft, onAircraftClick }) => {
+  const columns = useMemo(() => buildColumns(durationModel, airportCoordinates), [durationModel, airportCoordinates]);
   return (
-    <div className="table-container">
-      <h3>Filtered Flight Data ({flights.length} total matches{flights.length > displayFlights.length ? `, showing first ${displayFlights.length}` : ''})</h3>
-      <table className="flights-table">
-        <thead>
-          <tr>
-            <th>Landing Time</th>
-            <th>Origin</th>
-            <th>Destination</th>
-            <th>Callsign</th>
-            <th>Registration</th>
-            {/* <th>ICAO</th> */} { /* Keep ICAO commented for now */}
-            <th>Manufacturer</th>
-            <th>Type</th>
-            <th>Registered Owner</th>
-            <th>Link</th> { /* New Link column */}
-          </tr>
-        </thead>
-        <tbody>
-          {displayFlights.map((flight, index) => {
-            const landingTimeFormatted = formatTableDateTime(flight.landing_time);
-            const lowerIcao = flight.icao ? flight.icao.toLowerCase() : null;
-            const aircraftInfo = lowerIcao ? aircraftDataMap.get(lowerIcao) : null;
-
-            const takeoffTime = formatUrlDateTime(flight.takeoff_time);
-            const landingTimeUrl = formatUrlDateTime(flight.landing_time);
-            
-            let adsbLink = '#'; // Default link if times are invalid
-            if (lowerIcao && takeoffTime && landingTimeUrl) {
-              adsbLink = `https://globe.adsbexchange.com/?icao=${lowerIcao}&showTrace=${takeoffTime.date}&startTime=${takeoffTime.time}&endTime=${landingTimeUrl.time}`;
-            } else if (lowerIcao && landingTimeUrl) {
-               // Fallback if only landing time is valid - link to general ICAO page for the day
-               adsbLink = `https://globe.adsbexchange.com/?icao=${lowerIcao}&showTrace=${landingTimeUrl.date}`;
-            }
-
-            return (
-              <tr key={`${landingTimeFormatted}-${lowerIcao}-${index}`}> { /* Use landing time in key */}
-                <td>{landingTimeFormatted}</td>
-                <td>{flight.origin || 'N/A'}</td>
-                <td>{flight.destination || 'N/A'}</td>
-                <td>{flight.callsign || 'N/A'}</td>
-                <td>{flight.registration || 'N/A'}</td>
-                {/* <td>{lowerIcao || 'N/A'}</td> */}
-                <td>{aircraftInfo ? aircraftInfo.Manufacturer : ''}</td>
-                <td>{aircraftInfo ? aircraftInfo.Type : ''}</td>
-                <td>{aircraftInfo ? aircraftInfo.RegisteredOwners : ''}</td>
-                <td>
-                  {adsbLink !== '#' ? (
-                    <a href={adsbLink} target="_blank" rel="noopener noreferrer">
-                      ADSBx
-                    </a>
-                  ) : (
-                    <span>N/A</span>
-                  )}
-                </td>
-              </tr>
-            );
-          })}
-        </tbody>
-      </table>
-      {flights.length > displayFlights.length && (
-        <p>...</p>
-      )}
-    </div>
+    <DataTable
+      title="Flights"
+      noun="flights"
+      items={flights}
+      columns={columns}
+      columnsStorageKey="ice-air.flightTableColumns"
+      defaultSort={DEFAULT_SORT}
+      getRowKey={getFlightRowKey}
+      aircraftDataMap={aircraftDataMap}
+      timeBasis={timeBasis}
+      isLoadingAircraft={isLoadingAircraft}
+      onAircraftClick={onAircraftClick}
+    />
   );
 };
 
-export default FlightsTable; 
\ No newline at end of file
+export default FlightsTable;
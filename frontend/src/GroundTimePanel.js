@@ -0,0 +1,151 @@
+import React, { useState, useMemo } from 'react';
+import DataTable from './DataTable';
+import BarChart from './BarChart';
+import { STAY_DURATION_BINS, summarizeStays, summarizeStaysByAirport } from './tripUtils';
+import { formatDuration } from './dataUtils';
+
+// --- Column Definitions ---
+// See DataTable for the column fields
+const STAY_COLUMNS = [
+  { key: 'airport', label: 'Airport', getValue: (stay) => stay.airport },
+  { key: 'arrival_time', label: 'Landed', type: 'date', getValue: (stay) => stay.arrival_time, getAirport: (stay) => stay.airport },
+  { key: 'departure_time', label: 'Took Off', type: 'date', getValue: (stay) => stay.departure_time, getAirport: (stay) => stay.airport },
+  { key: 'duration', label: 'Ground Time', type: 'duration', getValue: (stay) => stay.duration },
+  { key: 'unusual', label: 'Unusual', getValue: (stay) => (stay.unusual === 'long' ? 'Long' : stay.unusual === 'short' ? 'Short' : null), emptyText: '' },
+  { key: 'overnight', label: 'Overnight', getValue: (stay) => (stay.overnight ? 'Overnight' : null), emptyText: '' },
+  { key: 'arrivedFrom', label: 'Arrived From', getValue: (stay) => stay.arrivedFrom },
+  { key: 'departedTo', label: 'Departed To', getValue: (stay) => stay.departedTo },
+  { key: 'callsign', label: 'Callsign', aircraftKind: 'callsign', getValue: (stay) => stay.callsign },
+  { key: 'registration', label: 'Registration', aircraftKind: 'registration', getValue: (stay) => stay.registration },
+  { key: 'icao', label: 'ICAO', aircraftKind: 'icao', getValue: (stay) => stay.icao, hidden: true },
+  { key: 'type', label: 'Type', getValue: (stay, info) => info?.Type, emptyText: '', hidden: true },
+  { key: 'owner', label: 'Registered Owner', getValue: (stay, info) => info?.RegisteredOwners, emptyText: '', hidden: true },
+];
+
+const DEFAULT_SORT = { key: 'duration', direction: 'desc' };
+const AIRPORTS_SHOWN = 20;
+
+const getStayRowKey = (stay) => stay.id;
+const formatShare = (part, total) => (total > 0 ? `${Math.round((part / total) * 100)}%` : '—');
+
+// Time aircraft spend on the ground between landing and their next takeoff.
+// With one airport selected it covers stays there; otherwise it lists the
+// airports with the most stays (clicking one calls onAirportClick).
+const GroundTimePanel = ({
+  stays,
+  selectedAirports,
+  onAirportClick,
+  aircraftDataMap,
+  timeBasis,
+  isLoadingAircraft,
+  onAircraftClick
+}) => {
+  const [showAllStays, setShowAllStays] = useState(false);
+
+  const summary = useMemo(() => summarizeStays(stays), [stays]);
+  const isSingleAirport = selectedAirports.length === 1;
+  const airportSummaries = useMemo(
+    () => (isSingleAirport ? [] : summarizeStaysByAirport(stays).slice(0, AIRPORTS_SHOWN)),
+    [stays, isSingleAirport]
+  );
+  const atAirports = selectedAirports.length > 0 ? ` at ${selectedAirports.join(', ')}` : '';
+  const unusualStays = useMemo(() => stays.filter(stay => stay.unusual), [stays]);
+  const tableStays = showAllStays ? stays : unusualStays;
+
+  return (
+    <>
+      <div className="summary-stats ground-time">
+        <div className="top-stats-header">
+          <h2>Ground Time{atAirports}</h2>
+        </div>
+        {summary.count === 0 ? (
+          <p className="info-message">
+            No ground stays found. A stay needs a leg departing from where the aircraft last landed, with a known takeoff time.
+          </p>
+        ) : (
+          <>
+            <p><strong>Stays:</strong> {summary.count.toLocaleString()}</p>
+            <p>
+              <strong>Median:</strong> {formatDuration(summary.median)}
+              {' · '}<strong>Mean:</strong> {formatDuration(summary.mean)}
+            </p>
+            <p>
+              <strong>Percentiles:</strong> 10th {formatDuration(summary.p10)}, 25th {formatDuration(summary.p25)},
+              75th {formatDuration(summary.p75)}, 90th {formatDuration(summary.p90)}
+            </p>
+            <p>
+              <strong>Overnight:</strong> {summary.overnightCount.toLocaleString()} ({formatShare(summary.overnightCount, summary.count)})
+              {' · '}<strong>Unusually long or short:</strong> {summary.unusualCount.toLocaleString()}
+            </p>
+
+            <div className="chart-container ground-time-chart">
+              <BarChart
+                title={`Ground Time${atAirports}`}
+                labels={STAY_DURATION_BINS.map(([label]) => label)}
+                data={summary.histogram}
+                label="Stays"
+                showAllLabels={true}
+              />
+            </div>
+
+            {airportSummaries.length > 0 && (
+              <div className="table-container">
+                <h3>Airports with the Most Stays</h3>
+                <table className="flights-table">
+                  <thead>
+                    <tr>
+                      <th>Airport</th>
+                      <th>Stays</th>
+                      <th>Median</th>
+                      <th>90th Percentile</th>
+                      <th>Overnight</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {airportSummaries.map(airport => (
+                      <tr key={airport.airport}>
+                        <td>
+                          <button className="pattern-link" onClick={(e) => onAirportClick(airport.airport, e)}>
+                            {airport.airport}
+                          </button>
+                        </td>
+                        <td>{airport.count.toLocaleString()}</td>
+                        <td>{formatDuration(airport.median)}</td>
+                        <td>{formatDuration(airport.p90)}</td>
+                        <td>{formatShare(airport.overnightCount, airport.count)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {summary.count > 0 && (
+        <>
+          <label className="ground-time-toggle">
+            <input type="checkbox" checked={showAllStays} onChange={(e) => setShowAllStays(e.target.checked)} />
+            Show all stays, not just unusually long or short ones
+          </label>
+          <DataTable
+            title={showAllStays ? 'Stays' : 'Unusual Stays'}
+            noun="stays"
+            items={tableStays}
+            columns={STAY_COLUMNS}
+            columnsStorageKey="ice-air.stayTableColumns"
+            defaultSort={DEFAULT_SORT}
+            getRowKey={getStayRowKey}
+            aircraftDataMap={aircraftDataMap}
+            timeBasis={timeBasis}
+            isLoadingAircraft={isLoadingAircraft}
+            onAircraftClick={onAircraftClick}
+          />
+        </>
+      )}
+    </>
+  );
+};
+
+export default GroundTimePanel;
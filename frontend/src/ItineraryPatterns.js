@@ -0,0 +1,79 @@
+import React from 'react';
+import { patternsToExportRows } from './tripUtils';
+import { downloadCsv, buildExportFilename } from './exportUtils';
+
+const PATTERN_LENGTHS = [1, 2, 3, 4, 5];
+const TOP_N_OPTIONS = [10, 20, 50, 100];
+
+export const DEFAULT_PATTERN_LENGTH = 2;
+export const DEFAULT_PATTERN_LIMIT = TOP_N_OPTIONS[1];
+
+// The most common airport n-grams (see countItineraryPatterns) in the date
+// range, limited to patterns that include a selected airport or pair; they are
+// counted in the data worker for the chosen length and limit. Clicking a
+// pattern calls onPatternClick(pattern) to show its legs in the flights table.
+const ItineraryPatterns = ({ patterns, length, limit, onLengthChange, onLimitChange, selectedPatternKey, onPatternClick, filterLabel, dateRange }) => {
+  const handleDownload = () => {
+    downloadCsv(patternsToExportRows(patterns), buildExportFilename(`${length}-grams`, filterLabel, dateRange, 'csv'));
+  };
+
+  return (
+    <div className="summary-stats itinerary-patterns">
+      <div className="top-stats-header">
+        <h2>Itinerary Patterns</h2>
+        <div className="pattern-controls">
+          <label>
+            Airports:{' '}
+            <select value={length} onChange={(e) => onLengthChange(Number(e.target.value))}>
+              {PATTERN_LENGTHS.map(option => <option key={option} value={option}>{option}-gram</option>)}
+            </select>
+          </label>
+          <label>
+            Show:{' '}
+            <select value={limit} onChange={(e) => onLimitChange(Number(e.target.value))}>
+              {TOP_N_OPTIONS.map(option => <option key={option} value={option}>Top {option}</option>)}
+            </select>
+          </label>
+          <button className="stats-toggle-button" onClick={handleDownload} disabled={patterns.length === 0}>
+            Download CSV
+          </button>
+        </div>
+      </div>
+
+      {patterns.length === 0 ? (
+        <p className="info-message">No {length}-airport sequences found for the current filters.</p>
+      ) : (
+        <table className="flights-table pattern-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Sequence</th>
+              <th>Count</th>
+              <th>Aircraft</th>
+            </tr>
+          </thead>
+          <tbody>
+            {patterns.map((pattern, index) => (
+              <tr key={pattern.key} className={pattern.key === selectedPatternKey ? 'selected' : undefined}>
+                <td>{index + 1}</td>
+                <td>
+                  <button
+                    className="pattern-link"
+                    onClick={() => onPatternClick(pattern)}
+                    title="Show these legs in the flights table"
+                  >
+                    {pattern.airports.join(' → ')}
+                  </button>
+                </td>
+                <td>{pattern.count.toLocaleString()}</td>
+                <td>{pattern.aircraftCount.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ItineraryPatterns;
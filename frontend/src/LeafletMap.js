@@ -1,94 +1,289 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import markerIconRetina from 'leaflet/dist/images/marker-icon-2x.png';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+import { getLegsLandedBetween } from './playbackUtils';
+import { greatCircleParts, interpolateGreatCircle, wrapLongitude } from './geoUtils';
+import { escapeHtml } from './mapStyleUtils';
+import {
+  OSM_TILE_URL,
+  OSM_ATTRIBUTION,
+  BASEMAP_ATTRIBUTION,
+  isValidXyzUrl,
+  loadWorldBasemap,
+  shouldUseCanvas
+} from './mapSettings';
 
-// Fix for Leaflet's default icon
+// Fix for Leaflet's default icon (served with the app, not from a CDN)
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon-2x.png',
-  iconUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon.png',
-  shadowUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-shadow.png',
+  iconRetinaUrl: markerIconRetina,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
 });
 
-// Utility function to calculate curved path between two points
-const calculateCurvedPath = (start, end, curveIntensity = 0.2) => {
-  // Calculate mid-point
-  const offsetX = end.lng - start.lng;
-  const offsetY = end.lat - start.lat;
-  
-  // Calculate distance
-  const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
-  
-  // Scale curve intensity with distance
-  const curveStrength = distance * curveIntensity;
-  
-  // Find a control point to make the path curve
-  const controlX = (start.lng + end.lng) / 2;
-  const controlY = (start.lat + end.lat) / 2;
-  
-  // Perpendicular to the straight line
-  const perpendicularX = -offsetY / distance;
-  const perpendicularY = offsetX / distance;
-  
-  // Control point location
-  const midpointX = controlX + perpendicularX * curveStrength;
-  const midpointY = controlY + perpendicularY * curveStrength;
-  
-  // Generate points along the curve using quadratic Bezier
-  const points = 20; // Number of points for smooth curve
-  const latlngs = [];
-  
-  for (let i = 0; i <= points; i++) {
-    const t = i / points;
-    
-    // Quadratic Bezier curve formula
-    const lat = Math.pow(1-t, 2) * start.lat + 
-                2 * (1-t) * t * midpointY + 
-                Math.pow(t, 2) * end.lat;
-                
-    const lng = Math.pow(1-t, 2) * start.lng + 
-                2 * (1-t) * t * midpointX + 
-                Math.pow(t, 2) * end.lng;
-                
-    latlngs.push([lat, lng]);
+// Routes leaving the selected airport (matches .map-legend-outbound in styles.css)
+const OUTBOUND_ROUTE_COLOR = '#ff4f9a';
+
+// Aircraft in the air during playback
+const PLAYBACK_AIRCRAFT_COLOR = '#00e6ff';
+
+// How long an arrival pulse (.map-arrival-pulse in styles.css) stays on the map
+const ARRIVAL_PULSE_MS = 1200;
+
+// Routes fade into the background while playback is on
+const PLAYBACK_ROUTE_OPACITY = 0.35;
+
+// Points per route line; enough for long routes to look smooth
+const ROUTE_SEGMENTS = 32;
+
+// Routes flown both ways bow apart by this fraction of their length
+const PAIRED_ROUTE_BOW = 0.06;
+
+// Routes whose reverse route is also on the map
+const getPairedRoutes = (trafficData) => {
+  const routes = new Set(trafficData.map(({ origin, destination }) => `${origin}-${destination}`));
+  return new Set([...routes].filter(route => routes.has(route.split('-').reverse().join('-'))));
+};
+
+// Great-circle route as Leaflet line parts, split at the antimeridian
+const calculateRouteParts = (start, end, bow) => (
+  greatCircleParts(start, end, ROUTE_SEGMENTS, bow).map(part => part.map(({ lat, lng }) => [lat, lng]))
+);
+
+// The two points in the middle of a route where its arrow goes, from the
+// same part so the arrow never points across the antimeridian
+const getArrowPoints = (parts) => {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  let index = Math.floor(total / 2);
+  for (const part of parts) {
+    if (index < part.length) {
+      const at = Math.max(1, index);
+      return [part[at - 1], part[at]];
+    }
+    index -= part.length;
+  }
+  const last = parts[parts.length - 1];
+  return [last[last.length - 2], last[last.length - 1]];
+};
+
+// --- Route Arrows ---
+
+// Arrow head at a route's midpoint: a circle marker drawn as a triangle that
+// points from `options.from` towards its position, `radius` pixels wide. It
+// draws through the layer's renderer (SVG or canvas), so Leaflet moves it
+// with the map instead of it being repositioned on every pan and zoom.
+const RouteArrow = L.CircleMarker.extend({
+  _project() {
+    L.CircleMarker.prototype._project.call(this);
+    const from = this._map.latLngToLayerPoint(this.options.from);
+    this._angle = Math.atan2(this._point.y - from.y, this._point.x - from.x);
+  },
+
+  // The tip reaches 1.5 radii ahead of the position
+  _updateBounds() {
+    const reach = this._radius * 1.5 + this._clickTolerance();
+    this._pxBounds = L.bounds(this._point.subtract([reach, reach]), this._point.add([reach, reach]));
+  },
+
+  _updatePath() {
+    const size = this._radius;
+    const cos = Math.cos(this._angle);
+    const sin = Math.sin(this._angle);
+    const corner = (along, across) => L.point(
+      this._point.x + along * cos - across * sin,
+      this._point.y + along * sin + across * cos
+    );
+    const points = [corner(0, -size / 2), corner(size * 1.5, 0), corner(0, size / 2)];
+    const renderer = this._renderer;
+
+    if (renderer instanceof L.Canvas) {
+      if (!renderer._drawing || this._empty()) return;
+      renderer._drawnLayers[this._leaflet_id] = this;
+      const ctx = renderer._ctx;
+      ctx.beginPath();
+      points.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.closePath();
+      renderer._fillStroke(ctx, this);
+    } else {
+      renderer._setPath(this, `M${points.map(({ x, y }) => `${x},${y}`).join('L')}Z`);
+    }
+  }
+});
+
+// --- Airport Clusters ---
+
+// Airports within the same square of this many pixels are grouped
+const CLUSTER_CELL_PX = 40;
+
+// From this zoom on every airport is drawn on its own
+const CLUSTER_MAX_ZOOM = 9;
+
+// Groups of two or more airports that share a cell of the map at `zoom`
+const groupAirportsIntoClusters = (airports, map, zoom) => {
+  const cells = new Map();
+  airports.forEach(airport => {
+    const point = map.project([airport.lat, airport.lng], zoom);
+    const key = `${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(airport);
+  });
+  return [...cells.values()].filter(cell => cell.length > 1);
+};
+
+// A numbered cluster marker (.map-airport-cluster in styles.css); clicking it
+// zooms in until its airports separate
+const createClusterMarker = (airports, map) => {
+  const lat = airports.reduce((sum, airport) => sum + airport.lat, 0) / airports.length;
+  const lng = airports.reduce((sum, airport) => sum + airport.lng, 0) / airports.length;
+  const size = Math.round(24 + Math.min(16, Math.log2(airports.length) * 4));
+  const busiest = [...airports].sort((a, b) => b.traffic - a.traffic);
+  const names = busiest.slice(0, 5).map(airport => airport.code).join(', ');
+  const more = airports.length > 5 ? ` and ${airports.length - 5} more` : '';
+
+  const marker = L.marker([lat, lng], {
+    icon: L.divIcon({
+      className: 'map-airport-cluster',
+      html: `<span>${airports.length}</span>`,
+      iconSize: [size, size]
+    }),
+    keyboard: false
+  });
+  marker.bindTooltip(`<div><strong>${airports.length} airports</strong><br>${names}${more}</div>`, {
+    direction: 'top',
+    offset: [0, -size / 2],
+    opacity: 0.9
+  });
+  marker.on('click', () => {
+    map.fitBounds(L.latLngBounds(airports.map(airport => [airport.lat, airport.lng])), {
+      padding: [40, 40],
+      maxZoom: CLUSTER_MAX_ZOOM
+    });
+  });
+  return marker;
+};
+
+// --- Base Layers ---
+
+// Tiles from an opened MBTiles/PMTiles file (see openTileFile in mapSettings.js)
+const FileTileLayer = L.GridLayer.extend({
+  createTile(coords, done) {
+    const tile = document.createElement('img');
+    tile.alt = '';
+    this.options.tileFile.getTile(coords.z, coords.x, coords.y)
+      .then(blob => {
+        if (!blob) {
+          done(null, tile);
+          return;
+        }
+        const url = URL.createObjectURL(blob);
+        tile.onload = () => {
+          URL.revokeObjectURL(url);
+          done(null, tile);
+        };
+        tile.onerror = () => {
+          URL.revokeObjectURL(url);
+          done(new Error('Unreadable tile'), tile);
+        };
+        tile.src = url;
+      })
+      .catch(err => done(err, tile));
+    return tile;
   }
-  
-  return latlngs;
+});
+
+const BASEMAP_STYLES = {
+  land: { stroke: false, fillColor: '#474747', fillOpacity: 1 },
+  coastlines: { color: '#7a7a7a', weight: 1 },
+  countryBorders: { color: '#8c8c8c', weight: 0.8 },
+  stateBorders: { color: '#5f5f5f', weight: 0.6, dashArray: '3,3' },
+};
+
+// The built-in vector basemap, drawn in its own pane under the routes
+const createBasemapLayer = (basemap, pane) => L.layerGroup(
+  Object.entries(BASEMAP_STYLES).map(([key, style]) => L.geoJSON(basemap[key], {
+    pane,
+    interactive: false,
+    style: () => style,
+  })),
+  { attribution: BASEMAP_ATTRIBUTION }
+);
+
+// Position `fraction` (0-1) of the way along an unsplit route (from
+// interpolateGreatCircle, longitudes unwrapped) as a Leaflet [lat, lng]
+const pointAlongPath = (points, fraction) => {
+  const position = Math.min(1, Math.max(0, fraction)) * (points.length - 1);
+  const index = Math.min(Math.floor(position), points.length - 2);
+  const t = position - index;
+  const from = points[index];
+  const to = points[index + 1];
+  return [from.lat + (to.lat - from.lat) * t, wrapLongitude(from.lng + (to.lng - from.lng) * t)];
 };
 
 const LeafletMap = ({ 
   trafficData, 
   filteredAirports, 
-  getCircleSize, 
-  selectedAirport,
-  selectedPair,
+  airportStyles,
+  routeColors,
+  selectedAirports,
+  selectedPairs,
+  outboundAirports,
   defaultCenter,
   defaultZoom,
   bounds,
   onAirportClick,
-  onBackgroundClick
+  onBackgroundClick,
+  tileSettings,
+  tileFile,
+  renderSettings,
+  playbackTimeline,
+  playbackTime,
+  airborneLegs
 }) => {
   const mapContainerRef = useRef(null);
   const mapRef = useRef(null);
-  const airportMarkersRef = useRef({});
-  const flightPathsRef = useRef({});
-  const arrowsRef = useRef({});
+  const airportMarkersRef = useRef(new Map()); // code -> marker
+  const routeLayersRef = useRef(new Map()); // pair -> { line, arrow, bow }
+  const clusterLayerRef = useRef(null);
+  const svgRendererRef = useRef(null);
+  const canvasRendererRef = useRef(null);
+  const baseLayerRef = useRef(null);
+  const onAirportClickRef = useRef(onAirportClick);
+  const playbackMarkersRef = useRef(new Map()); // leg index -> marker
+  const playbackPathsRef = useRef(new Map()); // pair -> great-circle points
+  const arrivalPulsesRef = useRef(new Map()); // airport -> { marker, timer }
+  const lastPlaybackTimeRef = useRef(null);
   const initializedRef = useRef(false);
   const [mapReady, setMapReady] = useState(false);
+  const pairedRoutes = useMemo(() => getPairedRoutes(trafficData), [trafficData]);
+  const useCanvas = shouldUseCanvas(renderSettings.renderer, trafficData.length, filteredAirports.length);
+
+  // Markers keep their click handlers across updates, so they call the latest callback
+  useEffect(() => {
+    onAirportClickRef.current = onAirportClick;
+  }, [onAirportClick]);
 
   // Initialize the map only once
   useEffect(() => {
     if (!mapContainerRef.current || initializedRef.current) return;
+    const airportMarkers = airportMarkersRef.current;
+    const routeLayers = routeLayersRef.current;
     
     // Create the map
     mapRef.current = L.map(mapContainerRef.current, {
       attributionControl: true
     });
     
-    // Add tile layer
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-    }).addTo(mapRef.current);
+    // Pane for the built-in basemap, at the level of tile layers
+    mapRef.current.createPane('basemap').style.zIndex = 200;
+
+    // Routes, airports and playback markers share one renderer, so that on
+    // canvas a single element receives the mouse events
+    svgRendererRef.current = L.svg();
+    canvasRendererRef.current = L.canvas({ padding: 0.5 });
+    clusterLayerRef.current = L.layerGroup().addTo(mapRef.current);
 
     // Set initial view - only once
     if (bounds && bounds.length === 2 && bounds[0].length === 2 && bounds[1].length === 2) {
@@ -100,7 +295,9 @@ const LeafletMap = ({
     // Add click handler for map background
     if (onBackgroundClick) {
       const mapClickHandler = (e) => {
-        if (e.originalEvent.target === mapRef.current._container) {
+        // On canvas, clicks that miss every layer land on the canvas itself
+        const target = e.originalEvent.target;
+        if (target === mapRef.current._container || target === canvasRendererRef.current._container) {
           onBackgroundClick();
         }
       };
@@ -119,248 +316,298 @@ const LeafletMap = ({
         }
         mapRef.current.remove();
         mapRef.current = null;
+        airportMarkers.clear();
+        routeLayers.clear();
         initializedRef.current = false;
       }
     };
   }, []); // Empty dependency array ensures this only runs once
 
-  // Update airport markers without affecting map view
+  // Swap the base layer when the tile source changes. A file source without
+  // an opened file, or an XYZ source without a URL, shows the built-in basemap.
   useEffect(() => {
     if (!mapRef.current || !mapReady) return;
-    
-    // Save current view state
-    const currentCenter = mapRef.current.getCenter();
-    const currentZoom = mapRef.current.getZoom();
-    
-    // Clean up existing markers
-    Object.values(airportMarkersRef.current).forEach(marker => {
-      marker.remove();
-    });
-    airportMarkersRef.current = {};
-    
-    // Add airport markers
+    const map = mapRef.current;
+    let cancelled = false;
+
+    const setBaseLayer = (layer) => {
+      if (baseLayerRef.current) baseLayerRef.current.remove();
+      baseLayerRef.current = layer ? layer.addTo(map) : null;
+    };
+
+    const { source, url } = tileSettings;
+    if (source === 'osm') {
+      setBaseLayer(L.tileLayer(OSM_TILE_URL, { attribution: OSM_ATTRIBUTION }));
+    } else if (source === 'xyz' && isValidXyzUrl(url)) {
+      setBaseLayer(L.tileLayer(url));
+    } else if (source === 'file' && tileFile) {
+      setBaseLayer(new FileTileLayer({
+        tileFile,
+        minNativeZoom: tileFile.minZoom,
+        maxNativeZoom: tileFile.maxZoom,
+        attribution: tileFile.attribution
+      }));
+    } else {
+      setBaseLayer(null);
+      loadWorldBasemap()
+        .then(basemap => {
+          if (!cancelled) setBaseLayer(createBasemapLayer(basemap, 'basemap'));
+        })
+        .catch(err => console.error("Failed to load the built-in basemap:", err));
+    }
+
+    return () => { cancelled = true; };
+  }, [tileSettings, tileFile, mapReady]);
+
+  // Update airport markers in place and group dense areas into clusters,
+  // regrouping whenever the zoom changes. Selected airports are never clustered.
+  useEffect(() => {
+    if (!mapRef.current || !mapReady) return;
+    const map = mapRef.current;
+    const renderer = useCanvas ? canvasRendererRef.current : svgRendererRef.current;
+    const markers = airportMarkersRef.current;
+    const selected = new Set(selectedAirports);
+    const current = new Set();
+
     filteredAirports.forEach(airport => {
       const { code, lat, lng, traffic } = airport;
-      
-      // Create circle marker
-      const radius = getCircleSize(code);
-      const color = selectedAirport === code ? '#ff9f40' : '#8a2be2';
-      
-      const marker = L.circleMarker([lat, lng], {
-        radius,
-        fillColor: color,
-        color: '#333',
-        weight: 1,
+      current.add(code);
+      const { radius, fillColor, detail } = airportStyles[code];
+      const isSelected = selected.has(code);
+      // Airports colored by a metric show their selection as an outline
+      const style = fillColor
+        ? { radius, fillColor, color: isSelected ? '#ff9f40' : '#333', weight: isSelected ? 3 : 1 }
+        : { radius, fillColor: isSelected ? '#ff9f40' : '#8a2be2', color: '#333', weight: 1 };
+      const tooltip = `<div><strong>${code}</strong><br>Traffic: ${traffic} flights${detail ? `<br>${detail}` : ''}</div>`;
+
+      let marker = markers.get(code);
+      if (marker && marker.options.renderer !== renderer) {
+        marker.remove();
+        marker = null;
+      }
+      if (marker) {
+        marker.setStyle(style);
+        marker.setTooltipContent(tooltip);
+        return;
+      }
+
+      marker = L.circleMarker([lat, lng], {
+        ...style,
+        renderer,
         opacity: 1,
         fillOpacity: 0.7
-      }).addTo(mapRef.current);
-      
-      // Add tooltip
-      marker.bindTooltip(`<div><strong>${code}</strong><br>Traffic: ${traffic} flights</div>`, {
+      });
+      marker.bindTooltip(tooltip, {
         direction: 'top',
         offset: [0, -10],
         opacity: 0.9
       });
-      
-      // Add click handler
-      marker.on('click', () => {
-        if (onAirportClick) {
-          onAirportClick(code);
+      marker.on('click', (e) => {
+        if (onAirportClickRef.current) {
+          onAirportClickRef.current(code, e.originalEvent);
         }
       });
-      
-      // Store reference to marker
-      airportMarkersRef.current[code] = marker;
+      markers.set(code, marker);
     });
-    
-    // Restore original view state
-    mapRef.current.setView(currentCenter, currentZoom, {
-      animate: false,
-      duration: 0
+
+    markers.forEach((marker, code) => {
+      if (!current.has(code)) {
+        marker.remove();
+        markers.delete(code);
+      }
     });
-  }, [filteredAirports, getCircleSize, selectedAirport, onAirportClick, mapReady]);
 
-  // Update flight paths without affecting map view
+    const layoutAirports = () => {
+      const zoom = map.getZoom();
+      const clusters = renderSettings.clusterAirports && zoom < CLUSTER_MAX_ZOOM
+        ? groupAirportsIntoClusters(filteredAirports.filter(airport => !selected.has(airport.code)), map, zoom)
+        : [];
+      const clustered = new Set(clusters.flat().map(airport => airport.code));
+
+      markers.forEach((marker, code) => {
+        const isVisible = !clustered.has(code);
+        if (isVisible && !map.hasLayer(marker)) marker.addTo(map);
+        else if (!isVisible && map.hasLayer(marker)) marker.remove();
+      });
+
+      clusterLayerRef.current.clearLayers();
+      clusters.forEach(airports => clusterLayerRef.current.addLayer(createClusterMarker(airports, map)));
+    };
+
+    layoutAirports();
+    map.on('zoomend', layoutAirports);
+    return () => {
+      map.off('zoomend', layoutAirports);
+    };
+  }, [filteredAirports, airportStyles, selectedAirports, renderSettings.clusterAirports, useCanvas, mapReady]);
+
+  // Update routes in place: only their style and tooltip change with the
+  // filters and selection. A route is rebuilt when its geometry (the bow of a
+  // route flown both ways) or the renderer changes.
   useEffect(() => {
     if (!mapRef.current || !mapReady) return;
-    
-    // Save current view state
-    const currentCenter = mapRef.current.getCenter();
-    const currentZoom = mapRef.current.getZoom();
+    const map = mapRef.current;
+    const renderer = useCanvas ? canvasRendererRef.current : svgRendererRef.current;
+    const routes = routeLayersRef.current;
     
     // Find max traffic count for scaling
     const maxCount = trafficData.length > 0 ? trafficData[0].count : 1;
+    const isPlayback = Boolean(playbackTimeline);
+    const current = new Set();
     
-    // Clean up existing flight paths and arrows
-    Object.values(flightPathsRef.current).forEach(path => {
-      path.remove();
-    });
-    flightPathsRef.current = {};
-    
-    Object.values(arrowsRef.current).forEach(arrow => {
-      if (arrow.parentNode) {
-        arrow.parentNode.removeChild(arrow);
-      }
-    });
-    arrowsRef.current = {};
-    
-    // Add flight paths
     trafficData.forEach(route => {
       const { origin, destination, originCoords, destCoords, count } = route;
       const pairKey = `${origin}-${destination}`;
-      const isSelected = selectedPair === pairKey;
-      
-      // Calculate path
-      const pathCoords = calculateCurvedPath(originCoords, destCoords);
+      current.add(pairKey);
+      const isSelected = selectedPairs.includes(pairKey);
+      const isOutbound = !isSelected && outboundAirports.includes(origin);
       
       // Calculate line thickness based on flight count (between 1 and 5)
       const weight = 1 + Math.min(4, (count / maxCount) * 4);
       
       // Calculate color opacity based on flight count
-      const opacity = Math.min(0.9, 0.3 + (count / maxCount) * 0.6);
-      
-      // Choose color based on selection state
-      const color = isSelected ? '#ff9f40' : '#8a2be2';
+      const opacity = Math.min(0.9, 0.3 + (count / maxCount) * 0.6) * (isPlayback ? PLAYBACK_ROUTE_OPACITY : 1);
       
-      // Create polyline
-      const flightPath = L.polyline(pathCoords, {
+      // Choose color based on selection state, or the route's style color
+      const styleColor = routeColors?.[pairKey];
+      const color = isSelected ? '#ff9f40' : styleColor ? styleColor.color : isOutbound ? OUTBOUND_ROUTE_COLOR : '#8a2be2';
+
+      const lineStyle = {
         weight,
         color,
         opacity,
-        dashArray: isSelected ? "" : "4,4" // Dashed if not selected
-      }).addTo(mapRef.current);
-      
-      // Add tooltip
-      flightPath.bindTooltip(
-        `<div><strong>${origin} → ${destination}</strong><br><strong>Flights: ${count}</strong></div>`,
-        { direction: 'top', opacity: 0.9 }
-      );
-      
-      // Store reference to path
-      flightPathsRef.current[pairKey] = flightPath;
-      
-      // Add directional arrow
-      const pathLength = pathCoords.length;
-      const midIndex = Math.floor(pathLength / 2);
-      
-      // Get point just before middle for direction
-      const point1 = mapRef.current.latLngToLayerPoint(
-        L.latLng(pathCoords[midIndex > 0 ? midIndex - 1 : 0])
-      );
-      
-      // Get middle point for arrow position
-      const point2 = mapRef.current.latLngToLayerPoint(
-        L.latLng(pathCoords[midIndex])
-      );
-      
-      // Calculate direction
-      const dx = point2.x - point1.x;
-      const dy = point2.y - point1.y;
-      const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+        dashArray: isSelected || isOutbound ? null : '4,4' // Dashed if not selected or outbound
+      };
       
       // Calculate size of arrow (scale with line weight)
-      const arrowSize = 6 + weight * 1.5;
-      
-      // Use the SVG renderer to add arrows
-      const svg = mapRef.current._renderer._container;
-      
-      // Create a new arrow marker as an SVG path
-      const arrowPath = document.createElementNS("http://www.w3.org/2000/svg", "path");
-      arrowPath.setAttribute("id", `arrow-${pairKey}`);
-      arrowPath.setAttribute("d", `M 0,${-arrowSize / 2} L ${arrowSize * 1.5},0 L 0,${arrowSize / 2} Z`);
-      arrowPath.setAttribute("fill", color);
-      arrowPath.setAttribute("fill-opacity", opacity.toString());
-      arrowPath.setAttribute("stroke", "none");
-      arrowPath.setAttribute("transform", `translate(${point2.x},${point2.y}) rotate(${angle})`);
+      const arrowStyle = { radius: 6 + weight * 1.5, fillColor: color, fillOpacity: opacity };
+      const tooltip = `<div><strong>${origin} → ${destination}</strong><br><strong>Flights: ${count}</strong>`
+        + `${styleColor ? `<br>${styleColor.detail}` : ''}</div>`;
       
-      // Add hover events to arrow
-      const handleArrowMouseOver = (e) => {
-        const targetPath = flightPathsRef.current[pairKey];
-        if (targetPath) {
-           // Open the tooltip associated with the main flight path
-           const map = mapRef.current;
-           if (map) {
-             const latlng = map.mouseEventToLatLng(e);
-             targetPath.openTooltip(latlng);
-           } else {
-             targetPath.openTooltip(); 
-           }
-        }
-      };
-      const handleArrowMouseOut = () => {
-        const targetPath = flightPathsRef.current[pairKey];
-        if (targetPath) {
-          targetPath.closeTooltip();
-        }
-      };
+      // Great-circle path, bowed to one side when the reverse route is drawn too
+      const bow = pairedRoutes.has(pairKey) ? PAIRED_ROUTE_BOW : 0;
 
-      arrowPath.addEventListener('mouseover', handleArrowMouseOver);
-      arrowPath.addEventListener('mouseout', handleArrowMouseOut);
-      arrowPath._mouseOverHandler = handleArrowMouseOver;
-      arrowPath._mouseOutHandler = handleArrowMouseOut;
-      
-      // Add the arrow to the SVG container
-      svg.appendChild(arrowPath);
-      
-      // Store reference to arrow
-      arrowsRef.current[pairKey] = arrowPath;
-      
-      // Update the arrow when the map moves
-      const updateArrow = () => {
-        if (!mapRef.current) return;
-        
-        // Update points based on new map view
-        const newPoint1 = mapRef.current.latLngToLayerPoint(
-          L.latLng(pathCoords[midIndex > 0 ? midIndex - 1 : 0])
-        );
-        const newPoint2 = mapRef.current.latLngToLayerPoint(
-          L.latLng(pathCoords[midIndex])
-        );
-        
-        // Calculate new direction
-        const newDx = newPoint2.x - newPoint1.x;
-        const newDy = newPoint2.y - newPoint1.y;
-        const newAngle = Math.atan2(newDy, newDx) * 180 / Math.PI;
-        
-        // Update transform
-        arrowPath.setAttribute("transform", `translate(${newPoint2.x},${newPoint2.y}) rotate(${newAngle})`);
-      };
-      
-      // Add event listeners for map movements
-      mapRef.current.on('moveend', updateArrow);
-      mapRef.current.on('zoomend', updateArrow);
-      
-      // Store the event handlers for cleanup
-      flightPath._updateArrow = updateArrow;
+      const existing = routes.get(pairKey);
+      if (existing && existing.bow === bow && existing.line.options.renderer === renderer) {
+        existing.line.setStyle(lineStyle);
+        existing.line.setTooltipContent(tooltip);
+        existing.arrow.setStyle(arrowStyle);
+        existing.arrow.setTooltipContent(tooltip);
+        return;
+      }
+      if (existing) {
+        existing.line.remove();
+        existing.arrow.remove();
+      }
+
+      const pathParts = calculateRouteParts(originCoords, destCoords, bow);
+      const [arrowFrom, arrowAt] = getArrowPoints(pathParts);
+      const line = L.polyline(pathParts, { ...lineStyle, renderer })
+        .bindTooltip(tooltip, { direction: 'top', opacity: 0.9 })
+        .addTo(map);
+      const arrow = new RouteArrow(arrowAt, { ...arrowStyle, renderer, from: arrowFrom, stroke: false })
+        .bindTooltip(tooltip, { direction: 'top', opacity: 0.9 })
+        .addTo(map);
+
+      // New routes go under the airports (and the arrow over its line)
+      arrow.bringToBack();
+      line.bringToBack();
+      routes.set(pairKey, { line, arrow, bow });
     });
-    
-    // Restore original view state
-    mapRef.current.setView(currentCenter, currentZoom, {
-      animate: false,
-      duration: 0
+
+    routes.forEach(({ line, arrow }, pairKey) => {
+      if (!current.has(pairKey)) {
+        line.remove();
+        arrow.remove();
+        routes.delete(pairKey);
+      }
     });
-    
-    // Clean up event listeners when trafficData changes
+  }, [trafficData, routeColors, pairedRoutes, selectedPairs, outboundAirports, playbackTimeline, useCanvas, mapReady]);
+
+  // Remove playback markers and pulses when playback ends or the legs change
+  useEffect(() => {
+    const markers = playbackMarkersRef.current;
+    const pulses = arrivalPulsesRef.current;
+    const paths = playbackPathsRef.current;
     return () => {
-      if (mapRef.current) {
-        Object.values(flightPathsRef.current).forEach(path => {
-          if (path._updateArrow) {
-            mapRef.current.off('moveend', path._updateArrow);
-            mapRef.current.off('zoomend', path._updateArrow);
-          }
-        });
-
-        Object.values(arrowsRef.current).forEach(arrow => {
-          if (arrow._mouseOverHandler) {
-            arrow.removeEventListener('mouseover', arrow._mouseOverHandler);
-          }
-          if (arrow._mouseOutHandler) {
-            arrow.removeEventListener('mouseout', arrow._mouseOutHandler);
-          }
-        });
-      }
+      markers.forEach(marker => marker.remove());
+      markers.clear();
+      pulses.forEach(({ marker, timer }) => {
+        clearTimeout(timer);
+        marker.remove();
+      });
+      pulses.clear();
+      paths.clear();
+      lastPlaybackTimeRef.current = null;
     };
-  }, [trafficData, selectedPair, mapReady]);
+  }, [playbackTimeline]);
+
+  // Move the airborne aircraft along their routes and pulse airports on arrival
+  useEffect(() => {
+    if (!mapRef.current || !mapReady || !playbackTimeline) return;
+    const map = mapRef.current;
+    const renderer = useCanvas ? canvasRendererRef.current : svgRendererRef.current;
+    const markers = playbackMarkersRef.current;
+
+    const airborneIndexes = new Set();
+    airborneLegs.forEach(({ leg, progress }) => {
+      airborneIndexes.add(leg.index);
+      const pairKey = `${leg.origin}-${leg.destination}`;
+      let path = playbackPathsRef.current.get(pairKey);
+      if (!path) {
+        path = interpolateGreatCircle(leg.from, leg.to, ROUTE_SEGMENTS, pairedRoutes.has(pairKey) ? PAIRED_ROUTE_BOW : 0);
+        playbackPathsRef.current.set(pairKey, path);
+      }
+      const position = pointAlongPath(path, progress);
+      const marker = markers.get(leg.index);
+      if (marker && marker.options.renderer === renderer) {
+        marker.setLatLng(position);
+      } else {
+        if (marker) marker.remove();
+        const newMarker = L.circleMarker(position, {
+          renderer,
+          radius: 4,
+          fillColor: PLAYBACK_AIRCRAFT_COLOR,
+          color: '#333',
+          weight: 1,
+          fillOpacity: 1
+        }).addTo(map);
+        newMarker.bindTooltip(
+          `${escapeHtml(leg.icao)}: ${escapeHtml(leg.origin)} → ${escapeHtml(leg.destination)}`,
+          { direction: 'top', opacity: 0.9 }
+        );
+        markers.set(leg.index, newMarker);
+      }
+    });
+    markers.forEach((marker, index) => {
+      if (!airborneIndexes.has(index)) {
+        marker.remove();
+        markers.delete(index);
+      }
+    });
+
+    // Only pulse for landings passed while moving forward, not for slider jumps back
+    const lastTime = lastPlaybackTimeRef.current;
+    lastPlaybackTimeRef.current = playbackTime;
+    if (lastTime === null || playbackTime <= lastTime) return;
+    const pulses = arrivalPulsesRef.current;
+    getLegsLandedBetween(playbackTimeline, lastTime, playbackTime).forEach(leg => {
+      if (pulses.has(leg.destination)) return;
+      const marker = L.circleMarker([leg.to.lat, leg.to.lng], {
+        radius: 10,
+        className: 'map-arrival-pulse',
+        color: PLAYBACK_AIRCRAFT_COLOR,
+        weight: 2,
+        fill: false,
+        interactive: false
+      }).addTo(map);
+      const timer = setTimeout(() => {
+        marker.remove();
+        pulses.delete(leg.destination);
+      }, ARRIVAL_PULSE_MS);
+      pulses.set(leg.destination, { marker, timer });
+    });
+  }, [playbackTimeline, playbackTime, airborneLegs, pairedRoutes, useCanvas, mapReady]);
 
   return (
     <div 
@@ -0,0 +1,88 @@
+import React from 'react';
+import { RAMP_COLORS } from './mapStyleUtils';
+
+const RAMP_GRADIENT = `linear-gradient(to right, ${RAMP_COLORS.join(', ')})`;
+
+const LegendRamp = ({ label, ticks }) => (
+  <div className="map-legend-scale">
+    <span>{label}</span>
+    <span className="map-legend-ramp" style={{ background: RAMP_GRADIENT }} aria-hidden="true" />
+    <span className="map-legend-ticks">
+      {ticks.map((tick, i) => <span key={i}>{tick}</span>)}
+    </span>
+  </div>
+);
+
+const LegendLine = ({ className, style, children }) => (
+  <span className="map-legend-item">
+    <span className={`map-legend-line ${className || ''}`} style={style} aria-hidden="true" /> {children}
+  </span>
+);
+
+// Key to the map's styles, drawn over its bottom-left corner. airportLegend
+// and routeLegend come from buildAirportStyles and buildRouteColors in
+// mapStyleUtils.js (routeLegend is null for the selection colors).
+const MapLegend = ({ airportLegend, routeLegend, hasSelectedAirports, hasSelectedPairs, outboundAirports, hiddenRouteCount }) => {
+  const { sizeLegend, colorLegend } = airportLegend;
+  const outboundLabel = `Outbound from ${outboundAirports.join(', ')}`;
+
+  return (
+    <div className="map-legend">
+      <div className="map-legend-section">
+        <span className="map-legend-title">Airports</span>
+        <span className="map-legend-item">
+          <span className="map-legend-circle map-legend-circle-small" aria-hidden="true" /> {sizeLegend.min}
+          <span className="map-legend-circle map-legend-circle-large" aria-hidden="true" /> {sizeLegend.max}
+          <span className="map-legend-note">{sizeLegend.label}</span>
+        </span>
+        {colorLegend ? (
+          <LegendRamp label={colorLegend.label} ticks={colorLegend.ticks} />
+        ) : (
+          <span className="map-legend-item">
+            <span className="map-legend-dot map-legend-airport" aria-hidden="true" /> Airport
+          </span>
+        )}
+        {hasSelectedAirports && (
+          <span className="map-legend-item">
+            <span className={`map-legend-dot ${colorLegend ? 'map-legend-selected-ring' : 'map-legend-selected'}`} aria-hidden="true" /> Selected
+          </span>
+        )}
+      </div>
+
+      <div className="map-legend-section">
+        <span className="map-legend-title">Routes</span>
+        {routeLegend?.ticks && <LegendRamp label={routeLegend.label} ticks={routeLegend.ticks} />}
+        {routeLegend?.categories && (
+          <>
+            <span className="map-legend-note">{routeLegend.label}</span>
+            {routeLegend.categories.map(({ label, color }) => (
+              <LegendLine key={label} className="map-legend-category" style={{ borderTopColor: color }}>{label}</LegendLine>
+            ))}
+          </>
+        )}
+        {routeLegend ? (
+          outboundAirports.length > 0 && (
+            <>
+              <LegendLine className="map-legend-solid">{outboundLabel}</LegendLine>
+              <LegendLine className="map-legend-dashed">Other routes</LegendLine>
+            </>
+          )
+        ) : (
+          <>
+            {outboundAirports.length > 0 && <LegendLine className="map-legend-outbound">{outboundLabel}</LegendLine>}
+            <LegendLine className="map-legend-other">{outboundAirports.length > 0 ? 'Other routes' : 'Route'}</LegendLine>
+          </>
+        )}
+        {hasSelectedPairs && <LegendLine className="map-legend-selected-route">Selected</LegendLine>}
+        <span className="map-legend-note">Thicker lines: more flights</span>
+        {hiddenRouteCount > 0 && (
+          <span className="map-legend-note">
+            {hiddenRouteCount.toLocaleString()} weaker {hiddenRouteCount === 1 ? 'route' : 'routes'} hidden
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MapLegend;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { PLAYBACK_SPEEDS } from './playbackUtils';
+
+// Time slider, play/pause and speed for map playback, with the running clock
+// and the airborne/landed counters. Times are in ms.
+const MapPlaybackControls = ({
+  start,
+  end,
+  time,
+  isPlaying,
+  speed,
+  clockLabel,
+  airborneCount,
+  landingsCount,
+  onTimeChange,
+  onTogglePlay,
+  onSpeedChange
+}) => (
+  <div className="map-playback-controls">
+    <button className="stats-toggle-button" onClick={onTogglePlay}>
+      {isPlaying ? 'Pause' : 'Play'}
+    </button>
+    <input
+      type="range"
+      className="map-playback-slider"
+      min={start}
+      max={end}
+      step={60000}
+      value={time}
+      onChange={(e) => onTimeChange(Number(e.target.value))}
+      aria-label="Playback time"
+    />
+    <label className="map-playback-speed">
+      Speed:{' '}
+      <select value={speed} onChange={(e) => onSpeedChange(e.target.value)}>
+        {Object.entries(PLAYBACK_SPEEDS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+    </label>
+    <div className="map-playback-stats" aria-live="off">
+      <span className="map-playback-clock">{clockLabel}</span>
+      <span>{airborneCount.toLocaleString()} aircraft airborne</span>
+      <span>{landingsCount.toLocaleString()} landings so far</span>
+    </div>
+  </div>
+);
+
+export default MapPlaybackControls;
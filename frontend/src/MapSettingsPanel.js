@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { TILE_SOURCES, MAP_RENDERERS, isValidXyzUrl, openTileFile } from './mapSettings';
+
+// Picks the map's tile source (OpenStreetMap, a custom XYZ URL template, a
+// local MBTiles/PMTiles file or the built-in offline basemap), how routes are
+// rendered and whether airports are clustered.
+// onChange(settings) receives the new { source, url }, onTileFileOpen(file)
+// the opened tile file and onRenderSettingsChange the new
+// { renderer, clusterAirports }.
+const MapSettingsPanel = ({ settings, tileFile, renderSettings, onChange, onTileFileOpen, onRenderSettingsChange }) => {
+  const [urlInput, setUrlInput] = useState(settings.url);
+  const [urlError, setUrlError] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [isOpeningFile, setIsOpeningFile] = useState(false);
+
+  const handleSourceChange = (source) => {
+    // A custom URL is only used once one has been applied
+    if (source === 'xyz' && !isValidXyzUrl(settings.url)) {
+      onChange({ ...settings, source: 'xyz', url: '' });
+      return;
+    }
+    onChange({ ...settings, source });
+  };
+
+  const handleApplyUrl = (e) => {
+    e.preventDefault();
+    const url = urlInput.trim();
+    if (!isValidXyzUrl(url)) {
+      setUrlError('The URL needs {z}, {x} and {y} placeholders, e.g. http://tiles.local/{z}/{x}/{y}.png');
+      return;
+    }
+    setUrlError(null);
+    onChange({ source: 'xyz', url });
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setIsOpeningFile(true);
+    setFileError(null);
+    openTileFile(file)
+      .then(onTileFileOpen)
+      .catch(err => setFileError(err.message))
+      .finally(() => setIsOpeningFile(false));
+  };
+
+  return (
+    <div className="map-settings-panel">
+      <label>
+        Tile source:{' '}
+        <select value={settings.source} onChange={(e) => handleSourceChange(e.target.value)}>
+          {Object.entries(TILE_SOURCES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+
+      {settings.source === 'xyz' && (
+        <form className="map-settings-url" onSubmit={handleApplyUrl}>
+          <input
+            type="text"
+            value={urlInput}
+            onChange={(e) => setUrlInput(e.target.value)}
+            placeholder="http://tiles.local/{z}/{x}/{y}.png"
+            aria-label="XYZ tile URL template"
+            spellCheck={false}
+          />
+          <button type="submit" className="stats-toggle-button">Apply</button>
+          {!isValidXyzUrl(settings.url) && !urlError && (
+            <span className="dialog-description">Showing the built-in basemap until a URL is applied.</span>
+          )}
+          {urlError && <span className="map-settings-error">{urlError}</span>}
+        </form>
+      )}
+
+      {settings.source === 'file' && (
+        <div className="map-settings-file">
+          <label className="stats-toggle-button">
+            {isOpeningFile ? 'Opening…' : 'Open Tile File'}
+            <input type="file" accept=".mbtiles,.pmtiles" onChange={handleFileChange} disabled={isOpeningFile} hidden />
+          </label>
+          <span className="dialog-description">
+            {tileFile
+              ? `Showing ${tileFile.name} (zoom ${tileFile.minZoom}–${tileFile.maxZoom})`
+              : 'Showing the built-in basemap until a raster .mbtiles or .pmtiles file is opened. Files have to be opened again after a reload.'}
+          </span>
+          {fileError && <span className="map-settings-error">{fileError}</span>}
+        </div>
+      )}
+
+      <div className="map-settings-rendering">
+        <label>
+          Rendering:{' '}
+          <select
+            value={renderSettings.renderer}
+            onChange={(e) => onRenderSettingsChange({ ...renderSettings, renderer: e.target.value })}
+          >
+            {Object.entries(MAP_RENDERERS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={renderSettings.clusterAirports}
+            onChange={(e) => onRenderSettingsChange({ ...renderSettings, clusterAirports: e.target.checked })}
+          />{' '}
+          Cluster nearby airports
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default MapSettingsPanel;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { AIRPORT_METRICS, ROUTE_COLOR_MODES, ROUTE_CUTOFFS, SCALE_TYPES } from './mapStyleUtils';
+
+const StyleSelect = ({ label, value, options, onChange }) => (
+  <label>
+    {label}:{' '}
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      {Object.entries(options).map(([key, optionLabel]) => <option key={key} value={key}>{optionLabel}</option>)}
+    </select>
+  </label>
+);
+
+// Picks what the airports are sized and colored by, what the routes are
+// colored by, the scale and which weak routes are hidden.
+// onChange(settings) receives the new style setting (see loadStyleSettings
+// in mapSettings.js).
+const MapStylePanel = ({ settings, onChange }) => {
+  // Kept as typed, so the field can be cleared while editing
+  const [cutoffInput, setCutoffInput] = useState(String(settings.routeCutoffValue));
+
+  const update = (key) => (value) => onChange({ ...settings, [key]: value });
+
+  const handleCutoffValueChange = (e) => {
+    setCutoffInput(e.target.value);
+    const value = Number(e.target.value);
+    if (Number.isInteger(value) && value > 0) update('routeCutoffValue')(value);
+  };
+
+  return (
+    <div className="map-settings-panel">
+      <div className="map-style-row">
+        <StyleSelect label="Airport size" value={settings.airportSize} options={AIRPORT_METRICS} onChange={update('airportSize')} />
+        <StyleSelect
+          label="Airport color"
+          value={settings.airportColor}
+          options={{ selection: 'Selection', ...AIRPORT_METRICS }}
+          onChange={update('airportColor')}
+        />
+      </div>
+      <div className="map-style-row">
+        <StyleSelect label="Route color" value={settings.routeColor} options={ROUTE_COLOR_MODES} onChange={update('routeColor')} />
+        <StyleSelect label="Scale" value={settings.scale} options={SCALE_TYPES} onChange={update('scale')} />
+      </div>
+      <div className="map-style-row">
+        <StyleSelect label="Hide routes" value={settings.routeCutoff} options={ROUTE_CUTOFFS} onChange={update('routeCutoff')} />
+        {settings.routeCutoff !== 'none' && (
+          <label>
+            <input
+              type="number"
+              min={1}
+              step={1}
+              value={cutoffInput}
+              onChange={handleCutoffValueChange}
+              aria-label={settings.routeCutoff === 'minCount' ? 'Minimum flights per route' : 'Number of busiest routes to show'}
+            />
+            {settings.routeCutoff === 'minCount' ? ' flights' : ' routes'}
+          </label>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MapStylePanel;
@@ -1,51 +1,86 @@
 import React, { useState, useEffect, useRef } from 'react';
-import Papa from 'papaparse';
+import { fetchAirportCoordinates } from './dataUtils';
+import {
+  buildPlaybackLegs,
+  buildPlaybackTimeline,
+  getAirborneLegs,
+  countLandingsBy,
+  DEFAULT_PLAYBACK_SPEED
+} from './playbackUtils';
+import { getDateTimeFormat, getTimeZoneAt, isAirportTimeBasis } from './timeUtils';
+import MapPlaybackControls from './MapPlaybackControls';
+import MapSettingsPanel from './MapSettingsPanel';
+import MapStylePanel from './MapStylePanel';
+import MapLegend from './MapLegend';
+import {
+  loadTileSettings,
+  storeTileSettings,
+  getOpenedTileFile,
+  loadRenderSettings,
+  storeRenderSettings,
+  loadStyleSettings,
+  storeStyleSettings
+} from './mapSettings';
+import {
+  buildAirportMetrics,
+  buildAirportDwellTimes,
+  buildRouteAttributes,
+  applyRouteCutoff,
+  buildAirportStyles,
+  buildRouteColors
+} from './mapStyleUtils';
+import {
+  routesToGeoJson,
+  airportsToGeoJson,
+  downloadGeoJson,
+  toKml,
+  downloadKml,
+  buildExportFilename
+} from './exportUtils';
 import 'leaflet/dist/leaflet.css';
 
 // Separate component for the actual map to avoid hook issues
 const Map = React.lazy(() => import('./LeafletMap'));
 
-const MapView = ({ flightData, selectedAirport, selectedPair, onAirportClick, onBackgroundClick }) => {
+const NO_AIRPORTS = [];
+
+// The playback clock and legend dates have one zone; airport local time falls back to UTC
+const getMapTimeZone = (timeBasis) => (
+  isAirportTimeBasis(timeBasis) ? 'UTC' : getTimeZoneAt(timeBasis)
+);
+
+// Playback starts at the beginning, and again whenever the filters move the
+// range past the current time
+const resolvePlaybackTime = (timeline, time) => {
+  if (!timeline) return null;
+  return time !== null && time >= timeline.start && time <= timeline.end ? time : timeline.start;
+};
+
+const MapView = ({ flightData, selectedAirports, selectedPairs, airportDirection, onAirportClick, onBackgroundClick, filterLabel, dateRange, timeBasis, aircraftDataMap }) => {
   const [airports, setAirports] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [initialBounds, setInitialBounds] = useState(null);
   const initialDataProcessed = useRef(false);
+  const [isPlaybackMode, setIsPlaybackMode] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackTime, setPlaybackTime] = useState(null);
+  const [playbackSpeed, setPlaybackSpeed] = useState(DEFAULT_PLAYBACK_SPEED);
+  const [showMapSettings, setShowMapSettings] = useState(false);
+  const [tileSettings, setTileSettings] = useState(loadTileSettings);
+  const [tileFile, setTileFile] = useState(getOpenedTileFile);
+  const [renderSettings, setRenderSettings] = useState(loadRenderSettings);
+  const [showMapStyle, setShowMapStyle] = useState(false);
+  const [styleSettings, setStyleSettings] = useState(loadStyleSettings);
   
   // Load airport coordinates
   useEffect(() => {
     setLoading(true);
     
-    fetch('/airports.csv')
-      .then(response => {
-        if (!response.ok) {
-          throw new Error('Failed to fetch airport data');
-        }
-        return response.text();
-      })
-      .then(csvText => {
-        Papa.parse(csvText, {
-          header: true,
-          skipEmptyLines: true,
-          complete: (results) => {
-            // Create a lookup object for airport coordinates
-            const airportMap = {};
-            results.data.forEach(airport => {
-              if (airport.airport_ident && airport.latitude && airport.longitude) {
-                airportMap[airport.airport_ident] = {
-                  lat: parseFloat(airport.latitude),
-                  lng: parseFloat(airport.longitude)
-                };
-              }
-            });
-            setAirports(airportMap);
-            setLoading(false);
-          },
-          error: (err) => {
-            setError(`Failed to parse airports.csv: ${err.message}`);
-            setLoading(false);
-          }
-        });
+    fetchAirportCoordinates()
+      .then(airportMap => {
+        setAirports(airportMap);
+        setLoading(false);
       })
       .catch(err => {
         setError(`Error loading airport data: ${err.message}`);
@@ -89,41 +124,31 @@ const MapView = ({ flightData, selectedAirport, selectedPair, onAirportClick, on
       .sort((a, b) => b.count - a.count); // Sort by count descending
   }, [flightData, airports]);
 
-  // Calculate traffic per airport (for sizing circles)
-  const airportTraffic = React.useMemo(() => {
-    if (!flightData || flightData.length === 0) {
-      return {};
-    }
+  // Flights, arrivals, departures and unique aircraft per airport
+  const airportMetrics = React.useMemo(() => buildAirportMetrics(flightData), [flightData]);
 
-    const traffic = {};
-    
-    flightData.forEach(flight => {
-      const { origin, destination } = flight;
-      if (origin) {
-        traffic[origin] = (traffic[origin] || 0) + 1;
-      }
-      if (destination) {
-        traffic[destination] = (traffic[destination] || 0) + 1;
-      }
-    });
-
-    return traffic;
-  }, [flightData]);
+  // Median dwell times need every stay, so they are only worked out when shown
+  const usesDwellTime = styleSettings.airportSize === 'dwellTime' || styleSettings.airportColor === 'dwellTime';
+  const airportDwellTimes = React.useMemo(
+    () => (usesDwellTime ? buildAirportDwellTimes(flightData) : null),
+    [usesDwellTime, flightData]
+  );
 
   // Find airport coordinates for filtered data
   const filteredAirports = React.useMemo(() => {
     // Ensure airports data is loaded before filtering
-    if (Object.keys(airports).length === 0 || Object.keys(airportTraffic).length === 0) {
+    if (Object.keys(airports).length === 0 || Object.keys(airportMetrics).length === 0) {
         return [];
     }
-    return Object.keys(airportTraffic)
+    return Object.keys(airportMetrics)
       .filter(code => airports[code]) // Only include airports we have coordinates for
       .map(code => ({
         code,
         ...airports[code],
-        traffic: airportTraffic[code]
+        ...airportMetrics[code],
+        dwellTime: airportDwellTimes?.[code] ?? null
       }));
-  }, [airports, airportTraffic]); // Depend on airports and airportTraffic
+  }, [airports, airportMetrics, airportDwellTimes]);
 
   // Calculate bounds ONLY ONCE after initial data is loaded
   useEffect(() => {
@@ -156,14 +181,111 @@ const MapView = ({ flightData, selectedAirport, selectedPair, onAirportClick, on
     }
   }, [filteredAirports, initialBounds]);
 
-  // Calculate max traffic and circle size function
-  const maxTraffic = React.useMemo(() => Math.max(...Object.values(airportTraffic), 1), [airportTraffic]);
+  // --- Styles ---
+  // Weak routes are hidden before anything is scaled, so the styles and the
+  // legend cover only the routes on the map
+  const visibleRoutes = React.useMemo(
+    () => applyRouteCutoff(trafficData, styleSettings.routeCutoff, styleSettings.routeCutoffValue, selectedPairs),
+    [trafficData, styleSettings.routeCutoff, styleSettings.routeCutoffValue, selectedPairs]
+  );
+
+  const airportStyles = React.useMemo(
+    () => buildAirportStyles(filteredAirports, styleSettings),
+    [filteredAirports, styleSettings]
+  );
+
+  const routeAttributes = React.useMemo(
+    () => (styleSettings.routeColor !== 'selection' ? buildRouteAttributes(flightData, aircraftDataMap) : null),
+    [styleSettings.routeColor, flightData, aircraftDataMap]
+  );
+
+  const routeColors = React.useMemo(
+    () => (routeAttributes ? buildRouteColors(visibleRoutes, routeAttributes, styleSettings, getMapTimeZone(timeBasis)) : null),
+    [visibleRoutes, routeAttributes, styleSettings, timeBasis]
+  );
+
+  const handleTileSettingsChange = (settings) => {
+    setTileSettings(settings);
+    storeTileSettings(settings);
+  };
 
-  const getCircleSize = React.useCallback((airportCode) => {
-    const traffic = airportTraffic[airportCode] || 0;
-    // Scale between 5 and 20 pixels based on traffic
-    return 5 + (traffic / maxTraffic) * 15;
-  }, [airportTraffic, maxTraffic]); // Add dependencies
+  const handleRenderSettingsChange = (settings) => {
+    setRenderSettings(settings);
+    storeRenderSettings(settings);
+  };
+
+  const handleStyleSettingsChange = (settings) => {
+    setStyleSettings(settings);
+    storeStyleSettings(settings);
+  };
+
+  // --- Playback ---
+  // Replays the legs passed in (already filtered by date, airport and pair)
+  const playbackTimeline = React.useMemo(
+    () => (isPlaybackMode ? buildPlaybackTimeline(buildPlaybackLegs(flightData, airports)) : null),
+    [isPlaybackMode, flightData, airports]
+  );
+
+  const currentPlaybackTime = resolvePlaybackTime(playbackTimeline, playbackTime);
+
+  // Advance the clock every animation frame while playing
+  useEffect(() => {
+    if (!isPlaying || !playbackTimeline) return;
+    let frame;
+    let lastFrameAt = performance.now();
+    const step = (now) => {
+      const elapsed = now - lastFrameAt;
+      lastFrameAt = now;
+      setPlaybackTime(time => Math.min(
+        playbackTimeline.end,
+        resolvePlaybackTime(playbackTimeline, time) + elapsed * Number(playbackSpeed) / 1000
+      ));
+      frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, playbackTimeline, playbackSpeed]);
+
+  // Stop at the end of the range
+  useEffect(() => {
+    if (isPlaying && playbackTimeline && currentPlaybackTime >= playbackTimeline.end) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, playbackTimeline, currentPlaybackTime]);
+
+  const airborneLegs = React.useMemo(
+    () => getAirborneLegs(playbackTimeline, currentPlaybackTime),
+    [playbackTimeline, currentPlaybackTime]
+  );
+  const airborneCount = React.useMemo(() => new Set(airborneLegs.map(({ leg }) => leg.icao)).size, [airborneLegs]);
+  const landingsCount = countLandingsBy(playbackTimeline, currentPlaybackTime);
+
+  const handleTogglePlaybackMode = () => {
+    setIsPlaybackMode(mode => !mode);
+    setIsPlaying(false);
+    setPlaybackTime(null);
+  };
+
+  const handleTogglePlay = () => {
+    // Play from the start again once the end is reached
+    if (!isPlaying && playbackTimeline && currentPlaybackTime >= playbackTimeline.end) {
+      setPlaybackTime(playbackTimeline.start);
+    }
+    setIsPlaying(playing => !playing);
+  };
+
+  // Routes leaving the selected airports are highlighted unless only their arrivals are shown
+  const outboundAirports = airportDirection !== 'arrivals' ? selectedAirports : NO_AIRPORTS;
+
+  // --- GIS Exports ---
+  const exportFilename = (name, extension) => buildExportFilename(name, filterLabel || '', dateRange, extension);
+
+  const handleExportRoutes = () => downloadGeoJson(routesToGeoJson(visibleRoutes), exportFilename('routes', 'geojson'));
+  const handleExportAirports = () => downloadGeoJson(airportsToGeoJson(filteredAirports), exportFilename('airports', 'geojson'));
+  const handleExportKml = () => {
+    const filename = exportFilename('routes-airports', 'kml');
+    downloadKml(toKml(visibleRoutes, filteredAirports, filename.replace(/\.kml$/, '')), filename);
+  };
 
   if (loading) {
     return <div className="loading-map">Loading map data...</div>;
@@ -178,22 +300,102 @@ const MapView = ({ flightData, selectedAirport, selectedPair, onAirportClick, on
   const defaultZoom = 4;
 
   return (
-    <div className="map-container">
-      <React.Suspense fallback={<div className="loading-map">Loading map...</div>}>
-        <Map
-          trafficData={trafficData}
-          filteredAirports={filteredAirports}
-          getCircleSize={getCircleSize}
-          selectedAirport={selectedAirport}
-          selectedPair={selectedPair}
-          defaultCenter={defaultCenter}
-          defaultZoom={defaultZoom}
-          bounds={initialBounds} // Pass the INITIAL bounds, not recalculated ones
-          onAirportClick={onAirportClick}
-          onBackgroundClick={onBackgroundClick}
+    <>
+      <div className="map-export-actions">
+        <button
+          className="stats-toggle-button map-playback-toggle"
+          onClick={handleTogglePlaybackMode}
+          disabled={trafficData.length === 0}
+          aria-pressed={isPlaybackMode}
+        >
+          {isPlaybackMode ? 'Exit Playback' : 'Playback'}
+        </button>
+        <button
+          className="stats-toggle-button"
+          onClick={() => setShowMapSettings(show => !show)}
+          aria-expanded={showMapSettings}
+        >
+          Map Settings
+        </button>
+        <button
+          className="stats-toggle-button"
+          onClick={() => setShowMapStyle(show => !show)}
+          aria-expanded={showMapStyle}
+        >
+          Map Style
+        </button>
+        <span className="map-export-label">Download:</span>
+        <button className="stats-toggle-button" onClick={handleExportRoutes} disabled={visibleRoutes.length === 0}>
+          Routes GeoJSON
+        </button>
+        <button className="stats-toggle-button" onClick={handleExportAirports} disabled={filteredAirports.length === 0}>
+          Airports GeoJSON
+        </button>
+        <button className="stats-toggle-button" onClick={handleExportKml} disabled={filteredAirports.length === 0}>
+          KML
+        </button>
+      </div>
+      {showMapSettings && (
+        <MapSettingsPanel
+          settings={tileSettings}
+          tileFile={tileFile}
+          onChange={handleTileSettingsChange}
+          onTileFileOpen={setTileFile}
+          renderSettings={renderSettings}
+          onRenderSettingsChange={handleRenderSettingsChange}
+        />
+      )}
+      {showMapStyle && <MapStylePanel settings={styleSettings} onChange={handleStyleSettingsChange} />}
+      {isPlaybackMode && playbackTimeline && (
+        <MapPlaybackControls
+          start={playbackTimeline.start}
+          end={playbackTimeline.end}
+          time={currentPlaybackTime}
+          isPlaying={isPlaying}
+          speed={playbackSpeed}
+          clockLabel={getDateTimeFormat(getMapTimeZone(timeBasis), true).format(new Date(currentPlaybackTime))}
+          airborneCount={airborneCount}
+          landingsCount={landingsCount}
+          onTimeChange={setPlaybackTime}
+          onTogglePlay={handleTogglePlay}
+          onSpeedChange={setPlaybackSpeed}
         />
-      </React.Suspense>
-    </div>
+      )}
+      <div className="map-container">
+        <React.Suspense fallback={<div className="loading-map">Loading map...</div>}>
+          <Map
+            trafficData={visibleRoutes}
+            filteredAirports={filteredAirports}
+            airportStyles={airportStyles.styles}
+            routeColors={routeColors?.colors || null}
+            selectedAirports={selectedAirports}
+            selectedPairs={selectedPairs}
+            outboundAirports={outboundAirports}
+            defaultCenter={defaultCenter}
+            defaultZoom={defaultZoom}
+            bounds={initialBounds} // Pass the INITIAL bounds, not recalculated ones
+            onAirportClick={onAirportClick}
+            onBackgroundClick={onBackgroundClick}
+            tileSettings={tileSettings}
+            tileFile={tileFile}
+            renderSettings={renderSettings}
+            playbackTimeline={playbackTimeline}
+            playbackTime={currentPlaybackTime}
+            airborneLegs={airborneLegs}
+          />
+        </React.Suspense>
+        {filteredAirports.length > 0 && (
+          <MapLegend
+            airportLegend={airportStyles}
+            routeLegend={routeColors?.legend || null}
+            hasSelectedAirports={selectedAirports.length > 0}
+            hasSelectedPairs={selectedPairs.length > 0}
+            outboundAirports={outboundAirports}
+            hiddenRouteCount={trafficData.length - visibleRoutes.length}
+          />
+        )}
+      </div>
+    </>
   );
 };
 
@@ -0,0 +1,35 @@
+import React from 'react';
+
+// Progress bar with a Cancel button. Pass percent = null for work whose
+// progress can't be measured (the bar is then shown as indeterminate).
+const ProgressPanel = ({ label, detail, percent = null, onCancel, compact = false }) => {
+  const isIndeterminate = percent === null || percent === undefined;
+
+  return (
+    <div className={`progress-panel${compact ? ' compact' : ''}`} role="status">
+      <div className="progress-header">
+        <span className="progress-label">{label}</span>
+        {detail && <span className="progress-detail">{detail}</span>}
+        {onCancel && (
+          <button className="progress-cancel-button" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+      <div
+        className={`progress-track${isIndeterminate ? ' indeterminate' : ''}`}
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={isIndeterminate ? undefined : Math.round(percent)}
+      >
+        <div
+          className="progress-fill"
+          style={isIndeterminate ? undefined : { width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ProgressPanel;
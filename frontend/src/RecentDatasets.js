@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { formatBytes } from './datasetStore';
+
+// Datasets stored in the browser, with buttons to reopen or delete each one.
+// Expanded by default on the start screen and collapsed once data is loaded.
+const RecentDatasets = ({ datasets, storageEstimate, currentDatasetId, hasLoadedData, onOpen, onDelete, isDisabled }) => {
+  const [expanded, setExpanded] = useState(null); // null = follow hasLoadedData
+
+  if (!datasets || datasets.length === 0) return null;
+
+  const isExpanded = expanded ?? !hasLoadedData;
+
+  const handleDelete = (dataset) => {
+    if (window.confirm(`Delete the stored dataset "${dataset.name}"?`)) {
+      onDelete(dataset.id);
+    }
+  };
+
+  return (
+    <div className="summary-stats recent-datasets">
+      <div className="top-stats-header">
+        <div className="top-stats-title">
+          <strong>Recent Datasets</strong>{' '}
+          {storageEstimate && storageEstimate.quota
+            ? `${formatBytes(storageEstimate.usage)} of ${formatBytes(storageEstimate.quota)} browser storage used`
+            : `${datasets.length} stored`}
+        </div>
+        <button
+          className="stats-toggle-button"
+          onClick={() => setExpanded(!isExpanded)}
+          aria-expanded={isExpanded}
+        >
+          {isExpanded ? 'Hide ▲' : 'Show ▼'}
+        </button>
+      </div>
+
+      {isExpanded && (
+        <ul className="recent-dataset-list">
+          {datasets.map(dataset => (
+            <li
+              key={dataset.id}
+              className={`recent-dataset-item${dataset.id === currentDatasetId ? ' current' : ''}`}
+            >
+              <button
+                className="recent-dataset-open"
+                onClick={() => onOpen(dataset.id)}
+                disabled={isDisabled || dataset.id === currentDatasetId}
+                title={dataset.id === currentDatasetId ? 'Currently open' : 'Open dataset'}
+              >
+                <span className="recent-dataset-name">{dataset.name}</span>
+                <span className="recent-dataset-meta">
+                  {new Date(dataset.createdAt).toLocaleString()} · {dataset.rowCount.toLocaleString()} rows
+                  {dataset.fileCount > 1 ? ` · ${dataset.fileCount} files` : ''}
+                </span>
+              </button>
+              <button
+                className="source-file-remove"
+                onClick={() => handleDelete(dataset)}
+                disabled={isDisabled}
+                aria-label={`Delete ${dataset.name}`}
+                title="Delete stored dataset"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecentDatasets;
@@ -0,0 +1,38 @@
+import React from 'react';
+
+// Lists the files merged into the current dataset, with a remove button for each
+const SourceFileList = ({ sources, duplicatesRemoved, onRemove, isDisabled }) => {
+  if (!sources || sources.length === 0) return null;
+
+  const totalRows = sources.reduce((sum, source) => sum + source.rowCount, 0);
+
+  return (
+    <div className="source-files">
+      <ul className="source-file-list">
+        {sources.map(source => (
+          <li key={source.id} className="source-file-item">
+            <span className="source-file-name" title={source.name}>{source.name}</span>
+            <span className="source-file-count">{source.rowCount.toLocaleString()} rows</span>
+            <button
+              className="source-file-remove"
+              onClick={() => onRemove(source.id)}
+              disabled={isDisabled}
+              aria-label={`Remove ${source.name}`}
+              title="Remove file"
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      {sources.length > 1 && (
+        <p className="source-files-summary">
+          {totalRows.toLocaleString()} rows from {sources.length} files
+          {duplicatesRemoved > 0 ? `, ${duplicatesRemoved.toLocaleString()} duplicate legs removed` : ''}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SourceFileList;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 
-const SummaryStatistics = ({ displayedData, aircraftDataMap, isLoadingAircraft }) => {
+// onAircraftClick(kind, value) opens the aircraft detail view for a callsign or registration
+const SummaryStatistics = ({ displayedData, aircraftDataMap, isLoadingAircraft, onAircraftClick }) => {
     const [showDetailedStats, setShowDetailedStats] = useState(false);
     const [callsignPage, setCallsignPage] = useState(1);
     const [registrationPage, setRegistrationPage] = useState(1);
@@ -70,7 +71,7 @@ const SummaryStatistics = ({ displayedData, aircraftDataMap, isLoadingAircraft }
                             </div>
                             <div className="top-items">
                                 {displayedData.topCallsigns.map(([callsign, count], index) => (
-                                    <span key={index} className="top-item">{callsign}: {count.toLocaleString()}</span>
+                                    <button key={index} className="top-item aircraft-link" onClick={() => onAircraftClick('callsign', callsign)}>{callsign}: {count.toLocaleString()}</button>
                                 ))}
                             </div>
                         </div>
@@ -84,7 +85,7 @@ const SummaryStatistics = ({ displayedData, aircraftDataMap, isLoadingAircraft }
                             </div>
                             <div className="top-items">
                                 {displayedData.topRegistrations.map(([registration, count], index) => (
-                                    <span key={index} className="top-item">{registration}: {count.toLocaleString()}</span>
+                                    <button key={index} className="top-item aircraft-link" onClick={() => onAircraftClick('registration', registration)}>{registration}: {count.toLocaleString()}</button>
                                 ))}
                             </div>
                         </div>
@@ -131,7 +132,7 @@ const SummaryStatistics = ({ displayedData, aircraftDataMap, isLoadingAircraft }
                                 <tbody>
                                     {paginatedCallsigns.map(([callsign, count], index) => (
                                         <tr key={index}>
-                                            <td>{callsign}</td>
+                                            <td><button className="aircraft-link" onClick={() => onAircraftClick('callsign', callsign)}>{callsign}</button></td>
                                             <td>{count.toLocaleString()}</td>
                                         </tr>
                                     ))}
@@ -182,7 +183,7 @@ const SummaryStatistics = ({ displayedData, aircraftDataMap, isLoadingAircraft }
                                             const aircraftInfo = lowerIcao && aircraftDataMap ? aircraftDataMap.get(lowerIcao) : null;
                                             return (
                                                 <tr key={`${regData.registration}-${index}`}>
-                                                    <td>{regData.registration}</td>
+                                                    <td><button className="aircraft-link" onClick={() => onAircraftClick('registration', regData.registration)}>{regData.registration}</button></td>
                                                     <td>{regData.count.toLocaleString()}</td>
                                                     <td>{isLoadingAircraft ? '...' : (aircraftInfo ? aircraftInfo.Manufacturer : '')}</td>
                                                     <td>{isLoadingAircraft ? '...' : (aircraftInfo ? aircraftInfo.Type : '')}</td>
@@ -0,0 +1,35 @@
+import React, { useMemo } from 'react';
+import {
+  LOCAL_TIME_ZONE,
+  AIRPORT_TIME_ZONE,
+  getSupportedTimeZones,
+  getTimeZoneSettingLabel
+} from './timeUtils';
+
+// Picks the zone used for date filtering, chart buckets and table times:
+// the browser's zone, UTC, each airport's own zone or any IANA zone
+const TimeZonePicker = ({ value, onChange, isDisabled }) => {
+  const zones = useMemo(() => {
+    const supported = getSupportedTimeZones();
+    // Keep a stored zone this browser doesn't list selectable
+    return value === LOCAL_TIME_ZONE || value === AIRPORT_TIME_ZONE || supported.includes(value)
+      ? supported
+      : [value, ...supported];
+  }, [value]);
+
+  return (
+    <label className="time-zone-picker">
+      Time Zone:{' '}
+      <select value={value} onChange={(e) => onChange(e.target.value)} disabled={isDisabled}>
+        <option value={LOCAL_TIME_ZONE}>{getTimeZoneSettingLabel(LOCAL_TIME_ZONE)}</option>
+        <option value="UTC">UTC</option>
+        <option value={AIRPORT_TIME_ZONE}>{getTimeZoneSettingLabel(AIRPORT_TIME_ZONE)}</option>
+        <optgroup label="All time zones">
+          {zones.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+        </optgroup>
+      </select>
+    </label>
+  );
+};
+
+export default TimeZonePicker;
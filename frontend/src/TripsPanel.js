@@ -0,0 +1,118 @@
+import React, { useMemo } from 'react';
+import DataTable from './DataTable';
+import { summarizeTrips } from './tripUtils';
+import { formatDuration } from './dataUtils';
+import { getAdsbExchangeLink } from './adsbExchange';
+
+// --- Column Definitions ---
+// See DataTable for the column fields
+const TRIP_COLUMNS = [
+  { key: 'takeoff_time', label: 'Takeoff Time', type: 'date', getValue: (trip) => trip.takeoff_time, getAirport: (trip) => trip.origin },
+  { key: 'landing_time', label: 'Landing Time', type: 'date', getValue: (trip) => trip.landing_time, getAirport: (trip) => trip.destination },
+  { key: 'route', label: 'Route', getValue: (trip) => trip.route },
+  { key: 'legs', label: 'Legs', getValue: (trip) => trip.legCount },
+  { key: 'duration', label: 'Duration', type: 'duration', getValue: (trip) => trip.duration },
+  { key: 'callsigns', label: 'Callsigns', getValue: (trip) => trip.callsigns.join(', ') },
+  { key: 'registration', label: 'Registration', aircraftKind: 'registration', getValue: (trip) => trip.registration },
+  { key: 'icao', label: 'ICAO', aircraftKind: 'icao', getValue: (trip) => trip.icao, hidden: true },
+  { key: 'manufacturer', label: 'Manufacturer', getValue: (trip, info) => info?.Manufacturer, emptyText: '', hidden: true },
+  { key: 'type', label: 'Type', getValue: (trip, info) => info?.Type, emptyText: '' },
+  { key: 'owner', label: 'Registered Owner', getValue: (trip, info) => info?.RegisteredOwners, emptyText: '' },
+  {
+    key: 'link',
+    label: 'Link',
+    sortable: false,
+    filterable: false,
+    render: (trip) => {
+      const adsbLink = getAdsbExchangeLink(trip);
+      return adsbLink ? (
+        <a href={adsbLink} target="_blank" rel="noopener noreferrer">
+          ADSBx
+        </a>
+      ) : (
+        <span>N/A</span>
+      );
+    }
+  },
+];
+
+const DEFAULT_SORT = { key: 'takeoff_time', direction: 'asc' };
+
+const getTripRowKey = (trip) => trip.id;
+
+// Multi-leg trips for the current filters: summary, most common routes and a
+// table like the flights table. maxGroundHours is the longest stop that still
+// joins two legs into one trip.
+const TripsPanel = ({
+  trips,
+  maxGroundHours,
+  onMaxGroundHoursChange,
+  aircraftDataMap,
+  timeBasis,
+  isLoadingAircraft,
+  onAircraftClick
+}) => {
+  const summary = useMemo(() => summarizeTrips(trips), [trips]);
+
+  const handleGapChange = (event) => {
+    const hours = parseFloat(event.target.value);
+    if (isFinite(hours) && hours > 0) onMaxGroundHoursChange(hours);
+  };
+
+  return (
+    <>
+      <div className="summary-stats trips-summary">
+        <div className="top-stats-header">
+          <h2>Trips</h2>
+          <label className="trip-gap-setting">
+            Max ground time between legs (hours):{' '}
+            <input
+              type="number"
+              min="0.5"
+              step="0.5"
+              defaultValue={maxGroundHours}
+              onChange={handleGapChange}
+            />
+          </label>
+        </div>
+        <p><strong>Total Trips:</strong> {summary.tripCount.toLocaleString()} ({summary.legCount.toLocaleString()} legs)</p>
+        <p><strong>Multi-Leg Trips:</strong> {summary.multiLegTripCount.toLocaleString()}</p>
+        <p><strong>Average Legs per Trip:</strong> {summary.averageLegs.toFixed(2)}</p>
+        {summary.durations && (
+          <p>
+            <strong>Trip Duration:</strong> median {formatDuration(summary.durations.median)},
+            mean {formatDuration(summary.durations.mean)}, 90th percentile {formatDuration(summary.durations.p90)},
+            longest {formatDuration(summary.durations.max)}
+            {summary.estimatedDurationCount > 0 && ` (${summary.estimatedDurationCount.toLocaleString()} trips with an estimated first takeoff or last landing left out)`}
+          </p>
+        )}
+        {summary.topSequences.length > 0 && (
+          <>
+            <div className="column-header"><strong>Most Common Multi-Leg Routes</strong></div>
+            <div className="top-items">
+              {summary.topSequences.map(([route, count]) => (
+                <span key={route} className="top-item">{route}: {count.toLocaleString()}</span>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      <DataTable
+        title="Trips"
+        noun="trips"
+        items={trips}
+        columns={TRIP_COLUMNS}
+        columnsStorageKey="ice-air.tripTableColumns"
+        defaultSort={DEFAULT_SORT}
+        getRowKey={getTripRowKey}
+        aircraftDataMap={aircraftDataMap}
+        timeBasis={timeBasis}
+        isLoadingAircraft={isLoadingAircraft}
+        onAircraftClick={onAircraftClick}
+      />
+    </>
+  );
+};
+
+export default TripsPanel;
@@ -0,0 +1,33 @@
+// --- ADSBExchange Links ---
+
+// Helper to format Date objects for ADSBExchange URL (UTC YYYY-MM-DD and HH:MM:SS)
+const formatUrlDateTime = (date) => {
+  if (!date || !(date instanceof Date) || isNaN(date.getTime())) return null;
+  try {
+    const year = date.getUTCFullYear();
+    const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+    const day = date.getUTCDate().toString().padStart(2, '0');
+    const hours = date.getUTCHours().toString().padStart(2, '0');
+    const minutes = date.getUTCMinutes().toString().padStart(2, '0');
+    const seconds = date.getUTCSeconds().toString().padStart(2, '0');
+    return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}:${seconds}` };
+  } catch (e) {
+    console.warn("Invalid date for URL formatting:", date);
+    return null;
+  }
+};
+
+// ADSBExchange trace replay link for a flight leg, or null if its times are invalid
+export const getAdsbExchangeLink = (flight) => {
+  const lowerIcao = flight.icao ? flight.icao.toLowerCase() : null;
+  const takeoffTime = formatUrlDateTime(flight.takeoff_time);
+  const landingTimeUrl = formatUrlDateTime(flight.landing_time);
+  if (lowerIcao && takeoffTime && landingTimeUrl) {
+    return `https://globe.adsbexchange.com/?icao=${lowerIcao}&showTrace=${takeoffTime.date}&startTime=${takeoffTime.time}&endTime=${landingTimeUrl.time}`;
+  }
+  if (lowerIcao && landingTimeUrl) {
+    // Fallback if only landing time is valid - link to general ICAO page for the day
+    return `https://globe.adsbexchange.com/?icao=${lowerIcao}&showTrace=${landingTimeUrl.date}`;
+  }
+  return null;
+};
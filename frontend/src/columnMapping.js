@@ -0,0 +1,170 @@
+import Papa from 'papaparse';
+import { REQUIRED_COLUMNS } from './dataUtils';
+
+// --- CSV Column Mapping ---
+// Lets CSVs with other header names (dep_time, hex, from, tail, ...) be mapped
+// onto the columns the app expects. Mappings are { field: header } objects and
+// can be saved as named profiles, keyed by the file's header signature.
+
+export const MAPPING_FIELDS = [
+  { key: 'takeoff_time', label: 'Takeoff Time', required: true,
+    synonyms: ['dep_time', 'departure_time', 'takeoff', 'off_time', 'departure', 'dep', 'start_time', 'first_seen'] },
+  { key: 'landing_time', label: 'Landing Time', required: true,
+    synonyms: ['arr_time', 'arrival_time', 'landing', 'on_time', 'arrival', 'arr', 'end_time', 'last_seen', 'time'] },
+  { key: 'icao', label: 'ICAO Hex', required: true,
+    synonyms: ['hex', 'icao24', 'icao_hex', 'mode_s', 'modes', 'hexid', 'transponder'] },
+  { key: 'origin', label: 'Origin', required: true,
+    synonyms: ['from', 'orig', 'dep_airport', 'departure_airport', 'origin_airport', 'src', 'source', 'est_departure_airport'] },
+  { key: 'destination', label: 'Destination', required: true,
+    synonyms: ['to', 'dest', 'dst', 'arr_airport', 'arrival_airport', 'destination_airport', 'airport_id', 'est_arrival_airport'] },
+  { key: 'registration', label: 'Registration', required: false,
+    synonyms: ['tail', 'tail_number', 'tailnum', 'reg', 'n_number', 'aircraft_registration'] },
+  { key: 'callsign', label: 'Callsign', required: false,
+    synonyms: ['call_sign', 'flight', 'flight_number', 'flight_id', 'cs'] },
+  { key: 'estimated', label: 'Estimated Time', required: false,
+    synonyms: ['is_estimated', 'inferred', 'time_estimated'] },
+];
+
+const PROFILES_STORAGE_KEY = 'ice-air.columnMappingProfiles';
+const MIN_MATCH_SCORE = 0.5;
+
+const normalizeHeader = (header) => (header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Dice coefficient over character bigrams
+const bigramSimilarity = (a, b) => {
+  if (a.length < 2 || b.length < 2) return a === b ? 1 : 0;
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      overlap++;
+      bigrams.set(bigram, count - 1);
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+};
+
+// Score how well a header matches a field (0..1)
+const scoreHeader = (field, header) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return 0;
+  const candidates = [field.key, ...field.synonyms].map(normalizeHeader);
+  if (candidates.includes(normalized)) return 1;
+  return Math.max(...candidates.map(candidate => {
+    if (candidate.length >= 3 && normalized.length >= 3 &&
+      (normalized.includes(candidate) || candidate.includes(normalized))) return 0.8;
+    return bigramSimilarity(candidate, normalized);
+  }));
+};
+
+// Guess a mapping by fuzzy name matching. Each header is used at most once,
+// with the best-scoring field/header pairs assigned first.
+export const guessColumnMapping = (headers) => {
+  const scored = [];
+  MAPPING_FIELDS.forEach(field => {
+    headers.forEach(header => {
+      const score = scoreHeader(field, header);
+      if (score >= MIN_MATCH_SCORE) scored.push({ field: field.key, header, score });
+    });
+  });
+  scored.sort((a, b) => b.score - a.score);
+
+  const mapping = {};
+  const usedHeaders = new Set();
+  scored.forEach(({ field, header }) => {
+    if (mapping[field] || usedHeaders.has(header)) return;
+    mapping[field] = header;
+    usedHeaders.add(header);
+  });
+  return mapping;
+};
+
+export const hasRequiredColumns = (headers) => {
+  const trimmed = headers.map(header => (header ? header.trim() : ''));
+  return REQUIRED_COLUMNS.every(col => trimmed.includes(col));
+};
+
+export const isMappingComplete = (mapping) => REQUIRED_COLUMNS.every(col => Boolean(mapping[col]));
+
+// Check a mapping against a file's actual header (throws if a required column is unmapped)
+export const validateColumnMapping = (mapping, fields) => {
+  const actualColumns = (fields || []).map(field => (field ? field.trim() : ''));
+  const missing = REQUIRED_COLUMNS.filter(col => !mapping[col] || !actualColumns.includes(mapping[col].trim()));
+  if (missing.length > 0) {
+    throw new Error(`Column mapping is missing columns for: ${missing.join(', ')}. Found: ${actualColumns.join(', ')}`);
+  }
+};
+
+// Rename a parsed row's columns according to the mapping
+export const applyColumnMapping = (row, mapping) => {
+  const mapped = {};
+  MAPPING_FIELDS.forEach(({ key }) => {
+    if (mapping[key]) mapped[key] = row[mapping[key]];
+  });
+  return mapped;
+};
+
+// --- Header Preview ---
+
+// Read the header and first few rows of a CSV file
+export const readCsvPreview = (file, rowCount = 5) => new Promise((resolve, reject) => {
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: (header) => header.trim(),
+    preview: rowCount,
+    complete: (results) => resolve({
+      headers: (results.meta.fields || []).map(field => (field ? field.trim() : '')),
+      sampleRows: results.data,
+    }),
+    error: (err) => reject(new Error(`CSV parse error: ${err.message}`))
+  });
+});
+
+// --- Saved Profiles ---
+
+// Headers in sorted order, so files with the same columns share a signature
+export const getHeaderSignature = (headers) => [...headers].map(header => header.trim()).sort().join('|');
+
+export const loadColumnProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.warn("Failed to read saved column mapping profiles:", e);
+    return [];
+  }
+};
+
+const storeColumnProfiles = (profiles) => {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  } catch (e) {
+    console.warn("Failed to save column mapping profiles:", e);
+  }
+};
+
+// Save (or replace, by name) a profile: { name, signature, mapping }
+export const saveColumnProfile = (profile) => {
+  const profiles = loadColumnProfiles().filter(existing => existing.name !== profile.name);
+  profiles.push({ ...profile, updatedAt: new Date().toISOString() });
+  storeColumnProfiles(profiles);
+};
+
+export const deleteColumnProfile = (name) => {
+  storeColumnProfiles(loadColumnProfiles().filter(profile => profile.name !== name));
+};
+
+// Find the most recently saved profile for a header signature
+export const findColumnProfile = (headers) => {
+  const signature = getHeaderSignature(headers);
+  return loadColumnProfiles()
+    .filter(profile => profile.signature === signature)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))[0] || null;
+};
@@ -0,0 +1,78 @@
+import { getFlightKey } from './dataUtils';
+
+// --- Data Quality Report ---
+// Rejected rows are dropped by processInitialData; suspicious rows are kept
+// but flagged here so problems in the upstream pipeline can be tracked down.
+
+export const QUALITY_CATEGORIES = [
+  { key: 'unparseable_time', label: 'Unparseable time', severity: 'rejected' },
+  { key: 'missing_destination', label: 'Missing destination', severity: 'rejected' },
+  { key: 'invalid_json', label: 'Invalid JSON line', severity: 'rejected' },
+  { key: 'takeoff_after_landing', label: 'Takeoff after landing', severity: 'suspicious' },
+  { key: 'origin_equals_destination', label: 'Origin equals destination', severity: 'suspicious' },
+  { key: 'unknown_airport', label: 'Unknown airport code', severity: 'suspicious' },
+];
+
+const CATEGORY_BY_KEY = Object.fromEntries(QUALITY_CATEGORIES.map(category => [category.key, category]));
+
+// Return the suspicious-row reasons for a processed flight
+const getFlightIssues = (flight, airports) => {
+  const issues = [];
+  if (flight.takeoff_time && flight.landing_time && flight.takeoff_time > flight.landing_time) {
+    issues.push({ reason: 'takeoff_after_landing' });
+  }
+  if (flight.origin && flight.origin === flight.destination) {
+    issues.push({ reason: 'origin_equals_destination' });
+  }
+  if (airports) {
+    const unknown = [flight.origin, flight.destination].filter(code => code && !airports[code]);
+    if (unknown.length > 0) {
+      issues.push({ reason: 'unknown_airport', detail: [...new Set(unknown)].join(', ') });
+    }
+  }
+  return issues;
+};
+
+// Build the report for the loaded sources. `airports` is the airports.csv
+// lookup (unknown airport checks are skipped until it has loaded).
+// Returns { counts: { [reason]: n }, issues: [{ source, rowNumber, reason, detail, row }] }
+export const buildDataQualityReport = (sources, airports) => {
+  const counts = Object.fromEntries(QUALITY_CATEGORIES.map(category => [category.key, 0]));
+  const issues = [];
+  const seenKeys = new Set(); // Flag duplicate legs only once, matching the merged dataset
+
+  sources.forEach(source => {
+    (source.rejectedRows || []).forEach(({ rowNumber, reason, detail = '', row }) => {
+      counts[reason]++;
+      issues.push({ source: source.name, rowNumber, reason, detail, row });
+    });
+
+    source.flights.forEach(flight => {
+      const key = getFlightKey(flight);
+      if (seenKeys.has(key)) return;
+      seenKeys.add(key);
+
+      getFlightIssues(flight, airports).forEach(({ reason, detail = '' }) => {
+        counts[reason]++;
+        issues.push({ source: source.name, rowNumber: null, reason, detail, row: flight });
+      });
+    });
+  });
+
+  return { counts, issues };
+};
+
+export const getCategoryLabel = (reason) => CATEGORY_BY_KEY[reason]?.label || reason;
+export const getCategorySeverity = (reason) => CATEGORY_BY_KEY[reason]?.severity || 'suspicious';
+
+// Flatten issues into rows for CSV download. The report columns are prefixed
+// with `issue_` so source columns of the same name (`reason`, `detail`, ...)
+// are kept alongside them.
+export const issuesToExportRows = (issues) => issues.map(issue => ({
+  issue_source_file: issue.source,
+  issue_row_number: issue.rowNumber ?? '',
+  issue_severity: getCategorySeverity(issue.reason),
+  issue_reason: getCategoryLabel(issue.reason),
+  issue_detail: issue.detail,
+  ...issue.row,
+}));
@@ -0,0 +1,25 @@
+import { issuesToExportRows } from './dataQuality';
+
+describe('issuesToExportRows', () => {
+  test('prefixes the report columns so source columns of the same name are kept', () => {
+    const [row] = issuesToExportRows([{
+      source: 'legs.csv',
+      rowNumber: 3,
+      reason: 'missing_destination',
+      detail: '',
+      row: { icao: 'abc123', reason: 'from the file', source_file: 'other.csv', severity: 'high' },
+    }]);
+
+    expect(row).toEqual({
+      issue_source_file: 'legs.csv',
+      issue_row_number: 3,
+      issue_severity: 'rejected',
+      issue_reason: 'Missing destination',
+      issue_detail: '',
+      icao: 'abc123',
+      reason: 'from the file',
+      source_file: 'other.csv',
+      severity: 'high',
+    });
+  });
+});
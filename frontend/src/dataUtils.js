@@ -1,34 +1,74 @@
+import Papa from 'papaparse';
 import {
   getLocalTimeZone,
-  CalendarDate,
   // Potentially others like toCalendarDate if needed later
 } from '@internationalized/date';
+import { getLandingTimeZone, getTakeoffTimeZone, getZonedParts, getDateKey, addDaysToDateKey, dateKeyToCalendarDate } from './timeUtils';
 
 // --- Data Processing Logic ---
 
+export const REQUIRED_COLUMNS = ['takeoff_time', 'landing_time', 'icao', 'origin', 'destination'];
+export const OPTIONAL_COLUMNS = ['registration', 'callsign'];
+
+// Step 0: Check a CSV header for the columns we need (throws if any are missing)
+export const validateCsvColumns = (fields) => {
+  const actualColumns = (fields || []).map(field => field ? field.trim() : '');
+  if (!REQUIRED_COLUMNS.every(col => actualColumns.includes(col))) {
+    throw new Error(`CSV must include columns: ${REQUIRED_COLUMNS.join(', ')}. Found: ${actualColumns.join(', ')}`);
+  }
+
+  // Optional columns notice for UI feedback
+  const missingOptionalColumns = OPTIONAL_COLUMNS.filter(col => !actualColumns.includes(col));
+  if (missingOptionalColumns.length > 0) {
+    console.log(`Note: Some optional columns are missing: ${missingOptionalColumns.join(', ')}`);
+  }
+};
+
+// Parse a timestamp value into a Date, or null if it can't be parsed
+const parseTimestamp = (value) => {
+  if (!value) return null;
+  try {
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? null : d;
+  } catch (e) {
+    return null; // Handle potential Date constructor errors
+  }
+};
+
 // Step 1: Initial Processing (Parse, Validate, Sort, Get Range)
+// Rows that can't be used are returned in rejectedRows rather than dropped
+// silently: { rowNumber, reason, row } with reason 'unparseable_time' or
+// 'missing_destination'. rowNumber is the 1-based data row in the file.
 export const processInitialData = (flights) => {
-  // Filter out invalid landing_times *before* sorting and processing
-  const validFlights = flights.filter(flight => {
-    const time = flight.landing_time; // Use landing_time
-    if (!time) return false;
-    try {
-      const d = new Date(time);
-      return !isNaN(d.getTime());
-    } catch (e) {
-      return false; // Handle potential Date constructor errors
+  const validFlights = [];
+  const rejectedRows = [];
+
+  flights.forEach((flight, index) => {
+    const landingTime = parseTimestamp(flight.landing_time); // Use landing_time as main timestamp
+    // Keep takeoff_time if it exists (it might be null/empty), but reject values that don't parse
+    const takeoffTime = parseTimestamp(flight.takeoff_time);
+    if (!landingTime || (flight.takeoff_time && !takeoffTime)) {
+      rejectedRows.push({ rowNumber: index + 1, reason: 'unparseable_time', row: flight });
+      return;
     }
-  }).map(flight => ({ // Convert times to Date objects early
-    ...flight,
-    landing_time: new Date(flight.landing_time), // Keep landing_time as main timestamp
-    // Keep takeoff_time if it exists (it might be null/empty)
-    takeoff_time: flight.takeoff_time ? new Date(flight.takeoff_time) : null, 
-    // Preserve registration field
-    registration: flight.registration || null,
-  })).sort((a, b) => a.landing_time - b.landing_time); // Sort by landing_time (Date objects)
+    if (!flight.destination || !String(flight.destination).trim()) {
+      rejectedRows.push({ rowNumber: index + 1, reason: 'missing_destination', row: flight });
+      return;
+    }
+    validFlights.push({ // Convert times to Date objects early
+      ...flight,
+      landing_time: landingTime,
+      takeoff_time: takeoffTime,
+      // Preserve registration field
+      registration: flight.registration || null,
+      // Legs with an inferred time, as exported from event files ('true' in CSVs)
+      estimated: flight.estimated === true || String(flight.estimated).trim().toLowerCase() === 'true',
+    });
+  });
+  validFlights.sort((a, b) => a.landing_time - b.landing_time); // Sort by landing_time (Date objects)
 
   if (validFlights.length === 0) {
-    throw new Error("No valid rows with parseable landing_times found in CSV.");
+    throw new Error("No valid rows with parseable landing_times and destinations found in file.");
   }
 
   // Determine min/max time from the sorted valid flights based on landing_time
@@ -39,12 +79,170 @@ export const processInitialData = (flights) => {
     rawFlights: validFlights, // Return the raw, sorted, validated flights with Date objects
     earliestTime: minTime, // This now represents earliest *landing* time
     latestTime: maxTime,   // This now represents latest *landing* time
+    rejectedRows,
+  };
+};
+
+// Step 1b: Merge flights from several loaded source files into one dataset.
+// Legs that appear in more than one export (same icao, takeoff_time,
+// landing_time, origin and destination) are kept only once.
+export const getFlightKey = (flight) => [
+  flight.icao ? flight.icao.toLowerCase() : '',
+  flight.takeoff_time ? flight.takeoff_time.getTime() : '',
+  flight.landing_time ? flight.landing_time.getTime() : '',
+  flight.origin || '',
+  flight.destination || '',
+].join('|');
+
+export const mergeFlightSources = (sources) => {
+  const seenKeys = new Set();
+  const mergedFlights = [];
+  let duplicatesRemoved = 0;
+
+  sources.forEach(source => {
+    source.flights.forEach(flight => {
+      const key = getFlightKey(flight);
+      if (seenKeys.has(key)) {
+        duplicatesRemoved++;
+        return;
+      }
+      seenKeys.add(key);
+      mergedFlights.push(flight);
+    });
+  });
+
+  if (mergedFlights.length === 0) return null;
+
+  mergedFlights.sort((a, b) => a.landing_time - b.landing_time); // Keep the merged list sorted by landing_time
+
+  return {
+    rawFlights: mergedFlights,
+    earliestTime: mergedFlights[0].landing_time,
+    latestTime: mergedFlights[mergedFlights.length - 1].landing_time,
+    duplicatesRemoved,
   };
 };
 
 
-// Step 2: Aggregation Logic (Takes a list of flights, returns aggregated stats/charts)
-export const aggregateFlightData = (flights) => {
+// Convert a { start, end } CalendarDate range into inclusive YYYY-MM-DD
+// bounds on the landing date, read in the time basis (see timeUtils.js)
+export const getDateBounds = (dateRange, timeBasis) => {
+  if (!dateRange?.start || !dateRange?.end) return { timeBasis };
+  return { startDate: dateRange.start.toString(), endDate: dateRange.end.toString(), timeBasis };
+};
+
+const normalizeIdentifier = (value) => (value ? String(value).trim().toLowerCase() : '');
+
+// Which side of a flight the airport filter matches: its destination
+// (arrivals), its origin (departures) or either
+export const AIRPORT_DIRECTIONS = { arrivals: 'Arrivals', departures: 'Departures', both: 'Both' };
+export const DEFAULT_AIRPORT_DIRECTION = 'arrivals';
+
+const matchesAirports = (flight, airports, direction) => {
+  if (direction === 'departures') return airports.has(flight.origin);
+  if (direction === 'both') return airports.has(flight.origin) || airports.has(flight.destination);
+  return airports.has(flight.destination);
+};
+
+// Multi-select filter values as a Set, or null when nothing is selected
+const toValueSet = (values, normalize = (value) => value) => (
+  values && values.length > 0 ? new Set(values.map(normalize)) : null
+);
+
+// Apply the date and multi-select filters. Filters are plain values so they
+// can be sent to the aggregation worker:
+// { startDate, endDate, timeBasis, airports, direction, origins, destinations, pairs, registrations, callsigns, icaos }
+// Each array matches any of its values and every non-empty array must match.
+// Registrations, callsigns and ICAO hexes are compared case-insensitively.
+export const filterFlights = (flights, filters = {}) => {
+  const { startDate, endDate, timeBasis, direction } = filters;
+  if (!flights) return [];
+  const airports = toValueSet(filters.airports);
+  const origins = toValueSet(filters.origins);
+  const destinations = toValueSet(filters.destinations);
+  const pairs = toValueSet(filters.pairs);
+  const registrations = toValueSet(filters.registrations, normalizeIdentifier);
+  const callsigns = toValueSet(filters.callsigns, normalizeIdentifier);
+  const icaos = toValueSet(filters.icaos, normalizeIdentifier);
+
+  return flights.filter(flight => {
+    // Use the landing date for date filtering
+    if (startDate !== undefined && endDate !== undefined) {
+      if (!flight.landing_time) return false; // Ensure landing_time exists
+      const landingDate = getDateKey(flight.landing_time, getLandingTimeZone(flight, timeBasis));
+      if (landingDate < startDate || landingDate > endDate) return false;
+    }
+    if (airports && !matchesAirports(flight, airports, direction)) return false;
+    if (origins && !origins.has(flight.origin)) return false;
+    if (destinations && !destinations.has(flight.destination)) return false;
+    if (pairs && !(flight.origin && flight.destination && pairs.has(`${flight.origin}-${flight.destination}`))) return false;
+    if (registrations && !registrations.has(normalizeIdentifier(flight.registration))) return false;
+    if (callsigns && !callsigns.has(normalizeIdentifier(flight.callsign))) return false;
+    if (icaos && !icaos.has(normalizeIdentifier(flight.icao))) return false;
+    return true;
+  });
+};
+
+
+// Flights landing (or with event 'takeoff', taking off) in one weekday/hour
+// slot ({ weekday, hour }, weekday 0 is Sunday) in the time basis, for
+// drilling down from the activity heatmap
+export const filterFlightsByDayHour = (flights, { weekday, hour }, timeBasis, event = 'landing') => flights.filter(flight => {
+  const time = event === 'takeoff' ? flight.takeoff_time : flight.landing_time;
+  if (!time) return false;
+  const zone = event === 'takeoff' ? getTakeoffTimeZone(flight, timeBasis) : getLandingTimeZone(flight, timeBasis);
+  const parts = getZonedParts(time, zone);
+  return parts.weekday === weekday && parts.hour === hour;
+});
+
+// The flights counted in one heatmap cell ({ weekday, hour, event }) of the
+// filtered flights. With the airports matched in both directions the heatmap
+// counts landings at the selected airports only, so departures from them that
+// land elsewhere are left out.
+export const filterHeatmapCellFlights = (flights, cell, timeBasis, { airports = [], direction } = {}) => {
+  const cellFlights = filterFlightsByDayHour(flights, cell, timeBasis, cell.event);
+  if (airports.length === 0 || direction !== 'both' || cell.event === 'takeoff') return cellFlights;
+  const airportSet = new Set(airports);
+  return cellFlights.filter(flight => airportSet.has(flight.destination));
+};
+
+// Airports the airport filter can pick for a direction: destinations,
+// origins or both (from aggregateFlightData output)
+export const getDirectionAirports = (aggregate, direction) => {
+  if (direction === 'departures') return aggregate.allOrigins;
+  if (direction === 'both') return Array.from(new Set([...aggregate.allAirports, ...aggregate.allOrigins])).sort();
+  return aggregate.allAirports;
+};
+
+const addCounts = (sum, counts) => counts.map((count, index) => (
+  Array.isArray(count) ? addCounts(sum ? sum[index] : null, count) : (sum ? sum[index] : 0) + count
+));
+
+// Element-wise sum of per-airport count arrays (or 7x24 matrices), such as
+// airportLandingsByHour, over the selected airports; null if none have counts
+export const sumAirportCounts = (countsByAirport, airports) => airports
+  .map(airport => countsByAirport[airport])
+  .filter(Boolean)
+  .reduce((sum, counts) => addCounts(sum, counts), null);
+
+// Merge per-airport { code: count } maps, such as arrivalsFrom, over the
+// selected airports
+export const mergeAirportCounts = (countsByAirport, airports) => {
+  const merged = {};
+  airports.forEach(airport => {
+    Object.entries(countsByAirport[airport] || {}).forEach(([code, count]) => {
+      merged[code] = (merged[code] || 0) + count;
+    });
+  });
+  return merged;
+};
+
+// 7x24 landing counts, indexed [dayOfWeek][hourOfDay] (Sunday first)
+const emptyDayHourMatrix = () => Array.from({ length: 7 }, () => Array(24).fill(0));
+
+// Step 2: Aggregation Logic (Takes a list of flights, returns aggregated stats/charts).
+// Days and hours are bucketed by landing time in the time basis.
+export const aggregateFlightData = (flights, timeBasis) => {
   if (!flights || flights.length === 0) {
     // Return empty/default structure if no flights after filtering
     return {
@@ -60,14 +258,24 @@ export const aggregateFlightData = (flights) => {
       allSortedRegistrations: [],  // New field for all sorted registrations
       sortedAirports: [],
       sortedPairs: [],
+      allSortedAirports: [],
+      allSortedPairs: [],
       landingsByDay: Array(7).fill(0),
       landingsByHour: Array(24).fill(0),
+      landingsByDayHour: emptyDayHourMatrix(),
       airportLandingsByDay: {},
       airportLandingsByHour: {},
+      airportLandingsByDayHour: {},
       pairLandingsByDay: {},
       pairLandingsByHour: {},
+      pairLandingsByDayHour: {},
       arrivalsFrom: {},
+      departuresTo: {},
+      airportDeparturesByDay: {},
+      airportDeparturesByHour: {},
+      airportDeparturesByDayHour: {},
       allAirports: [],
+      allOrigins: [],
       allPairs: [],
       dailyLabels: [],
       dailyUniqueAircraftCounts: [],
@@ -82,10 +290,13 @@ export const aggregateFlightData = (flights) => {
   const airportPairs = {};
   const landingsByDay = Array(7).fill(0); // Landings at destination by day
   const landingsByHour = Array(24).fill(0); // Landings at destination by hour
+  const landingsByDayHour = emptyDayHourMatrix(); // Landings at destination by day and hour
   const airportLandingsByDay = {}; // Landings at specific destination airport by day
   const airportLandingsByHour = {}; // Landings at specific destination airport by hour
+  const airportLandingsByDayHour = {}; // Landings at specific destination airport by day and hour
   const pairLandingsByDay = {}; // Flights for a specific pair by day
   const pairLandingsByHour = {}; // Flights for a specific pair by hour
+  const pairLandingsByDayHour = {}; // Flights for a specific pair by day and hour
   const uniqueIcaos = new Set();
   const uniqueCallsigns = new Set();
   const uniqueRegistrations = new Set(); // Set for unique registrations
@@ -93,20 +304,21 @@ export const aggregateFlightData = (flights) => {
   const icaoCounts = {}; // Track ICAO hex frequencies
   const registrationCounts = {}; // { registration: { count: number, icao: string | null } }
   const arrivalsFrom = {}; // Stores arrivals count: arrivalsFrom[destination][origin] = count
+  const departuresTo = {}; // Stores departures count: departuresTo[origin][destination] = count
+  const airportDeparturesByDay = {}; // Takeoffs from specific origin airport by day
+  const airportDeparturesByHour = {}; // Takeoffs from specific origin airport by hour
+  const airportDeparturesByDayHour = {}; // Takeoffs from specific origin airport by day and hour
   const airportDailyActivity = {}; // Stores airport-specific daily activity
   const pairDailyActivity = {}; // Stores pair-specific daily activity
 
-  // Min/max times for the *filtered* set (if needed for display, otherwise use overall min/max)
-  let minTime = flights[0].landing_time; // Use landing_time
-  let maxTime = flights[flights.length - 1].landing_time; // Use landing_time (already sorted)
+  // Landing date of each flight in the time basis, for the daily activity
+  const landingDates = flights.map(flight => getDateKey(flight.landing_time, getLandingTimeZone(flight, timeBasis)));
 
   flights.forEach(flight => {
-    const { landing_time, icao, origin, destination, callsign, takeoff_time, registration } = flight;
+    const { landing_time, icao, origin, destination, callsign, registration } = flight;
     if (!destination) return; // Skip if destination info missing
 
-    const calculationTime = landing_time;
-    const dayOfWeek = calculationTime.getDay();
-    const hourOfDay = calculationTime.getHours();
+    const { weekday: dayOfWeek, hour: hourOfDay } = getZonedParts(landing_time, getLandingTimeZone(flight, timeBasis));
 
     // Use lowercase icao for consistency
     const lowerIcao = icao ? icao.toLowerCase() : null;
@@ -148,12 +360,15 @@ export const aggregateFlightData = (flights) => {
     airportCounts[destination] = (airportCounts[destination] || 0) + 1;
     landingsByDay[dayOfWeek]++;
     landingsByHour[hourOfDay]++;
+    landingsByDayHour[dayOfWeek][hourOfDay]++;
 
     // Increment per-destination airport counts
     if (!airportLandingsByDay[destination]) airportLandingsByDay[destination] = Array(7).fill(0);
     if (!airportLandingsByHour[destination]) airportLandingsByHour[destination] = Array(24).fill(0);
+    if (!airportLandingsByDayHour[destination]) airportLandingsByDayHour[destination] = emptyDayHourMatrix();
     airportLandingsByDay[destination][dayOfWeek]++;
     airportLandingsByHour[destination][hourOfDay]++;
+    airportLandingsByDayHour[destination][dayOfWeek][hourOfDay]++;
 
     // Track airport pairs directly if origin is present
     if (origin && origin !== destination) {
@@ -162,14 +377,33 @@ export const aggregateFlightData = (flights) => {
 
       if (!pairLandingsByDay[pair]) pairLandingsByDay[pair] = Array(7).fill(0);
       if (!pairLandingsByHour[pair]) pairLandingsByHour[pair] = Array(24).fill(0);
+      if (!pairLandingsByDayHour[pair]) pairLandingsByDayHour[pair] = emptyDayHourMatrix();
       pairLandingsByDay[pair][dayOfWeek]++;
       pairLandingsByHour[pair][hourOfDay]++;
+      pairLandingsByDayHour[pair][dayOfWeek][hourOfDay]++;
 
       // Calculate Arrivals From
       if (!arrivalsFrom[destination]) {
         arrivalsFrom[destination] = {};
       }
       arrivalsFrom[destination][origin] = (arrivalsFrom[destination][origin] || 0) + 1;
+
+      // Calculate Departures To
+      if (!departuresTo[origin]) {
+        departuresTo[origin] = {};
+      }
+      departuresTo[origin][destination] = (departuresTo[origin][destination] || 0) + 1;
+    }
+
+    // Departures are bucketed by takeoff time at the origin, when known
+    if (origin && flight.takeoff_time) {
+      const { weekday: takeoffDay, hour: takeoffHour } = getZonedParts(flight.takeoff_time, getTakeoffTimeZone(flight, timeBasis));
+      if (!airportDeparturesByDay[origin]) airportDeparturesByDay[origin] = Array(7).fill(0);
+      if (!airportDeparturesByHour[origin]) airportDeparturesByHour[origin] = Array(24).fill(0);
+      if (!airportDeparturesByDayHour[origin]) airportDeparturesByDayHour[origin] = emptyDayHourMatrix();
+      airportDeparturesByDay[origin][takeoffDay]++;
+      airportDeparturesByHour[origin][takeoffHour]++;
+      airportDeparturesByDayHour[origin][takeoffDay][takeoffHour]++;
     }
   });
 
@@ -179,26 +413,26 @@ export const aggregateFlightData = (flights) => {
   const dailyTotalLandings = [];
 
   if (flights.length > 0) {
-      // Use the actual min/max time of the *filtered* data for iteration
-      const startLoopDate = new Date(minTime);
-      startLoopDate.setUTCHours(0, 0, 0, 0);
-      const endLoopDate = new Date(maxTime);
-      endLoopDate.setUTCHours(0, 0, 0, 0);
-
-      // Create a map for quick lookup of flights by date string (using landing_time)
+      // Create a map for quick lookup of flights by landing date, and find the
+      // first and last dates of the *filtered* data for iteration (in airport
+      // time they need not belong to the first and last flights)
       const flightsByDate = {};
-      flights.forEach(flight => {
-          const dateStr = flight.landing_time.toISOString().split('T')[0]; // Use landing_time
+      let firstDate = landingDates[0];
+      let lastDate = landingDates[0];
+      flights.forEach((flight, index) => {
+          const dateStr = landingDates[index];
           if (!flightsByDate[dateStr]) {
               flightsByDate[dateStr] = [];
           }
           flightsByDate[dateStr].push(flight);
+          if (dateStr < firstDate) firstDate = dateStr;
+          if (dateStr > lastDate) lastDate = dateStr;
       });
 
 
-      let currentDate = new Date(startLoopDate);
-      while (currentDate <= endLoopDate) {
-          const dateString = currentDate.toISOString().split('T')[0]; // YYYY-MM-DD format
+      let currentDate = firstDate;
+      while (currentDate <= lastDate) {
+          const dateString = currentDate; // YYYY-MM-DD format
           let dailyUniqueAircraft = new Set();
           let dailyLandings = 0;
 
@@ -241,18 +475,18 @@ export const aggregateFlightData = (flights) => {
           dailyTotalLandings.push(dailyLandings);
 
           // Move to the next day
-          currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+          currentDate = addDaysToDateKey(currentDate, 1);
       }
   }
   // --- End Daily Activity Calculation ---
 
-  const sortedAirports = Object.entries(airportCounts) // Based on destination landings
-    .sort(([, countA], [, countB]) => countB - countA)
-    .slice(0, 20);
+  const allSortedAirports = Object.entries(airportCounts) // Based on destination landings
+    .sort(([, countA], [, countB]) => countB - countA);
+  const sortedAirports = allSortedAirports.slice(0, 20);
 
-  const sortedPairs = Object.entries(airportPairs) // Based on origin-destination flights
-    .sort(([, countA], [, countB]) => countB - countA)
-    .slice(0, 20);
+  const allSortedPairs = Object.entries(airportPairs) // Based on origin-destination flights
+    .sort(([, countA], [, countB]) => countB - countA);
+  const sortedPairs = allSortedPairs.slice(0, 20);
 
   // Get the top callsigns
   const topCallsigns = Object.entries(callsignCounts)
@@ -290,6 +524,9 @@ export const aggregateFlightData = (flights) => {
   // Get all unique airport codes mentioned as destination
   const allAirports = Object.keys(airportCounts).sort();
 
+  // Get all unique airport codes mentioned as origin
+  const allOrigins = Object.keys(departuresTo).sort();
+
   // Get all unique origin-destination pairs
   const allPairs = Object.keys(airportPairs).sort();
 
@@ -309,14 +546,24 @@ export const aggregateFlightData = (flights) => {
     allSortedRegistrations, // Now includes { registration, count, icao }
     sortedAirports,
     sortedPairs,
+    allSortedAirports,
+    allSortedPairs,
     landingsByDay,
     landingsByHour,
+    landingsByDayHour,
     airportLandingsByDay,
     airportLandingsByHour,
+    airportLandingsByDayHour,
     pairLandingsByDay,
     pairLandingsByHour,
+    pairLandingsByDayHour,
     arrivalsFrom,
+    departuresTo,
+    airportDeparturesByDay,
+    airportDeparturesByHour,
+    airportDeparturesByDayHour,
     allAirports,
+    allOrigins,
     allPairs,
     dailyLabels,
     dailyUniqueAircraftCounts,
@@ -328,10 +575,161 @@ export const aggregateFlightData = (flights) => {
 };
 
 
+// --- Aircraft Detail ---
+// An aircraft is picked by { kind, value } where kind is one of AIRCRAFT_KINDS'
+// keys, e.g. { kind: 'registration', value: 'N123AB' }.
+
+export const AIRCRAFT_KINDS = { icao: 'ICAO', registration: 'Registration', callsign: 'Callsign' };
+
+// Legs flown by the aircraft, in landing_time order
+export const findAircraftFlights = (flights, { kind, value }) => {
+  const target = normalizeIdentifier(value);
+  if (!target || !AIRCRAFT_KINDS[kind]) return [];
+  return flights
+    .filter(flight => normalizeIdentifier(flight[kind]) === target)
+    .sort((a, b) => a.landing_time - b.landing_time);
+};
+
+// --- Operators ---
+// An aircraft's operator is its registered owner in aircraft.csv (the
+// aircraftDataMap, keyed by lowercase ICAO hex).
+
+export const UNKNOWN_OPERATOR = 'Unknown operator';
+
+export const getAircraftOperator = (icao, aircraftDataMap) => (
+  (icao && aircraftDataMap?.get(icao.toLowerCase())?.RegisteredOwners) || UNKNOWN_OPERATOR
+);
+
+// Lowercase ICAO hexes of the aircraft in `flights` flown for any of `operators`
+export const getOperatorIcaos = (flights, operators, aircraftDataMap) => {
+  const selected = new Set(operators);
+  const checked = new Set();
+  const icaos = [];
+  (flights || []).forEach(flight => {
+    const icao = flight.icao ? flight.icao.toLowerCase() : '';
+    if (!icao || checked.has(icao)) return;
+    checked.add(icao);
+    if (selected.has(getAircraftOperator(icao, aircraftDataMap))) icaos.push(icao);
+  });
+  return icaos;
+};
+
+// Owner and type code of each aircraft in `flights` that aircraftDataMap
+// knows, keyed by lowercase ICAO hex: the part of aircraft.csv the data worker
+// needs for distance summaries
+export const pickAircraftInfo = (flights, aircraftDataMap) => {
+  const aircraftInfo = new Map();
+  if (!aircraftDataMap || aircraftDataMap.size === 0) return aircraftInfo;
+  (flights || []).forEach(flight => {
+    const icao = flight.icao ? flight.icao.toLowerCase() : '';
+    if (!icao || aircraftInfo.has(icao)) return;
+    const aircraft = aircraftDataMap.get(icao);
+    if (aircraft) aircraftInfo.set(icao, { RegisteredOwners: aircraft.RegisteredOwners, ICAOTypeCode: aircraft.ICAOTypeCode });
+  });
+  return aircraftInfo;
+};
+
+const countBy = (items, getKey) => {
+  const counts = {};
+  items.forEach(item => {
+    const key = getKey(item);
+    if (key) counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts).sort(([, countA], [, countB]) => countB - countA);
+};
+
+// Summary for the aircraft detail view. Daily counts (by landing date in the
+// time basis) cover every day from the first to the last leg so gaps show up
+// as zeros.
+export const summarizeAircraftFlights = (legs, timeBasis) => {
+  const dailyLabels = [];
+  const dailyCounts = [];
+  if (legs.length > 0) {
+    const countsByDay = Object.fromEntries(countBy(legs, leg => getDateKey(leg.landing_time, getLandingTimeZone(leg, timeBasis))));
+    const days = Object.keys(countsByDay).sort();
+    for (let key = days[0]; key <= days[days.length - 1]; key = addDaysToDateKey(key, 1)) {
+      dailyLabels.push(key);
+      dailyCounts.push(countsByDay[key] || 0);
+    }
+  }
+
+  return {
+    dailyLabels,
+    dailyCounts,
+    topAirports: countBy(legs, leg => leg.destination), // By landings
+    icaos: countBy(legs, leg => (leg.icao ? leg.icao.toLowerCase() : null)),
+    registrations: countBy(legs, leg => leg.registration),
+    callsigns: countBy(legs, leg => (leg.callsign ? leg.callsign.trim() : null)),
+  };
+};
+
+// --- Airport Coordinates ---
+
+let airportCoordinatesPromise = null;
+
+// Load airports.csv once and share it: resolves to
+// { [airport_ident]: { lat, lng, timeZone } } (timeZone is an IANA name or null)
+export const fetchAirportCoordinates = () => {
+  if (!airportCoordinatesPromise) {
+    airportCoordinatesPromise = fetch('/airports.csv')
+      .then(response => {
+        if (!response.ok) {
+          throw new Error('Failed to fetch airport data');
+        }
+        return response.text();
+      })
+      .then(csvText => new Promise((resolve, reject) => {
+        Papa.parse(csvText, {
+          header: true,
+          skipEmptyLines: true,
+          complete: (results) => {
+            // Create a lookup object for airport coordinates
+            const airportMap = {};
+            results.data.forEach(airport => {
+              if (airport.airport_ident && airport.latitude && airport.longitude) {
+                airportMap[airport.airport_ident] = {
+                  lat: parseFloat(airport.latitude),
+                  lng: parseFloat(airport.longitude),
+                  timeZone: airport.timezone || null
+                };
+              }
+            });
+            resolve(airportMap);
+          },
+          error: (err) => reject(new Error(`Failed to parse airports.csv: ${err.message}`))
+        });
+      }))
+      .catch(err => {
+        airportCoordinatesPromise = null; // Allow a retry on the next call
+        throw err;
+      });
+  }
+  return airportCoordinatesPromise;
+};
+
+
+// --- Remote Datasets ---
+
+// Fetch a dataset file from a same-origin URL (e.g. ?data=/datasets/week14.csv) as a File
+export const fetchDataFile = async (dataUrl) => {
+  const url = new URL(dataUrl, window.location.href);
+  if (url.origin !== window.location.origin) {
+    throw new Error('Only datasets from this site can be loaded from a link');
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const blob = await response.blob();
+  const name = decodeURIComponent(url.pathname.split('/').pop()) || 'dataset.csv';
+  return new File([blob], name, { type: blob.type });
+};
+
 // --- Utility Functions ---
 
-// Helper to format Date objects or ISO strings
-export const formatDateTime = (dateOrIsoString) => {
+// Helper to format Date objects or ISO strings, in the browser's zone unless
+// an IANA timeZone is given
+export const formatDateTime = (dateOrIsoString, timeZone) => {
     if (!dateOrIsoString) return 'N/A';
     try {
       let dt;
@@ -343,20 +741,35 @@ export const formatDateTime = (dateOrIsoString) => {
         dt = new Date(dateOrIsoString); // Assume ISO string
       }
       if (isNaN(dt.getTime())) return 'Invalid Date';
-      return dt.toLocaleString();
+      return dt.toLocaleString(undefined, { timeZone });
     } catch (e) {
       console.warn("Invalid date format:", dateOrIsoString);
       return 'Invalid Date';
     }
   };
 
-// --- Convert JS Date to CalendarDate for min/max Value ---  
-export const getCalendarDate = (jsDate) => {
-    if (!jsDate || !(jsDate instanceof Date)) return undefined;
-    // Convert JS Date (local) into a CalendarDate object
-    // We need year, month, day in the *local* time zone
-    return new CalendarDate(jsDate.getFullYear(), jsDate.getMonth() + 1, jsDate.getDate());
-    // Alternative if timestamps are UTC: use parseAbsoluteToLocal(jsDate.toISOString()).date;
-    // Or more robustly if input is guaranteed UTC:
-    // return toCalendarDate(new CalendarDateTime(jsDate.getUTCFullYear(), jsDate.getUTCMonth() + 1, jsDate.getUTCDate(), jsDate.getUTCHours(), jsDate.getUTCMinutes()));
+// Format a duration in milliseconds as e.g. "2h 05m" or "45m"
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined || !isFinite(ms)) return 'N/A';
+  const sign = ms < 0 ? '-' : '';
+  const totalMinutes = Math.round(Math.abs(ms) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours >= 48) return `${sign}${Math.floor(hours / 24)}d ${hours % 24}h`;
+  return hours > 0 ? `${sign}${hours}h ${String(minutes).padStart(2, '0')}m` : `${sign}${minutes}m`;
+};
+
+// --- First and last landing dates as CalendarDates for min/max Value ---
+// Dates are read in the time basis; in airport time the earliest date need not
+// belong to the first flight, so every flight is checked.
+export const getFlightDateRange = (flights, timeBasis) => {
+    if (!flights || flights.length === 0) return null;
+    let start = null;
+    let end = null;
+    flights.forEach(flight => {
+      const dateKey = getDateKey(flight.landing_time, getLandingTimeZone(flight, timeBasis));
+      if (start === null || dateKey < start) start = dateKey;
+      if (end === null || dateKey > end) end = dateKey;
+    });
+    return { start: dateKeyToCalendarDate(start), end: dateKeyToCalendarDate(end) };
   }; 
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { mergeFlightSources, processInitialData, filterFlights, aggregateFlightData, filterFlightsByDayHour, filterHeatmapCellFlights, sumAirportCounts } from './dataUtils';
+import { buildTimeBasis } from './timeUtils';
+
+const leg = (icao, takeoff, landing, origin = 'KAEX', destination = 'KELP') => ({
+  icao,
+  takeoff_time: new Date(takeoff),
+  landing_time: new Date(landing),
+  origin,
+  destination,
+});
+
+describe('mergeFlightSources', () => {
+  test('keeps legs found in several sources once and sorts by landing time', () => {
+    const shared = leg('abc123', '2025-05-01T10:00:00Z', '2025-05-01T12:00:00Z');
+    const merged = mergeFlightSources([
+      { flights: [leg('def456', '2025-05-02T10:00:00Z', '2025-05-02T11:00:00Z'), shared] },
+      { flights: [{ ...shared, icao: 'ABC123' }, leg('abc123', '2025-05-01T13:00:00Z', '2025-05-01T14:00:00Z', 'KELP', 'KAEX')] },
+    ]);
+
+    expect(merged.duplicatesRemoved).toBe(1);
+    expect(merged.rawFlights.map(flight => `${flight.icao}:${flight.origin}-${flight.destination}`))
+      .toEqual(['abc123:KAEX-KELP', 'abc123:KELP-KAEX', 'def456:KAEX-KELP']);
+    expect(merged.earliestTime).toEqual(new Date('2025-05-01T12:00:00Z'));
+    expect(merged.latestTime).toEqual(new Date('2025-05-02T11:00:00Z'));
+  });
+
+  test('treats legs with different times as different legs', () => {
+    const merged = mergeFlightSources([
+      { flights: [leg('abc123', '2025-05-01T10:00:00Z', '2025-05-01T12:00:00Z')] },
+      { flights: [leg('abc123', '2025-05-01T10:00:00Z', '2025-05-01T12:01:00Z')] },
+    ]);
+
+    expect(merged.rawFlights).toHaveLength(2);
+    expect(merged.duplicatesRemoved).toBe(0);
+  });
+
+  test('returns null without flights', () => {
+    expect(mergeFlightSources([])).toBeNull();
+    expect(mergeFlightSources([{ flights: [] }])).toBeNull();
+  });
+});
+
+describe('processInitialData', () => {
+  test('reads the estimated flag from CSV values', () => {
+    const { rawFlights } = processInitialData([
+      { takeoff_time: '2025-05-01T10:00:00Z', landing_time: '2025-05-01T12:00:00Z', icao: 'abc123', origin: 'KAEX', destination: 'KELP', estimated: 'true' },
+      { takeoff_time: '2025-05-01T13:00:00Z', landing_time: '2025-05-01T15:00:00Z', icao: 'abc123', origin: 'KELP', destination: 'KAEX', estimated: 'false' },
+      { takeoff_time: '2025-05-01T16:00:00Z', landing_time: '2025-05-01T18:00:00Z', icao: 'abc123', origin: 'KAEX', destination: 'KELP' },
+    ]);
+
+    expect(rawFlights.map(flight => flight.estimated)).toEqual([true, false, false]);
+  });
+});
+
+describe('filterFlights', () => {
+  const flights = [
+    leg('abc123', '2025-05-01T10:00:00Z', '2025-05-01T11:00:00Z', 'KAEX', 'KELP'),
+    leg('abc123', '2025-05-01T12:00:00Z', '2025-05-01T13:00:00Z', 'KELP', 'KBRO'),
+    leg('def456', '2025-05-01T14:00:00Z', '2025-05-01T15:00:00Z', 'KBRO', 'KAEX'),
+  ];
+  const routes = (filters) => filterFlights(flights, filters).map(flight => `${flight.origin}-${flight.destination}`);
+
+  test('matches any of the origins or destinations', () => {
+    expect(routes({ origins: ['KAEX', 'KELP'] })).toEqual(['KAEX-KELP', 'KELP-KBRO']);
+    expect(routes({ destinations: ['KAEX', 'KBRO'] })).toEqual(['KELP-KBRO', 'KBRO-KAEX']);
+  });
+
+  test('requires origins and destinations to match with the other filters', () => {
+    expect(routes({ origins: ['KAEX', 'KELP'], destinations: ['KBRO'] })).toEqual(['KELP-KBRO']);
+    expect(routes({ airports: ['KAEX'], direction: 'both', destinations: ['KAEX'] })).toEqual(['KBRO-KAEX']);
+    expect(routes({ origins: ['KAEX'], pairs: ['KELP-KBRO'] })).toEqual([]);
+  });
+});
+
+describe('aggregateFlightData', () => {
+  test('counts each pair by day and hour', () => {
+    const aggregate = aggregateFlightData([
+      leg('abc123', '2025-05-01T10:00:00Z', '2025-05-01T11:30:00Z', 'KAEX', 'KELP'),
+      leg('def456', '2025-05-01T10:00:00Z', '2025-05-01T11:45:00Z', 'KAEX', 'KELP'),
+    ], buildTimeBasis('UTC'));
+
+    // May 1, 2025 was a Thursday
+    expect(aggregate.pairLandingsByDayHour['KAEX-KELP'][4][11]).toBe(2);
+    expect(aggregate.pairLandingsByDay['KAEX-KELP'][4]).toBe(2);
+    expect(aggregate.pairLandingsByHour['KAEX-KELP'][11]).toBe(2);
+  });
+});
+
+describe('activity heatmap cells', () => {
+  // Legs every 5 hours 20 minutes for two weeks, so every weekday and most
+  // hours get some, with landings and takeoffs in different hours and days
+  const airports = ['KAEX', 'KELP', 'KBRO'];
+  const flights = Array.from({ length: 63 }, (_, index) => {
+    const takeoff = Date.UTC(2025, 2, 3) + index * 320 * 60 * 1000;
+    return leg(
+      `a${index % 4}`,
+      takeoff,
+      takeoff + (index % 3 + 1) * 50 * 60 * 1000,
+      airports[index % 3],
+      airports[(index + 1) % 3]
+    );
+  });
+  const airportCoordinates = {
+    KAEX: { timeZone: 'America/Chicago' },
+    KELP: { timeZone: 'America/Denver' },
+  };
+
+  // Every cell of a 7x24 matrix as [weekday, hour, count]
+  const cells = (matrix) => matrix.flatMap((hours, weekday) => hours.map((count, hour) => [weekday, hour, count]));
+
+  [
+    ['UTC', buildTimeBasis('UTC')],
+    ['a zone with a DST change', buildTimeBasis('America/Chicago')],
+    ['airport local time', buildTimeBasis('airport', airportCoordinates)],
+  ].forEach(([label, timeBasis]) => {
+    test(`count the flights a cell click shows in ${label}`, () => {
+      const aggregate = aggregateFlightData(flights, timeBasis);
+
+      cells(aggregate.landingsByDayHour).forEach(([weekday, hour, count]) => {
+        expect(filterFlightsByDayHour(flights, { weekday, hour }, timeBasis)).toHaveLength(count);
+      });
+
+      const kaexArrivals = flights.filter(flight => flight.destination === 'KAEX');
+      cells(sumAirportCounts(aggregate.airportLandingsByDayHour, ['KAEX'])).forEach(([weekday, hour, count]) => {
+        expect(filterFlightsByDayHour(kaexArrivals, { weekday, hour }, timeBasis, 'landing')).toHaveLength(count);
+      });
+
+      const departures = flights.filter(flight => ['KAEX', 'KELP'].includes(flight.origin));
+      cells(sumAirportCounts(aggregate.airportDeparturesByDayHour, ['KAEX', 'KELP'])).forEach(([weekday, hour, count]) => {
+        expect(filterFlightsByDayHour(departures, { weekday, hour }, timeBasis, 'takeoff')).toHaveLength(count);
+      });
+    });
+
+    test(`count only arrivals at airports matched in both directions in ${label}`, () => {
+      const aggregate = aggregateFlightData(flights, timeBasis);
+      // The airport filter in both directions keeps departures from KAEX too
+      const touchingKaex = flights.filter(flight => flight.origin === 'KAEX' || flight.destination === 'KAEX');
+
+      cells(sumAirportCounts(aggregate.airportLandingsByDayHour, ['KAEX'])).forEach(([weekday, hour, count]) => {
+        const cellFlights = filterHeatmapCellFlights(touchingKaex, { weekday, hour, event: 'landing' }, timeBasis, { airports: ['KAEX'], direction: 'both' });
+        expect(cellFlights).toHaveLength(count);
+      });
+      const cell = { weekday: 1, hour: 8, event: 'landing' };
+      expect(filterHeatmapCellFlights(touchingKaex, cell, timeBasis, { airports: ['KAEX'], direction: 'arrivals' }))
+        .toEqual(filterFlightsByDayHour(touchingKaex, cell, timeBasis));
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import Papa from 'papaparse';
+import { processInitialData, validateCsvColumns, filterFlights, aggregateFlightData } from './dataUtils';
+import { isEventFile, parseLandingsTakeoffs, pairEventFiles } from './landingsTakeoffs';
+import { validateColumnMapping, applyColumnMapping } from './columnMapping';
+import { isAirportTimeBasis } from './timeUtils';
+import { buildTrips, filterTrips, buildStays, filterStays, countItineraryPatterns, findItineraryPattern } from './tripUtils';
+import { buildDurationModel } from './durationUtils';
+import { buildDistanceSummary } from './distanceUtils';
+
+// --- Data Worker ---
+// Runs file parsing and every full pass over the dataset off the main thread. Messages:
+//   { type: 'parse', id, file, columnMapping }   -> progress..., result (processed CSV data, or
+//                                                  { events, rejectedRows } for an event file)
+//   { type: 'pairEvents', id, eventLists, callsignFilters } -> result (legs per event file, see pairEventFiles)
+//   { type: 'setDataset', dataset }              -> stores { flights, airportTimeZones, airportCoordinates,
+//                                                  aircraftInfo } (any may be left out to keep the current
+//                                                  value) for the tasks below
+// Dataset tasks; filters are filterFlights filters whose time basis leaves out
+// the airport time zones, which come from the dataset:
+//   { type: 'aggregate', id, filters }           -> aggregateFlightData output
+//   { type: 'trips', id, filters, selections, maxGroundHours } -> buildTrips output, kept by filterTrips
+//   { type: 'stays', id, filters, selections }   -> buildStays output, kept by filterStays
+//   { type: 'patterns', id, filters, length, limit, airports, pairs, selectedAirports }
+//                                                -> { patterns (without legs), selectedPattern } (see
+//                                                  countItineraryPatterns and findItineraryPattern)
+//   { type: 'distances', id, filters }           -> buildDistanceSummary output
+//   { type: 'durationModel', id }                -> buildDurationModel output for the whole dataset
+
+// eslint-disable-next-line no-restricted-globals
+const ctx = self;
+
+const CHUNK_SIZE = 4 * 1024 * 1024; // Bytes read per chunk when streaming files
+const PROGRESS_INTERVAL_MS = 100;
+const FILTER_CACHE_SIZE = 4;
+
+// aircraftInfo: Map of lowercase ICAO hex -> { RegisteredOwners, ICAOTypeCode }
+const dataset = { flights: [], airportTimeZones: {}, airportCoordinates: {}, aircraftInfo: new Map() };
+
+// The tasks of one filter change mostly share their filters, so the last few
+// filtered lists are kept until the dataset changes
+const filterCache = new Map(); // JSON of the filters -> flights
+
+// Time bases arrive without their airport time zone table, which is sent once
+// with the dataset instead of with every request
+const resolveTimeBasis = (timeBasis) => (
+  isAirportTimeBasis(timeBasis) ? { ...timeBasis, airportTimeZones: dataset.airportTimeZones } : timeBasis
+);
+
+const getFilteredFlights = (filters) => {
+  const key = JSON.stringify(filters);
+  if (filterCache.has(key)) return filterCache.get(key);
+  const flights = filterFlights(dataset.flights, { ...filters, timeBasis: resolveTimeBasis(filters.timeBasis) });
+  if (filterCache.size >= FILTER_CACHE_SIZE) filterCache.delete(filterCache.keys().next().value);
+  filterCache.set(key, flights);
+  return flights;
+};
+
+const DATASET_TASKS = {
+  aggregate: ({ filters }) => aggregateFlightData(getFilteredFlights(filters), resolveTimeBasis(filters.timeBasis)),
+  trips: ({ filters, selections, maxGroundHours }) => (
+    filterTrips(buildTrips(getFilteredFlights(filters), { maxGroundHours }), selections)
+  ),
+  stays: ({ filters, selections }) => (
+    filterStays(buildStays(getFilteredFlights(filters), dataset.airportTimeZones), selections)
+  ),
+  patterns: ({ filters, length, limit, airports, pairs, selectedAirports }) => {
+    const flights = getFilteredFlights(filters);
+    return {
+      // Only the selected pattern's legs are sent back
+      patterns: countItineraryPatterns(flights, { length, limit, airports, pairs }).map(({ legs, ...pattern }) => pattern),
+      selectedPattern: findItineraryPattern(flights, selectedAirports, { airports, pairs }),
+    };
+  },
+  distances: ({ filters }) => buildDistanceSummary(
+    getFilteredFlights(filters),
+    dataset.airportCoordinates,
+    dataset.aircraftInfo,
+    resolveTimeBasis(filters.timeBasis)
+  ),
+  durationModel: () => buildDurationModel(dataset.flights),
+};
+
+// Report progress at most every PROGRESS_INTERVAL_MS
+const createProgressReporter = (id, file) => {
+  let lastReport = 0;
+  return (rows, bytesRead, force = false) => {
+    const now = Date.now();
+    if (!force && now - lastReport < PROGRESS_INTERVAL_MS) return;
+    lastReport = now;
+    const percent = file.size > 0 ? Math.min(100, (bytesRead / file.size) * 100) : 100;
+    ctx.postMessage({ type: 'progress', id, progress: { rows, percent } });
+  };
+};
+
+// Stream a CSV file through Papa in chunks, renaming columns if a mapping is given
+const parseCsvStream = (file, columnMapping, onProgress) => new Promise((resolve, reject) => {
+  const rows = [];
+  let checkedHeader = false;
+
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: (header) => header.trim(),
+    chunkSize: CHUNK_SIZE,
+    chunk: (results, parser) => {
+      if (!checkedHeader) {
+        checkedHeader = true;
+        try {
+          if (columnMapping) {
+            validateColumnMapping(columnMapping, results.meta.fields);
+          } else {
+            validateCsvColumns(results.meta.fields);
+          }
+        } catch (err) {
+          parser.abort();
+          reject(err);
+          return;
+        }
+      }
+      for (const row of results.data) { // Avoid spreading very large chunks
+        rows.push(columnMapping ? applyColumnMapping(row, columnMapping) : row);
+      }
+      onProgress(rows.length, results.meta.cursor);
+    },
+    complete: () => {
+      if (rows.length === 0) {
+        reject(new Error("CSV file is empty or invalid."));
+        return;
+      }
+      onProgress(rows.length, file.size, true);
+      resolve(rows);
+    },
+    error: (err) => reject(new Error(`CSV parse error: ${err.message}`))
+  });
+});
+
+// Stream an NDJSON landings/takeoffs event file into events. They are paired
+// into legs afterwards, together with the events of the other event files.
+const parseEventFileStream = async (file, onProgress) => {
+  const events = [];
+  const rejectedRows = [];
+  const decoder = new TextDecoder();
+  let remainder = '';
+  let offset = 0;
+  let lineNumber = 1; // Line number of the first line still to be parsed
+
+  const addLines = (text) => {
+    const parsed = parseLandingsTakeoffs(text, lineNumber);
+    for (const event of parsed.events) events.push(event);
+    for (const row of parsed.rejectedRows) rejectedRows.push(row);
+    lineNumber += text.split('\n').length - 1;
+  };
+
+  while (offset < file.size) {
+    const buffer = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    offset += buffer.byteLength;
+    const text = remainder + decoder.decode(buffer, { stream: true });
+    const lastNewline = text.lastIndexOf('\n');
+    remainder = text.slice(lastNewline + 1); // Keep the partial last line for the next chunk
+    addLines(text.slice(0, lastNewline + 1));
+    onProgress(events.length, offset);
+  }
+  remainder += decoder.decode();
+  addLines(remainder);
+
+  if (events.length === 0) {
+    throw new Error("Event file is empty or invalid.");
+  }
+  onProgress(events.length, file.size, true);
+  return { events, rejectedRows };
+};
+
+const handleParse = async ({ id, file, columnMapping }) => {
+  const onProgress = createProgressReporter(id, file);
+  if (isEventFile(file.name)) {
+    return parseEventFileStream(file, onProgress);
+  }
+  return processInitialData(await parseCsvStream(file, columnMapping, onProgress));
+};
+
+ctx.onmessage = async (event) => {
+  const { type, id } = event.data;
+
+  if (type === 'setDataset') {
+    const { flights, airportTimeZones, airportCoordinates, aircraftInfo } = event.data.dataset;
+    if (flights !== undefined) dataset.flights = flights || [];
+    if (airportTimeZones !== undefined) dataset.airportTimeZones = airportTimeZones || {};
+    if (airportCoordinates !== undefined) dataset.airportCoordinates = airportCoordinates || {};
+    if (aircraftInfo !== undefined) dataset.aircraftInfo = aircraftInfo || new Map();
+    if (flights !== undefined || airportTimeZones !== undefined) filterCache.clear();
+    return;
+  }
+
+  try {
+    let result;
+    if (type === 'parse') {
+      result = await handleParse(event.data);
+    } else if (type === 'pairEvents') {
+      result = pairEventFiles(event.data.eventLists, event.data.callsignFilters);
+    } else if (DATASET_TASKS[type]) {
+      result = DATASET_TASKS[type](event.data);
+    } else {
+      throw new Error(`Unknown worker message type: ${type}`);
+    }
+    ctx.postMessage({ type: 'result', id, result });
+  } catch (err) {
+    ctx.postMessage({ type: 'error', id, message: err.message });
+  }
+};
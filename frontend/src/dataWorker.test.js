@@ -0,0 +1,101 @@
+import './dataWorker';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const leg = (icao, origin, destination, hour) => {
+  const takeoff = new Date(Date.UTC(2025, 4, 1) + hour * HOUR_MS);
+  return {
+    icao,
+    origin,
+    destination,
+    takeoff_time: takeoff,
+    landing_time: new Date(takeoff.getTime() + HOUR_MS),
+    registration: 'N1',
+    callsign: 'TEST1',
+    estimated: false,
+  };
+};
+
+// Send a message to the worker and resolve with the data it posts back
+const send = async (message) => {
+  const posted = [];
+  // eslint-disable-next-line no-restricted-globals
+  self.postMessage = (data) => posted.push(data);
+  // eslint-disable-next-line no-restricted-globals
+  await self.onmessage({ data: message });
+  return posted;
+};
+
+describe('dataWorker', () => {
+  beforeAll(() => send({
+    type: 'setDataset',
+    dataset: {
+      flights: [
+        leg('abc123', 'KAEX', 'KBRO', 0),
+        leg('abc123', 'KBRO', 'KAEX', 3),
+        leg('def456', 'KELP', 'KAEX', 20),
+      ],
+      airportTimeZones: { KAEX: 'America/Chicago', KBRO: 'America/Chicago' },
+      airportCoordinates: {
+        KAEX: { lat: 31.3274, lng: -92.5486 },
+        KBRO: { lat: 25.9068, lng: -97.4259 },
+      },
+      aircraftInfo: new Map([['abc123', { RegisteredOwners: 'Example Air', ICAOTypeCode: 'B738' }]]),
+    },
+  }));
+
+  test('reads airport local times with the time zones sent with the dataset', async () => {
+    const [message] = await send({ type: 'aggregate', id: 1, filters: { timeBasis: { timeZone: 'airport' } } });
+
+    expect(message.type).toBe('result');
+    expect(message.id).toBe(1);
+    // Landings at 01:00 and 04:00 UTC are 20:00 and 23:00 the day before in
+    // Chicago; KELP-KAEX lands at 21:00 UTC, 16:00 in Chicago
+    expect(message.result.landingsByHour[20]).toBe(1);
+    expect(message.result.landingsByHour[23]).toBe(1);
+    expect(message.result.landingsByHour[16]).toBe(1);
+  });
+
+  test('builds trips and keeps those touching the selected airports', async () => {
+    const [message] = await send({
+      type: 'trips',
+      id: 2,
+      filters: { timeBasis: { timeZone: 'UTC' } },
+      selections: { airports: ['KBRO'], pairs: [], callsigns: [] },
+      maxGroundHours: 12,
+    });
+
+    expect(message.result.map(trip => trip.route)).toEqual(['KAEX→KBRO→KAEX']);
+  });
+
+  test('returns patterns without their legs, and the selected one with them', async () => {
+    const [message] = await send({
+      type: 'patterns',
+      id: 3,
+      filters: { timeBasis: { timeZone: 'UTC' } },
+      length: 2,
+      limit: 20,
+      airports: [],
+      pairs: [],
+      selectedAirports: ['KAEX', 'KBRO'],
+    });
+
+    expect(message.result.patterns.map(pattern => pattern.key)).toEqual(['KAEX-KBRO', 'KBRO-KAEX', 'KELP-KAEX']);
+    expect(message.result.patterns[0].legs).toBeUndefined();
+    expect(message.result.selectedPattern.legs).toHaveLength(1);
+  });
+
+  test('uses the aircraft details sent with the dataset for distances', async () => {
+    const [message] = await send({ type: 'distances', id: 4, filters: { timeBasis: { timeZone: 'UTC' } } });
+
+    expect(message.result.totals.legs).toBe(2);
+    expect(message.result.totals.legsWithoutDistance).toBe(1);
+    expect(message.result.groups.operator.map(row => row.key)).toEqual(['Example Air']);
+  });
+
+  test('reports unknown message types as errors', async () => {
+    const [message] = await send({ type: 'unknown', id: 5 });
+
+    expect(message).toEqual({ type: 'error', id: 5, message: 'Unknown worker message type: unknown' });
+  });
+});
@@ -0,0 +1,155 @@
+// --- Stored Datasets (IndexedDB) ---
+// Keeps loaded datasets in the browser so they can be reopened without
+// re-uploading. Dataset metadata ({ id, name, createdAt, openedAt, rowCount,
+// fileCount, filterState }) is kept apart from the flight data so the recent
+// datasets list can be read without loading every dataset.
+
+const DB_NAME = 'ice-air';
+const DB_VERSION = 1;
+const META_STORE = 'datasets';
+const SOURCES_STORE = 'datasetSources'; // { id, sources: [{ name, rowCount, flights, rejectedRows, events?, callsignFilter? }] }
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+export const isDatasetStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!isDatasetStoreAvailable()) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(SOURCES_STORE)) {
+          db.createObjectStore(SOURCES_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      dbPromise = null; // Allow a retry on the next call
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Drop session-only fields (the in-memory source id) before storing. Event
+// files keep their events so they can be paired again with files added later.
+const toStoredSource = ({ name, rowCount, flights, rejectedRows, events, callsignFilter }) => ({
+  name,
+  rowCount,
+  flights,
+  rejectedRows: rejectedRows || [],
+  ...(events ? { events, callsignFilter } : {}),
+});
+
+// Build a display name from the files in a dataset
+export const getDatasetName = (sources) => {
+  if (sources.length === 0) return 'Empty dataset';
+  if (sources.length === 1) return sources[0].name;
+  return `${sources[0].name} + ${sources.length - 1} more`;
+};
+
+// Most recently opened first
+export const listDatasets = async () => {
+  const db = await openDatabase();
+  const datasets = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+  return datasets.sort((a, b) => (b.openedAt || b.createdAt) - (a.openedAt || a.createdAt));
+};
+
+// Store a new dataset, or replace the sources of an existing one if `id` is given.
+// Resolves to the dataset's metadata.
+export const saveDataset = async ({ id = null, name, sources }) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE, SOURCES_STORE], 'readwrite');
+  const metaStore = transaction.objectStore(META_STORE);
+  const now = Date.now();
+
+  const existing = id !== null ? await requestToPromise(metaStore.get(id)) : null;
+  const meta = {
+    ...(existing || { createdAt: now, filterState: null }),
+    name: existing ? existing.name : name,
+    openedAt: now,
+    rowCount: sources.reduce((sum, source) => sum + source.rowCount, 0),
+    fileCount: sources.length,
+  };
+  if (existing) meta.id = id;
+
+  const savedId = await requestToPromise(metaStore.put(meta));
+  transaction.objectStore(SOURCES_STORE).put({ id: savedId, sources: sources.map(toStoredSource) });
+  await transactionDone(transaction);
+  return { ...meta, id: savedId };
+};
+
+// Load a dataset's sources and mark it as opened. Resolves to { meta, sources }.
+export const loadDataset = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE, SOURCES_STORE], 'readwrite');
+  const metaStore = transaction.objectStore(META_STORE);
+  const meta = await requestToPromise(metaStore.get(id));
+  const stored = await requestToPromise(transaction.objectStore(SOURCES_STORE).get(id));
+  if (!meta || !stored) {
+    throw new Error('Stored dataset not found');
+  }
+  meta.openedAt = Date.now();
+  metaStore.put(meta);
+  await transactionDone(transaction);
+  return { meta, sources: stored.sources };
+};
+
+// Remember the filters last used with a dataset
+export const saveDatasetFilterState = async (id, filterState) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(META_STORE, 'readwrite');
+  const metaStore = transaction.objectStore(META_STORE);
+  const meta = await requestToPromise(metaStore.get(id));
+  if (!meta) return; // Deleted in the meantime
+  metaStore.put({ ...meta, filterState });
+  await transactionDone(transaction);
+};
+
+export const deleteDataset = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE, SOURCES_STORE], 'readwrite');
+  transaction.objectStore(META_STORE).delete(id);
+  transaction.objectStore(SOURCES_STORE).delete(id);
+  await transactionDone(transaction);
+};
+
+// Origin-wide storage usage: resolves to { usage, quota } in bytes, or null if unsupported
+export const getStorageEstimate = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (e) {
+    console.warn("Failed to estimate storage usage:", e);
+    return null;
+  }
+};
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / 1024 ** exponent;
+  return `${value.toFixed(exponent === 0 || value >= 10 ? 0 : 1)} ${units[exponent]}`;
+};
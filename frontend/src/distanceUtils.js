@@ -0,0 +1,123 @@
+import { greatCircleDistanceNm } from './geoUtils';
+import { estimateFuelKg, CO2_KG_PER_KG_FUEL } from './fuelBurn';
+import { getDateKey, getLandingTimeZone } from './timeUtils';
+import { UNKNOWN_OPERATOR } from './dataUtils';
+
+// --- Leg Distances ---
+
+export const DISTANCE_UNITS = {
+  nm: { label: 'nm', perNm: 1 },
+  mi: { label: 'mi', perNm: 1.150779 },
+  km: { label: 'km', perNm: 1.852 },
+};
+
+export const convertDistance = (distanceNm, unit) => distanceNm * DISTANCE_UNITS[unit].perNm;
+
+// Great-circle distance of a leg in nautical miles, or null when either
+// airport is missing from airports.csv
+export const getLegDistanceNm = (flight, airportCoordinates) => {
+  if (!airportCoordinates || !flight.origin) return null;
+  const from = airportCoordinates[flight.origin];
+  const to = airportCoordinates[flight.destination];
+  return from && to ? greatCircleDistanceNm(from, to) : null;
+};
+
+// --- Distance Summaries ---
+
+export const DISTANCE_GROUPINGS = {
+  aircraft: 'Aircraft',
+  operator: 'Operator',
+  route: 'Route',
+  day: 'Day',
+  month: 'Month',
+};
+
+const GROUP_KEYS = {
+  aircraft: (flight) => flight.icao.toLowerCase(),
+  operator: (flight, info) => info?.RegisteredOwners || UNKNOWN_OPERATOR,
+  route: (flight) => `${flight.origin}-${flight.destination}`,
+  day: (flight, info, landingDate) => landingDate,
+  month: (flight, info, landingDate) => landingDate.slice(0, 7),
+};
+
+const isTimeGrouping = (grouping) => grouping === 'day' || grouping === 'month';
+
+// Distance flown with estimated fuel burn and CO₂, overall and grouped by each
+// of DISTANCE_GROUPINGS. Legs without airport coordinates are only counted in
+// `legsWithoutDistance`, and fuel only covers legs whose aircraft type is in
+// the fuel burn table (`fuelLegs`). Group rows are
+// { key, legs, distanceNm, averageNm, fuelKg, co2Kg, fuelLegs }, plus
+// `registration` for aircraft; days and months (by landing date in the time
+// basis) are in date order, the rest by distance.
+export const buildDistanceSummary = (flights, airportCoordinates, aircraftDataMap, timeBasis) => {
+  const groups = Object.fromEntries(Object.keys(DISTANCE_GROUPINGS).map(grouping => [grouping, new Map()]));
+  const totals = { legs: 0, legsWithoutDistance: 0, distanceNm: 0, fuelKg: 0, fuelLegs: 0 };
+
+  (flights || []).forEach(flight => {
+    const distanceNm = getLegDistanceNm(flight, airportCoordinates);
+    if (distanceNm === null) {
+      totals.legsWithoutDistance++;
+      return;
+    }
+    const info = flight.icao ? aircraftDataMap.get(flight.icao.toLowerCase()) : null;
+    const fuelKg = estimateFuelKg(distanceNm, info?.ICAOTypeCode);
+    const landingDate = getDateKey(flight.landing_time, getLandingTimeZone(flight, timeBasis));
+
+    totals.legs++;
+    totals.distanceNm += distanceNm;
+    if (fuelKg !== null) {
+      totals.fuelKg += fuelKg;
+      totals.fuelLegs++;
+    }
+
+    Object.entries(GROUP_KEYS).forEach(([grouping, getKey]) => {
+      if (grouping === 'aircraft' && !flight.icao) return;
+      const key = getKey(flight, info, landingDate);
+      let row = groups[grouping].get(key);
+      if (!row) {
+        row = { key, legs: 0, distanceNm: 0, fuelKg: 0, fuelLegs: 0 };
+        if (grouping === 'aircraft') {
+          row.icao = key;
+          row.registration = flight.registration || null;
+        }
+        groups[grouping].set(key, row);
+      }
+      row.legs++;
+      row.distanceNm += distanceNm;
+      if (fuelKg !== null) {
+        row.fuelKg += fuelKg;
+        row.fuelLegs++;
+      }
+    });
+  });
+
+  const withDerived = (row) => ({
+    ...row,
+    averageNm: row.legs > 0 ? row.distanceNm / row.legs : 0,
+    co2Kg: row.fuelKg * CO2_KG_PER_KG_FUEL,
+  });
+
+  return {
+    totals: withDerived(totals),
+    groups: Object.fromEntries(Object.entries(groups).map(([grouping, rows]) => [
+      grouping,
+      Array.from(rows.values())
+        .map(withDerived)
+        .sort(isTimeGrouping(grouping)
+          ? (a, b) => a.key.localeCompare(b.key)
+          : (a, b) => b.distanceNm - a.distanceNm),
+    ])),
+  };
+};
+
+// Export rows for one grouping, with distances in nautical miles and fuel/CO₂ in kg
+export const distanceGroupToExportRows = (rows, grouping) => rows.map(row => ({
+  [grouping]: row.key,
+  ...(grouping === 'aircraft' ? { registration: row.registration } : {}),
+  legs: row.legs,
+  distance_nm: Math.round(row.distanceNm),
+  average_nm: Math.round(row.averageNm),
+  fuel_kg: row.fuelLegs > 0 ? Math.round(row.fuelKg) : null,
+  co2_kg: row.fuelLegs > 0 ? Math.round(row.co2Kg) : null,
+  legs_with_fuel_estimate: row.fuelLegs,
+}));
@@ -0,0 +1,144 @@
+import { getLegDistanceNm, buildDistanceSummary, distanceGroupToExportRows, convertDistance } from './distanceUtils';
+import { greatCircleDistanceNm } from './geoUtils';
+import { estimateFuelKg, CO2_KG_PER_KG_FUEL } from './fuelBurn';
+
+// Airports one and two degrees of arc apart along the equator
+const airports = {
+  AAAA: { lat: 0, lng: 0 },
+  BBBB: { lat: 0, lng: 1 },
+  CCCC: { lat: 0, lng: 3 },
+};
+const ONE_DEGREE_NM = greatCircleDistanceNm(airports.AAAA, airports.BBBB);
+
+const aircraft = new Map([
+  ['abc123', { RegisteredOwners: 'Example Air', ICAOTypeCode: 'B738' }],
+  ['def456', { RegisteredOwners: 'Example Air', ICAOTypeCode: 'ZZZZ' }], // Not in the fuel table
+]);
+
+const leg = (icao, origin, destination, landing) => ({
+  icao,
+  origin,
+  destination,
+  takeoff_time: new Date(new Date(landing).getTime() - 60 * 60 * 1000),
+  landing_time: new Date(landing),
+  registration: icao === 'abc123' ? 'N1' : 'N2',
+});
+
+const utc = { timeZone: 'UTC', airportTimeZones: null };
+
+describe('getLegDistanceNm', () => {
+  test('measures the great-circle distance between the airports', () => {
+    expect(getLegDistanceNm(leg('abc123', 'AAAA', 'CCCC', '2025-05-01T12:00:00Z'), airports)).toBeCloseTo(3 * ONE_DEGREE_NM, 6);
+  });
+
+  test('is null when an airport has no coordinates', () => {
+    expect(getLegDistanceNm(leg('abc123', 'AAAA', 'XXXX', '2025-05-01T12:00:00Z'), airports)).toBeNull();
+    expect(getLegDistanceNm(leg('abc123', '', 'BBBB', '2025-05-01T12:00:00Z'), airports)).toBeNull();
+    expect(getLegDistanceNm(leg('abc123', 'AAAA', 'BBBB', '2025-05-01T12:00:00Z'), null)).toBeNull();
+  });
+});
+
+describe('estimateFuelKg', () => {
+  test("multiplies the distance by the type's burn per nautical mile", () => {
+    expect(estimateFuelKg(100, 'B738')).toBeCloseTo(550, 6);
+    expect(estimateFuelKg(100, 'b738')).toBeCloseTo(550, 6);
+  });
+
+  test('is null for types missing from the table', () => {
+    expect(estimateFuelKg(100, 'ZZZZ')).toBeNull();
+    expect(estimateFuelKg(100, undefined)).toBeNull();
+  });
+});
+
+describe('buildDistanceSummary', () => {
+  const flights = [
+    leg('abc123', 'AAAA', 'BBBB', '2025-05-01T12:00:00Z'),
+    leg('abc123', 'BBBB', 'CCCC', '2025-05-01T18:00:00Z'),
+    leg('def456', 'AAAA', 'CCCC', '2025-05-01T03:00:00Z'),
+    leg('abc123', 'AAAA', 'XXXX', '2025-05-01T20:00:00Z'), // No coordinates for XXXX
+  ];
+
+  test('totals distance, fuel and CO₂ and counts legs without coordinates apart', () => {
+    const { totals } = buildDistanceSummary(flights, airports, aircraft, utc);
+    const fuelKg = estimateFuelKg(3 * ONE_DEGREE_NM, 'B738');
+
+    expect(totals.legs).toBe(3);
+    expect(totals.legsWithoutDistance).toBe(1);
+    expect(totals.distanceNm).toBeCloseTo(6 * ONE_DEGREE_NM, 6);
+    expect(totals.averageNm).toBeCloseTo(2 * ONE_DEGREE_NM, 6);
+    // Fuel only covers the B738's legs; the ZZZZ leg has no fuel figure
+    expect(totals.fuelLegs).toBe(2);
+    expect(totals.fuelKg).toBeCloseTo(fuelKg, 6);
+    expect(totals.co2Kg).toBeCloseTo(fuelKg * CO2_KG_PER_KG_FUEL, 6);
+  });
+
+  test('groups by aircraft, operator and route, largest distance first', () => {
+    const { groups } = buildDistanceSummary(flights, airports, aircraft, utc);
+
+    expect(groups.aircraft.map(row => [row.key, row.registration, row.legs, row.fuelLegs])).toEqual([
+      ['abc123', 'N1', 2, 2],
+      ['def456', 'N2', 1, 0],
+    ]);
+    expect(groups.operator.map(row => [row.key, row.legs])).toEqual([['Example Air', 3]]);
+    expect(groups.route.map(row => row.key)).toEqual(['AAAA-CCCC', 'BBBB-CCCC', 'AAAA-BBBB']);
+  });
+
+  test('groups days and months by landing date in the time basis', () => {
+    const chicago = { timeZone: 'America/Chicago', airportTimeZones: null };
+    const { groups } = buildDistanceSummary(flights, airports, aircraft, chicago);
+
+    // 03:00 UTC on May 1 is still April 30 in Chicago
+    expect(groups.day.map(row => [row.key, row.legs])).toEqual([['2025-04-30', 1], ['2025-05-01', 2]]);
+    expect(groups.month.map(row => [row.key, row.legs])).toEqual([['2025-04', 1], ['2025-05', 2]]);
+    expect(buildDistanceSummary(flights, airports, aircraft, utc).groups.day.map(row => row.key)).toEqual(['2025-05-01']);
+  });
+
+  test('counts aircraft missing from aircraft.csv under an unknown operator without fuel', () => {
+    const { totals, groups } = buildDistanceSummary(flights.slice(0, 1), airports, new Map(), utc);
+
+    expect(totals.fuelLegs).toBe(0);
+    expect(totals.fuelKg).toBe(0);
+    expect(groups.operator.map(row => row.key)).toEqual(['Unknown operator']);
+  });
+});
+
+describe('distanceGroupToExportRows', () => {
+  test('rounds distances and leaves fuel empty for rows without an estimate', () => {
+    const { groups } = buildDistanceSummary([
+      leg('abc123', 'AAAA', 'BBBB', '2025-05-01T12:00:00Z'),
+      leg('def456', 'AAAA', 'CCCC', '2025-05-01T12:00:00Z'),
+    ], airports, aircraft, utc);
+
+    expect(distanceGroupToExportRows(groups.aircraft, 'aircraft')).toEqual([
+      {
+        aircraft: 'def456',
+        registration: 'N2',
+        legs: 1,
+        distance_nm: Math.round(3 * ONE_DEGREE_NM),
+        average_nm: Math.round(3 * ONE_DEGREE_NM),
+        fuel_kg: null,
+        co2_kg: null,
+        legs_with_fuel_estimate: 0,
+      },
+      {
+        aircraft: 'abc123',
+        registration: 'N1',
+        legs: 1,
+        distance_nm: Math.round(ONE_DEGREE_NM),
+        average_nm: Math.round(ONE_DEGREE_NM),
+        fuel_kg: Math.round(estimateFuelKg(ONE_DEGREE_NM, 'B738')),
+        co2_kg: Math.round(estimateFuelKg(ONE_DEGREE_NM, 'B738') * CO2_KG_PER_KG_FUEL),
+        legs_with_fuel_estimate: 1,
+      },
+    ]);
+    expect(Object.keys(distanceGroupToExportRows(groups.route, 'route')[0])[0]).toBe('route');
+  });
+});
+
+describe('convertDistance', () => {
+  test('converts nautical miles to the unit', () => {
+    expect(convertDistance(100, 'nm')).toBe(100);
+    expect(convertDistance(100, 'km')).toBeCloseTo(185.2, 6);
+    expect(convertDistance(100, 'mi')).toBeCloseTo(115.0779, 6);
+  });
+});
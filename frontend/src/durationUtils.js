@@ -0,0 +1,90 @@
+import { percentile, medianAbsoluteDeviation } from './statsUtils';
+import { formatDuration } from './dataUtils';
+
+// --- Leg Durations ---
+
+const MINUTE_MS = 60 * 1000;
+const MIN_LEGS_FOR_RANGE = 5; // Routes with fewer measured legs get no normal range
+const MIN_SPREAD_MS = 15 * MINUTE_MS;
+
+// Time from takeoff to landing in ms, or null without a takeoff time
+export const getLegDuration = (flight) => (flight.takeoff_time ? flight.landing_time - flight.takeoff_time : null);
+
+// Legs paired from a takeoff-takeoff or landing-landing sequence have one
+// time inferred as the other ± 2 hours and are flagged `estimated` (see
+// generateAirportPairs); CSVs carry the flag in an `estimated` column
+export const isEstimatedLeg = (flight) => flight.estimated === true;
+
+export const getRouteKey = (flight) => (flight.origin && flight.destination ? `${flight.origin}-${flight.destination}` : null);
+
+// Expected duration per "ORIGIN-DEST" route from its measured legs (estimated
+// legs are left out). The normal range is the median ± the largest of four
+// scaled median absolute deviations, a quarter of the median and 15 minutes.
+// Returns { routes: Map(route -> { route, count, median, low, high, durations }), estimatedCount }
+export const buildDurationModel = (flights) => {
+  const durationsByRoute = new Map();
+  let estimatedCount = 0;
+  (flights || []).forEach(flight => {
+    const route = getRouteKey(flight);
+    const duration = getLegDuration(flight);
+    if (!route || duration === null || duration <= 0) return;
+    if (isEstimatedLeg(flight)) {
+      estimatedCount++;
+      return;
+    }
+    if (!durationsByRoute.has(route)) durationsByRoute.set(route, []);
+    durationsByRoute.get(route).push(duration);
+  });
+
+  const routes = new Map();
+  durationsByRoute.forEach((durations, route) => {
+    durations.sort((a, b) => a - b);
+    const median = percentile(durations, 0.5);
+    const hasRange = durations.length >= MIN_LEGS_FOR_RANGE;
+    const spread = Math.max(4 * 1.4826 * medianAbsoluteDeviation(durations), 0.25 * median, MIN_SPREAD_MS);
+    routes.set(route, {
+      route,
+      count: durations.length,
+      median,
+      low: hasRange ? Math.max(0, median - spread) : null,
+      high: hasRange ? median + spread : null,
+      durations,
+    });
+  });
+  return { routes, estimatedCount };
+};
+
+// 'estimated', 'long', 'short' or null for a leg against its route's normal range
+export const getDurationCheck = (flight, model) => {
+  const duration = getLegDuration(flight);
+  if (duration === null) return null;
+  if (isEstimatedLeg(flight)) return 'estimated';
+  const expected = model.routes.get(getRouteKey(flight));
+  if (!expected || expected.low === null) return null;
+  if (duration > expected.high) return 'long';
+  if (duration < expected.low) return 'short';
+  return null;
+};
+
+export const DURATION_CHECK_LABELS = { estimated: 'Estimated', long: 'Unusually long', short: 'Unusually short' };
+
+const BIN_WIDTHS_MINUTES = [1, 2, 5, 10, 15, 30, 60, 120, 240];
+
+// Histogram of ascending durations in at most ~maxBins bins of a round width
+export const buildDurationHistogram = (durations, maxBins = 20) => {
+  if (durations.length === 0) return { labels: [], counts: [] };
+  const min = durations[0];
+  const max = durations[durations.length - 1];
+  const width = (BIN_WIDTHS_MINUTES.find(minutes => (max - min) / (minutes * MINUTE_MS) <= maxBins)
+    || BIN_WIDTHS_MINUTES[BIN_WIDTHS_MINUTES.length - 1]) * MINUTE_MS;
+  const start = Math.floor(min / width) * width;
+  const binCount = Math.floor((max - start) / width) + 1;
+  const counts = Array(binCount).fill(0);
+  durations.forEach(duration => {
+    counts[Math.floor((duration - start) / width)]++;
+  });
+  return {
+    labels: counts.map((count, index) => formatDuration(start + index * width)),
+    counts,
+  };
+};
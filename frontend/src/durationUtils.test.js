@@ -0,0 +1,63 @@
+import { isEstimatedLeg, buildDurationModel, getDurationCheck } from './durationUtils';
+
+const MINUTE_MS = 60 * 1000;
+
+const leg = (minutes, { origin = 'KAEX', destination = 'KELP', estimated } = {}) => {
+  const takeoff = new Date('2025-05-01T10:00:00Z');
+  return {
+    takeoff_time: takeoff,
+    landing_time: new Date(takeoff.getTime() + minutes * MINUTE_MS),
+    origin,
+    destination,
+    ...(estimated === undefined ? {} : { estimated }),
+  };
+};
+
+describe('isEstimatedLeg', () => {
+  test('only follows the estimated flag', () => {
+    expect(isEstimatedLeg(leg(120, { estimated: true }))).toBe(true);
+    expect(isEstimatedLeg(leg(120, { estimated: false }))).toBe(false);
+    expect(isEstimatedLeg(leg(120))).toBe(false); // A measured leg of exactly two hours
+  });
+});
+
+describe('buildDurationModel', () => {
+  test('builds a normal range per route from measured legs', () => {
+    const flights = [60, 62, 58, 61, 59, 60].map(minutes => leg(minutes));
+    flights.push(leg(120, { estimated: true }));
+    flights.push(leg(90, { origin: 'KELP', destination: 'KAEX' }));
+    const model = buildDurationModel(flights);
+
+    expect(model.estimatedCount).toBe(1);
+    const route = model.routes.get('KAEX-KELP');
+    expect(route.count).toBe(6);
+    expect(route.median).toBe(60 * MINUTE_MS);
+    expect(route.low).toBe(45 * MINUTE_MS); // median - 15 minutes, the largest spread here
+    expect(route.high).toBe(75 * MINUTE_MS);
+    expect(model.routes.get('KELP-KAEX')).toMatchObject({ count: 1, low: null, high: null });
+  });
+
+  test('leaves legs without a takeoff time or with a negative duration out', () => {
+    const model = buildDurationModel([
+      { ...leg(60), takeoff_time: null },
+      leg(-30),
+    ]);
+
+    expect(model.routes.size).toBe(0);
+  });
+});
+
+describe('getDurationCheck', () => {
+  const model = buildDurationModel([60, 62, 58, 61, 59, 60].map(minutes => leg(minutes)));
+
+  test('flags legs outside their route range', () => {
+    expect(getDurationCheck(leg(120), model)).toBe('long');
+    expect(getDurationCheck(leg(30), model)).toBe('short');
+    expect(getDurationCheck(leg(65), model)).toBeNull();
+  });
+
+  test('labels estimated legs and skips routes without a range', () => {
+    expect(getDurationCheck(leg(120, { estimated: true }), model)).toBe('estimated');
+    expect(getDurationCheck(leg(120, { origin: 'KBRO' }), model)).toBeNull();
+  });
+});
@@ -0,0 +1,301 @@
+import Papa from 'papaparse';
+import { greatCircleParts } from './geoUtils';
+import { DISTANCE_GROUPINGS, distanceGroupToExportRows } from './distanceUtils';
+
+// --- File Export Helpers ---
+
+// Trigger a browser download of the given text content
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Format a cell value for export: Dates as ISO strings, missing values as ''
+const formatExportValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString();
+  return value;
+};
+
+// Convert an array of row objects to CSV. Columns default to the union of row keys.
+export const toCsv = (rows, columns = null) => {
+  const fields = columns || Array.from(rows.reduce((keys, row) => {
+    Object.keys(row).forEach(key => keys.add(key));
+    return keys;
+  }, new Set()));
+  const data = rows.map(row => fields.map(field => formatExportValue(row[field])));
+  return Papa.unparse({ fields, data });
+};
+
+export const downloadCsv = (rows, filename, columns = null) => {
+  downloadFile(toCsv(rows, columns), filename, 'text/csv;charset=utf-8');
+};
+
+export const downloadJson = (rows, filename) => {
+  downloadFile(JSON.stringify(rows, null, 2), filename, 'application/json');
+};
+
+// --- Export Tables ---
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Lowercase, dash-separated text that is safe in filenames
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// e.g. "legs_destination-kaex_2025-03-01_to_2025-03-15.csv"
+export const buildExportFilename = (tableId, filterLabel, dateRange, extension) => {
+  const parts = [tableId, slugify(filterLabel)];
+  if (dateRange?.start && dateRange?.end) {
+    parts.push(`${dateRange.start.toString()}_to_${dateRange.end.toString()}`);
+  }
+  return `${parts.filter(Boolean).join('_')}.${extension}`;
+};
+
+// Tables offered in the Export menu, built from the current view. Rows are
+// produced on demand by getRows() so large tables are only built when exported.
+//   flights: filtered flights; aggregate: aggregateFlightData output for them;
+//   dailyActivity: { labels, uniqueAircraftCounts, totalLandings };
+//   landingsByDay / landingsByHour / landingsByDayHour: arrays shown in the time charts;
+//   trips / stays: buildTrips() and buildStays() output for the current filters;
+//   distances: buildDistanceSummary() output for them
+export const getExportTables = ({ flights, aggregate, dailyActivity, landingsByDay, landingsByHour, landingsByDayHour, selectedAirports, trips, stays, distances }) => [
+  {
+    id: 'flights',
+    label: 'Filtered flights',
+    count: flights.length,
+    getRows: () => flights,
+  },
+  {
+    id: 'trips',
+    label: 'Trips',
+    count: trips.length,
+    getRows: () => trips.map(trip => ({
+      icao: trip.icao,
+      registration: trip.registration,
+      callsigns: trip.callsigns.join(' '),
+      route: trip.route,
+      legs: trip.legCount,
+      takeoff_time: trip.takeoff_time,
+      landing_time: trip.landing_time,
+      duration_minutes: trip.duration !== null ? Math.round(trip.duration / 60000) : null,
+      duration_estimated: trip.durationEstimated,
+    })),
+  },
+  {
+    id: 'ground-times',
+    label: 'Ground times (stays)',
+    count: stays.length,
+    getRows: () => stays.map(stay => ({
+      airport: stay.airport,
+      icao: stay.icao,
+      registration: stay.registration,
+      callsign: stay.callsign,
+      arrived_from: stay.arrivedFrom,
+      departed_to: stay.departedTo,
+      landing_time: stay.arrival_time,
+      takeoff_time: stay.departure_time,
+      duration_minutes: Math.round(stay.duration / 60000),
+      overnight: stay.overnight,
+      unusual: stay.unusual,
+    })),
+  },
+  ...Object.entries(DISTANCE_GROUPINGS).map(([grouping, label]) => ({
+    id: `distance-by-${grouping}`,
+    label: `Distance by ${label.toLowerCase()}`,
+    count: distances.groups[grouping].length,
+    getRows: () => distanceGroupToExportRows(distances.groups[grouping], grouping),
+  })),
+  {
+    id: 'destinations',
+    label: 'Destinations',
+    count: aggregate.allSortedAirports.length,
+    getRows: () => aggregate.allSortedAirports.map(([airport, landings]) => ({ airport, landings })),
+  },
+  {
+    id: 'legs',
+    label: 'Legs (airport pairs)',
+    count: aggregate.allSortedPairs.length,
+    getRows: () => aggregate.allSortedPairs.map(([pair, flightCount]) => ({ pair, flights: flightCount })),
+  },
+  selectedAirports.length > 0
+    ? {
+      id: 'arrivals-from',
+      label: `Arrivals at ${selectedAirports.join(', ')} by origin`,
+      count: selectedAirports.reduce((sum, airport) => sum + Object.keys(aggregate.arrivalsFrom[airport] || {}).length, 0),
+      getRows: () => selectedAirports
+        .flatMap(destination => Object.entries(aggregate.arrivalsFrom[destination] || {})
+          .map(([origin, arrivals]) => ({ destination, origin, arrivals })))
+        .sort((a, b) => b.arrivals - a.arrivals),
+    }
+    : {
+      id: 'arrivals-from',
+      label: 'Arrivals by destination and origin',
+      count: Object.values(aggregate.arrivalsFrom).reduce((sum, origins) => sum + Object.keys(origins).length, 0),
+      getRows: () => Object.entries(aggregate.arrivalsFrom)
+        .flatMap(([destination, origins]) => Object.entries(origins)
+          .map(([origin, arrivals]) => ({ destination, origin, arrivals })))
+        .sort((a, b) => b.arrivals - a.arrivals),
+    },
+  // Every origin-destination count is already in arrivals-from when no airport is selected
+  ...(selectedAirports.length > 0 ? [{
+    id: 'departures-to',
+    label: `Departures from ${selectedAirports.join(', ')} by destination`,
+    count: selectedAirports.reduce((sum, airport) => sum + Object.keys(aggregate.departuresTo[airport] || {}).length, 0),
+    getRows: () => selectedAirports
+      .flatMap(origin => Object.entries(aggregate.departuresTo[origin] || {})
+        .map(([destination, departures]) => ({ origin, destination, departures })))
+      .sort((a, b) => b.departures - a.departures),
+  }] : []),
+  {
+    id: 'daily-activity',
+    label: 'Daily activity',
+    count: dailyActivity.labels.length,
+    getRows: () => dailyActivity.labels.map((date, index) => ({
+      date,
+      unique_aircraft: dailyActivity.uniqueAircraftCounts[index],
+      landings: dailyActivity.totalLandings[index],
+    })),
+  },
+  {
+    id: 'day-of-week',
+    label: 'Activity by day of week',
+    count: landingsByDay.length,
+    getRows: () => landingsByDay.map((flightCount, index) => ({ day: DAY_NAMES[index], flights: flightCount })),
+  },
+  {
+    id: 'hour-of-day',
+    label: 'Activity by hour of day',
+    count: landingsByHour.length,
+    getRows: () => landingsByHour.map((flightCount, hour) => ({ hour, flights: flightCount })),
+  },
+  {
+    id: 'day-and-hour',
+    label: 'Activity by day and hour',
+    count: landingsByDayHour.length * 24,
+    getRows: () => landingsByDayHour.flatMap((hours, index) => hours.map((flightCount, hour) => ({
+      day: DAY_NAMES[index],
+      hour,
+      flights: flightCount,
+    }))),
+  },
+  {
+    id: 'callsigns',
+    label: 'Callsigns',
+    count: aggregate.allSortedCallsigns.length,
+    getRows: () => aggregate.allSortedCallsigns.map(([callsign, flightCount]) => ({ callsign, flights: flightCount })),
+  },
+  {
+    id: 'registrations',
+    label: 'Registrations',
+    count: aggregate.allSortedRegistrations.length,
+    getRows: () => aggregate.allSortedRegistrations.map(({ registration, icao, count }) => ({ registration, icao, flights: count })),
+  },
+];
+
+// --- Map Exports (GeoJSON / KML) ---
+// routes: MapView's trafficData ({ origin, destination, originCoords, destCoords, count });
+// airports: MapView's filteredAirports ({ code, lat, lng, traffic, arrivals, departures })
+
+const ROUTE_SEGMENTS = 64; // Points per great-circle route
+
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6; // ~10 cm, keeps files small
+
+const airportProperties = ({ code, traffic, arrivals, departures }) => ({ code, traffic, arrivals, departures });
+
+// GeoJSON positions are [lng, lat]; routes crossing the antimeridian become MultiLineStrings
+const routeGeometry = (route) => {
+  const parts = greatCircleParts(route.originCoords, route.destCoords, ROUTE_SEGMENTS)
+    .map(part => part.map(({ lat, lng }) => [roundCoordinate(lng), roundCoordinate(lat)]));
+  return parts.length === 1
+    ? { type: 'LineString', coordinates: parts[0] }
+    : { type: 'MultiLineString', coordinates: parts };
+};
+
+export const routesToGeoJson = (routes) => ({
+  type: 'FeatureCollection',
+  features: routes.map(route => ({
+    type: 'Feature',
+    geometry: routeGeometry(route),
+    properties: { origin: route.origin, destination: route.destination, count: route.count },
+  })),
+});
+
+export const airportsToGeoJson = (airports) => ({
+  type: 'FeatureCollection',
+  features: airports.map(airport => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [airport.lng, airport.lat] },
+    properties: airportProperties(airport),
+  })),
+});
+
+export const downloadGeoJson = (featureCollection, filename) => {
+  downloadFile(JSON.stringify(featureCollection), filename, 'application/geo+json');
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const kmlExtendedData = (properties) => [
+  '<ExtendedData>',
+  ...Object.entries(properties).map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`),
+  '</ExtendedData>',
+].join('');
+
+const kmlCoordinates = (points) => points.map(({ lat, lng }) => `${roundCoordinate(lng)},${roundCoordinate(lat)}`).join(' ');
+
+const kmlRoutePlacemark = (route) => {
+  const lines = greatCircleParts(route.originCoords, route.destCoords, ROUTE_SEGMENTS)
+    .map(part => `<LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(part)}</coordinates></LineString>`);
+  return [
+    '<Placemark>',
+    `<name>${escapeXml(`${route.origin}-${route.destination}`)}</name>`,
+    '<styleUrl>#route</styleUrl>',
+    kmlExtendedData({ origin: route.origin, destination: route.destination, count: route.count }),
+    lines.length === 1 ? lines[0] : `<MultiGeometry>${lines.join('')}</MultiGeometry>`,
+    '</Placemark>',
+  ].join('');
+};
+
+const kmlAirportPlacemark = (airport) => [
+  '<Placemark>',
+  `<name>${escapeXml(airport.code)}</name>`,
+  '<styleUrl>#airport</styleUrl>',
+  kmlExtendedData(airportProperties(airport)),
+  `<Point><coordinates>${airport.lng},${airport.lat}</coordinates></Point>`,
+  '</Placemark>',
+].join('');
+
+// One KML document with a folder each for routes and airports
+export const toKml = (routes, airports, name) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '<Document>',
+  `<name>${escapeXml(name)}</name>`,
+  '<Style id="route"><LineStyle><color>ffffe600</color><width>2</width></LineStyle></Style>',
+  '<Style id="airport"><IconStyle><scale>0.8</scale></IconStyle></Style>',
+  '<Folder><name>Routes</name>',
+  ...routes.map(kmlRoutePlacemark),
+  '</Folder>',
+  '<Folder><name>Airports</name>',
+  ...airports.map(kmlAirportPlacemark),
+  '</Folder>',
+  '</Document>',
+  '</kml>',
+].join('\n');
+
+export const downloadKml = (kml, filename) => {
+  downloadFile(kml, filename, 'application/vnd.google-earth.kml+xml');
+};
@@ -0,0 +1,199 @@
+import { parseDate } from '@internationalized/date';
+import { AIRCRAFT_KINDS, AIRPORT_DIRECTIONS, DEFAULT_AIRPORT_DIRECTION } from './dataUtils';
+import { isValidTimeZoneSetting } from './timeUtils';
+
+// --- Filter State ---
+// Plain, serializable form of the dashboard filters, used to remember the
+// filters per stored dataset and in shareable links. Dates are kept as
+// YYYY-MM-DD strings.
+
+// --- Selections ---
+// Multi-select filters, in display order. Values within a field are
+// alternatives and every field with values must match. `param` is the field's
+// key in the serialized state (and the URL), holding comma-separated values;
+// `noun` names one value in labels (airports are named by direction).
+// Origins and destinations match one end of a leg whatever the airports'
+// direction, so they can narrow an airport selection.
+
+export const SELECTION_FIELDS = {
+  airports: { param: 'airport', noun: 'Airport' },
+  origins: { param: 'origin', noun: 'Origin airport' },
+  destinations: { param: 'destination', noun: 'Destination airport' },
+  pairs: { param: 'pair', noun: 'Leg' },
+  registrations: { param: 'registration', noun: 'Registration' },
+  callsigns: { param: 'callsigns', noun: 'Callsign' }, // `callsign` is the event file regex in URLs
+  operators: { param: 'operator', noun: 'Operator' },
+};
+
+export const EMPTY_SELECTIONS = Object.fromEntries(Object.keys(SELECTION_FIELDS).map(field => [field, []]));
+
+export const hasSelections = (selections) => Object.values(selections).some(values => values.length > 0);
+
+const AIRPORT_NOUNS = { arrivals: 'Destination', departures: 'Origin', both: 'Airport' };
+
+export const getSelectionNoun = (field, airportDirection) => (
+  field === 'airports' ? AIRPORT_NOUNS[airportDirection] : SELECTION_FIELDS[field].noun
+);
+
+const MAX_DESCRIBED_VALUES = 3;
+
+// "KAEX, KIWA, KBRO +2 more"
+export const describeValues = (values) => (
+  values.length > MAX_DESCRIBED_VALUES
+    ? `${values.slice(0, MAX_DESCRIBED_VALUES).join(', ')} +${values.length - MAX_DESCRIBED_VALUES} more`
+    : values.join(', ')
+);
+
+// Label for chart titles and export file names, e.g.
+// "Destinations: KAEX, KIWA; Operator: Acme Air"; null with nothing selected
+export const describeSelections = (selections, airportDirection) => {
+  const parts = Object.keys(SELECTION_FIELDS)
+    .filter(field => selections[field].length > 0)
+    .map(field => {
+      const values = selections[field];
+      return `${getSelectionNoun(field, airportDirection)}${values.length > 1 ? 's' : ''}: ${describeValues(values)}`;
+    });
+  return parts.length > 0 ? parts.join('; ') : null;
+};
+
+// Lists are stored comma-separated; commas inside a value (operator names
+// such as "Acme Air, Inc") are escaped as %2C, and % itself as %25
+const serializeValueList = (values) => (
+  values.length > 0 ? values.map(value => value.replace(/%/g, '%25').replace(/,/g, '%2C')).join(',') : null
+);
+
+const parseValueList = (value) => (
+  value
+    ? Array.from(new Set(String(value).split(',')
+      .map(item => item.replace(/%2C/gi, ',').replace(/%25/g, '%').trim())
+      .filter(Boolean)))
+    : []
+);
+
+// The open aircraft detail view ({ kind, value }) is stored as "kind:value",
+// the selected heatmap cell ({ weekday, hour, event }) as "event:weekday:hour"
+// and the selected itinerary pattern as its list of airports. The time zone
+// setting is always stored, so links read times the way they were shared.
+export const serializeFilterState = ({
+  dateRange,
+  selections = EMPTY_SELECTIONS,
+  airportDirection = DEFAULT_AIRPORT_DIRECTION,
+  selectedAircraft = null,
+  timeZone = null,
+  selectedDayHour = null,
+  selectedPattern = null,
+}) => ({
+  start: dateRange?.start ? dateRange.start.toString() : null,
+  end: dateRange?.end ? dateRange.end.toString() : null,
+  ...Object.fromEntries(Object.entries(SELECTION_FIELDS).map(([field, { param }]) => (
+    [param, serializeValueList(selections[field])]
+  ))),
+  direction: airportDirection !== DEFAULT_AIRPORT_DIRECTION ? airportDirection : null,
+  aircraft: selectedAircraft ? `${selectedAircraft.kind}:${selectedAircraft.value}` : null,
+  tz: timeZone,
+  cell: selectedDayHour ? `${selectedDayHour.event}:${selectedDayHour.weekday}:${selectedDayHour.hour}` : null,
+  pattern: selectedPattern ? serializeValueList(selectedPattern) : null,
+});
+
+const parseAircraft = (value) => {
+  if (!value) return null;
+  const separator = value.indexOf(':');
+  const kind = value.slice(0, separator);
+  const identifier = value.slice(separator + 1).trim();
+  return separator > 0 && AIRCRAFT_KINDS[kind] && identifier ? { kind, value: identifier } : null;
+};
+
+const parseDayHour = (value) => {
+  const match = /^(landing|takeoff):([0-6]):(\d{1,2})$/.exec(value || '');
+  if (!match || Number(match[3]) > 23) return null;
+  return { weekday: Number(match[2]), hour: Number(match[3]), event: match[1] };
+};
+
+// Pattern airports may repeat (KAEX,KELP,KAEX), so unlike parseValueList keep duplicates
+const parsePattern = (value) => {
+  if (!value) return null;
+  const airports = String(value).split(',')
+    .map(item => item.replace(/%2C/gi, ',').replace(/%25/g, '%').trim())
+    .filter(Boolean);
+  return airports.length > 0 ? airports : null;
+};
+
+const parseDateOrNull = (value) => {
+  if (!value) return null;
+  try {
+    return parseDate(value);
+  } catch (e) {
+    console.warn("Ignoring invalid date in saved filters:", value);
+    return null;
+  }
+};
+
+// Inverse of serializeFilterState: { dateRange (CalendarDates or null), selections, airportDirection,
+// selectedAircraft, timeZone (null if absent or invalid), selectedDayHour, selectedPattern }.
+// States saved before multi-select hold a single airport or pair, which parse as one-value lists.
+export const parseFilterState = (state) => {
+  const start = parseDateOrNull(state?.start);
+  const end = parseDateOrNull(state?.end);
+  return {
+    dateRange: start && end && start.compare(end) <= 0 ? { start, end } : null,
+    selections: Object.fromEntries(Object.entries(SELECTION_FIELDS).map(([field, { param }]) => (
+      [field, parseValueList(state?.[param])]
+    ))),
+    airportDirection: AIRPORT_DIRECTIONS[state?.direction] ? state.direction : DEFAULT_AIRPORT_DIRECTION,
+    selectedAircraft: parseAircraft(state?.aircraft),
+    timeZone: isValidTimeZoneSetting(state?.tz) ? state.tz : null,
+    selectedDayHour: parseDayHour(state?.cell),
+    selectedPattern: parsePattern(state?.pattern),
+  };
+};
+
+// Keep a restored date range inside the dataset's span (null if it doesn't overlap)
+export const clampDateRange = (dateRange, minDate, maxDate) => {
+  if (!dateRange || !minDate || !maxDate) return null;
+  const start = dateRange.start.compare(minDate) < 0 ? minDate : dateRange.start;
+  const end = dateRange.end.compare(maxDate) > 0 ? maxDate : dateRange.end;
+  return start.compare(end) <= 0 ? { start, end } : null;
+};
+
+// --- URL Query String ---
+// Deep links carry the serialized filters, plus `data` (and the `callsign`
+// regex used to pair event files) when the dataset was loaded from a URL.
+
+const URL_FILTER_PARAMS = ['start', 'end', ...Object.values(SELECTION_FIELDS).map(({ param }) => param), 'direction', 'aircraft', 'tz', 'cell', 'pattern'];
+
+// Sorted so equivalent links compare equal; slashes and commas are left readable
+const toSearchString = (params) => {
+  params.sort();
+  const search = params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',');
+  return search ? `?${search}` : '';
+};
+
+export const normalizeUrlSearch = (search) => toSearchString(new URLSearchParams(search));
+
+// Build a query string from serialized filters and an optional { url, callsign } data source
+export const buildUrlSearch = (filterState, dataSource = null) => {
+  const params = new URLSearchParams();
+  URL_FILTER_PARAMS.forEach(key => {
+    if (filterState[key]) params.set(key, filterState[key]);
+  });
+  if (dataSource?.url) {
+    params.set('data', dataSource.url);
+    if (dataSource.callsign) params.set('callsign', dataSource.callsign);
+  }
+  return toSearchString(params);
+};
+
+// Read { filters (serialized form), hasFilters, dataUrl, callsign } from a query string
+export const readUrlState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  URL_FILTER_PARAMS.forEach(key => {
+    filters[key] = params.get(key) || null;
+  });
+  return {
+    filters,
+    hasFilters: URL_FILTER_PARAMS.some(key => filters[key]),
+    dataUrl: params.get('data') || null,
+    callsign: params.get('callsign') || '',
+  };
+};
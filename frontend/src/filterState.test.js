@@ -0,0 +1,78 @@
+import { parseDate } from '@internationalized/date';
+import { EMPTY_SELECTIONS, serializeFilterState, parseFilterState, buildUrlSearch, readUrlState } from './filterState';
+
+const fullState = {
+  dateRange: { start: parseDate('2025-03-01'), end: parseDate('2025-03-15') },
+  selections: {
+    ...EMPTY_SELECTIONS,
+    airports: ['KAEX', 'KELP'],
+    destinations: ['KBRO'],
+    pairs: ['KAEX-KELP'],
+    operators: ['Acme Air, Inc', '100% Charter'],
+  },
+  airportDirection: 'departures',
+  selectedAircraft: { kind: 'registration', value: 'N123AB' },
+  timeZone: 'UTC',
+  selectedDayHour: { weekday: 2, hour: 14, event: 'takeoff' },
+  selectedPattern: ['KAEX', 'KELP', 'KAEX'],
+};
+
+describe('serializeFilterState / parseFilterState', () => {
+  test('round-trips every filter', () => {
+    const parsed = parseFilterState(serializeFilterState(fullState));
+
+    expect(parsed.dateRange.start.toString()).toBe('2025-03-01');
+    expect(parsed.dateRange.end.toString()).toBe('2025-03-15');
+    expect(parsed.selections).toEqual(fullState.selections);
+    expect(parsed.airportDirection).toBe('departures');
+    expect(parsed.selectedAircraft).toEqual(fullState.selectedAircraft);
+    expect(parsed.timeZone).toBe('UTC');
+    expect(parsed.selectedDayHour).toEqual(fullState.selectedDayHour);
+    expect(parsed.selectedPattern).toEqual(['KAEX', 'KELP', 'KAEX']);
+  });
+
+  test('round-trips through the URL', () => {
+    const search = buildUrlSearch(serializeFilterState(fullState), { url: '/datasets/week14.json', callsign: '^TYSON' });
+    const urlState = readUrlState(search);
+
+    expect(urlState.hasFilters).toBe(true);
+    expect(urlState.dataUrl).toBe('/datasets/week14.json');
+    expect(urlState.callsign).toBe('^TYSON');
+    expect(parseFilterState(urlState.filters).selections).toEqual(fullState.selections);
+    expect(parseFilterState(urlState.filters).selectedPattern).toEqual(fullState.selectedPattern);
+  });
+
+  test('stores a cleared date range as no dates', () => {
+    const state = serializeFilterState({ dateRange: null });
+
+    expect(state.start).toBeNull();
+    expect(state.end).toBeNull();
+    expect(parseFilterState(state)).toEqual({
+      dateRange: null,
+      selections: EMPTY_SELECTIONS,
+      airportDirection: 'arrivals',
+      selectedAircraft: null,
+      timeZone: null,
+      selectedDayHour: null,
+      selectedPattern: null,
+    });
+    expect(buildUrlSearch(state)).toBe('');
+  });
+
+  test('ignores invalid values', () => {
+    const parsed = parseFilterState({
+      start: '2025-03-15',
+      end: '2025-03-01',
+      direction: 'sideways',
+      aircraft: 'tail:N1',
+      tz: 'Not/AZone',
+      cell: 'landing:7:25',
+    });
+
+    expect(parsed.dateRange).toBeNull();
+    expect(parsed.airportDirection).toBe('arrivals');
+    expect(parsed.selectedAircraft).toBeNull();
+    expect(parsed.timeZone).toBeNull();
+    expect(parsed.selectedDayHour).toBeNull();
+  });
+});
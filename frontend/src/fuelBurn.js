@@ -0,0 +1,49 @@
+// --- Fuel Burn Table ---
+// Average fuel burn per nautical mile flown, keyed by ICAOTypeCode from
+// aircraft.csv. Figures are rough trip averages for a typical stage length
+// (climb and descent included) rounded from published manufacturer and
+// emissions-inventory data; they are meant for fleet-level estimates, not
+// for any single flight.
+
+export const FUEL_BURN_KG_PER_NM = {
+  A319: 5.0,
+  A320: 5.4,
+  A321: 6.3,
+  A20N: 4.6,
+  A21N: 5.3,
+  A332: 12.0,
+  A333: 12.6,
+  B712: 4.3,
+  B733: 5.0,
+  B734: 5.3,
+  B737: 5.1,
+  B738: 5.5,
+  B739: 5.8,
+  B38M: 4.8,
+  B39M: 5.1,
+  B752: 7.5,
+  B753: 8.2,
+  B762: 9.6,
+  B763: 10.5,
+  B772: 13.5,
+  B77W: 15.0,
+  CRJ2: 3.0,
+  CRJ7: 3.5,
+  CRJ9: 3.8,
+  E135: 2.6,
+  E145: 3.0,
+  E170: 3.7,
+  E75L: 4.0,
+  E190: 4.4,
+  MD82: 6.6,
+  MD83: 6.8,
+  MD88: 6.7,
+};
+
+export const CO2_KG_PER_KG_FUEL = 3.16; // Jet fuel combustion factor used by the ICAO emissions calculator
+
+// Estimated fuel burn in kg for a leg of the given length, or null for types not in the table
+export const estimateFuelKg = (distanceNm, typeCode) => {
+  const kgPerNm = typeCode ? FUEL_BURN_KG_PER_NM[typeCode.toUpperCase()] : undefined;
+  return kgPerNm === undefined ? null : distanceNm * kgPerNm;
+};
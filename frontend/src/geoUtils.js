@@ -0,0 +1,117 @@
+// --- Great-Circle Geometry ---
+// Points are { lat, lng } in degrees, as in the airport coordinate lookup.
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Central angle between two points, in radians
+const centralAngle = (from, to) => {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const dLat = lat2 - lat1;
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+  return 2 * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const EARTH_RADIUS_NM = 3440.065; // Mean radius
+
+// Great-circle (haversine) distance between two points, in nautical miles
+export const greatCircleDistanceNm = (from, to) => centralAngle(from, to) * EARTH_RADIUS_NM;
+
+// Points along the great circle from `from` to `to` (segments + 1 points, endpoints included).
+// Longitudes are unwrapped so consecutive points never jump by more than 180°;
+// they may fall outside -180..180 for routes that cross the antimeridian.
+// A `bow` bends the line to the right of the direction of travel by that
+// fraction of the route's length at its middle (tapering to zero at the ends),
+// so the routes A→B and B→A can be told apart.
+export const interpolateGreatCircle = (from, to, segments = 64, bow = 0) => {
+  const angle = centralAngle(from, to);
+  if (angle === 0 || segments < 1) {
+    return [{ lat: from.lat, lng: from.lng }, { lat: to.lat, lng: to.lng }];
+  }
+
+  const lat1 = toRadians(from.lat);
+  const lng1 = toRadians(from.lng);
+  const lat2 = toRadians(to.lat);
+  const lng2 = toRadians(to.lng);
+  const points = [];
+  let previousLng = from.lng;
+
+  // Unit normal of the great circle's plane; moving a point towards -normal
+  // moves it to the right of the direction of travel
+  let normal = null;
+  if (bow !== 0) {
+    const ax = Math.cos(lat1) * Math.cos(lng1);
+    const ay = Math.cos(lat1) * Math.sin(lng1);
+    const az = Math.sin(lat1);
+    const bx = Math.cos(lat2) * Math.cos(lng2);
+    const by = Math.cos(lat2) * Math.sin(lng2);
+    const bz = Math.sin(lat2);
+    const nx = ay * bz - az * by;
+    const ny = az * bx - ax * bz;
+    const nz = ax * by - ay * bx;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length > 0) normal = { x: nx / length, y: ny / length, z: nz / length };
+  }
+
+  for (let i = 0; i <= segments; i++) {
+    const fraction = i / segments;
+    const a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+    const b = Math.sin(fraction * angle) / Math.sin(angle);
+    let x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+    let y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+    let z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+    if (normal) {
+      const offset = bow * angle * Math.sin(Math.PI * fraction);
+      x = Math.cos(offset) * x - Math.sin(offset) * normal.x;
+      y = Math.cos(offset) * y - Math.sin(offset) * normal.y;
+      z = Math.cos(offset) * z - Math.sin(offset) * normal.z;
+    }
+
+    let lng = toDegrees(Math.atan2(y, x));
+    while (lng - previousLng > 180) lng -= 360;
+    while (lng - previousLng < -180) lng += 360;
+    previousLng = lng;
+    points.push({ lat: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))), lng });
+  }
+  return points;
+};
+
+export const wrapLongitude = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+// Split a line with unwrapped longitudes into parts that each stay within
+// -180..180, cutting it where it crosses the antimeridian.
+export const splitAtAntimeridian = (points) => {
+  if (points.length === 0) return [];
+  const worldOf = (lng) => Math.floor((lng + 180) / 360); // Which 360° copy of the world a longitude is in
+  const parts = [];
+  let current = [{ lat: points[0].lat, lng: wrapLongitude(points[0].lng) }];
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const point = points[i];
+    const previousWorld = worldOf(previous.lng);
+    const world = worldOf(point.lng);
+
+    if (world !== previousWorld) {
+      // Longitude of the crossing in unwrapped terms, and the latitude there
+      const boundary = world > previousWorld ? 180 + 360 * previousWorld : -180 + 360 * previousWorld;
+      const fraction = (boundary - previous.lng) / (point.lng - previous.lng);
+      const lat = previous.lat + fraction * (point.lat - previous.lat);
+      const edge = world > previousWorld ? 180 : -180;
+      current.push({ lat, lng: edge });
+      parts.push(current);
+      current = [{ lat, lng: -edge }];
+    }
+    current.push({ lat: point.lat, lng: wrapLongitude(point.lng) });
+  }
+  parts.push(current);
+  return parts.filter(part => part.length >= 2);
+};
+
+// Great-circle route as one or more parts, none crossing the antimeridian
+export const greatCircleParts = (from, to, segments = 64, bow = 0) => (
+  splitAtAntimeridian(interpolateGreatCircle(from, to, segments, bow))
+);
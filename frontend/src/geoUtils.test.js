@@ -0,0 +1,59 @@
+import { greatCircleDistanceNm, greatCircleParts } from './geoUtils';
+
+const KAEX = { lat: 31.3274, lng: -92.5486 };
+const KELP = { lat: 31.8072, lng: -106.3778 };
+const NSTU = { lat: -14.3303, lng: -170.7103 }; // Pago Pago
+const NZAA = { lat: -37.0081, lng: 174.7917 }; // Auckland
+
+describe('greatCircleDistanceNm', () => {
+  test('measures the great-circle distance', () => {
+    // One degree of arc is 60 nautical miles on a sphere of the mean radius
+    expect(greatCircleDistanceNm({ lat: 0, lng: 0 }, { lat: 0, lng: 1 })).toBeCloseTo(60.04, 2);
+    expect(greatCircleDistanceNm({ lat: 0, lng: 179.5 }, { lat: 0, lng: -179.5 })).toBeCloseTo(60.04, 2);
+    expect(greatCircleDistanceNm(KAEX, KAEX)).toBe(0);
+  });
+});
+
+describe('greatCircleParts', () => {
+  test('keeps a route that stays within -180..180 in one part', () => {
+    const parts = greatCircleParts(KAEX, KELP, 16);
+
+    expect(parts).toHaveLength(1);
+    expect(parts[0]).toHaveLength(17);
+    expect(parts[0][0].lat).toBeCloseTo(KAEX.lat, 6);
+    expect(parts[0][0].lng).toBeCloseTo(KAEX.lng, 6);
+    expect(parts[0][16].lat).toBeCloseTo(KELP.lat, 6);
+    expect(parts[0][16].lng).toBeCloseTo(KELP.lng, 6);
+  });
+
+  test('splits a route crossing the antimeridian where it crosses', () => {
+    const parts = greatCircleParts(NSTU, NZAA, 32);
+
+    expect(parts).toHaveLength(2);
+    const [east, west] = parts;
+    expect(east[0].lng).toBeCloseTo(NSTU.lng, 6);
+    expect(east[east.length - 1].lng).toBe(-180);
+    expect(west[0].lng).toBe(180);
+    expect(west[west.length - 1].lng).toBeCloseTo(NZAA.lng, 6);
+    expect(west[0].lat).toBe(east[east.length - 1].lat);
+    parts.flat().forEach(point => {
+      expect(point.lng).toBeGreaterThanOrEqual(-180);
+      expect(point.lng).toBeLessThanOrEqual(180);
+    });
+  });
+
+  test('splits the return route the other way', () => {
+    const [west, east] = greatCircleParts(NZAA, NSTU, 32);
+
+    expect(west[west.length - 1].lng).toBe(180);
+    expect(east[0].lng).toBe(-180);
+  });
+
+  test('bows the two directions of a route apart', () => {
+    const outbound = greatCircleParts(KAEX, KELP, 16, 0.1)[0][8];
+    const inbound = greatCircleParts(KELP, KAEX, 16, 0.1)[0][8];
+
+    // Flying west, the right-hand side is north; flying east, it is south
+    expect(outbound.lat).toBeGreaterThan(inbound.lat);
+  });
+});
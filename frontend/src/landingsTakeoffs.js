@@ -0,0 +1,197 @@
+// --- ADS-B Landings/Takeoffs Event Files ---
+//
+// Port of the `generate_airport_pairs` logic from ngrams.ipynb. Input files
+// contain one JSON object per line, e.g.:
+//
+// {"time":"2025-05-01T09:42:44.829Z","icao":"4050dc","callSign":"GCEGU   ","reg":"G-CEGU",
+//  "eventDetail":{"type":"takeoff","airport":{"airportIdent":"EGLM"}}, ...}
+
+export const ESTIMATED_FLIGHT_MS = 2 * 60 * 60 * 1000; // Inferred legs are assumed to take 2 hours
+
+// Returns true if the file looks like an NDJSON event file rather than a CSV
+export const isEventFile = (filename) => /\.(json|jsonl|ndjson)$/i.test(filename || '');
+
+// Parse NDJSON text into a flat list of events: { time, icao, type, airport, callSign, reg }.
+// Lines that aren't valid JSON are returned in rejectedRows ({ rowNumber,
+// reason: 'invalid_json', detail, row: { line } }) for the data quality report;
+// firstLineNumber is the 1-based line number of the text's first line.
+export const parseLandingsTakeoffs = (text, firstLineNumber = 1) => {
+  const events = [];
+  const rejectedRows = [];
+
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return; // Skip empty lines
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      rejectedRows.push({ rowNumber: firstLineNumber + index, reason: 'invalid_json', detail: e.message, row: { line } });
+      return;
+    }
+
+    const time = record.time ? new Date(record.time) : null;
+    const detail = record.eventDetail || {};
+    events.push({
+      time: time && !isNaN(time.getTime()) ? time : null,
+      icao: record.icao || null,
+      type: detail.type || null,
+      airport: detail.airport ? detail.airport.airportIdent || null : null,
+      callSign: record.callSign ?? null,
+      reg: record.reg ?? null,
+    });
+  });
+
+  return { events, rejectedRows };
+};
+
+// Compile the optional callsign filter. Matching is anchored at the start of
+// the callsign, like Python's re.match.
+const compileCallsignFilter = (callsignFilter) => {
+  if (callsignFilter instanceof RegExp) {
+    return new RegExp(callsignFilter.source, callsignFilter.flags.replace(/[gy]/g, '') + 'y');
+  }
+  if (!callsignFilter) return null;
+  try {
+    return new RegExp(callsignFilter, 'y');
+  } catch (e) {
+    throw new Error(`Invalid regex provided for callsign filter: ${e.message}`);
+  }
+};
+
+const matchesFilter = (compiledFilter, callSign) => {
+  if (callSign === null || callSign === undefined) return false;
+  compiledFilter.lastIndex = 0;
+  return compiledFilter.test(String(callSign));
+};
+
+// Build flight legs from takeoff/landing events, handling sequence violations:
+// - T(A) -> L(B): standard flight (A -> B).
+// - T(A) -> T(B): implies a landing at B. Landing time estimated as T(A) + 2 hours.
+// - L(A) -> L(B): implies a takeoff at A. Takeoff time estimated as L(B) - 2 hours.
+// - L(A) -> T(B): end of one leg and start of another, doesn't yield a leg itself.
+//
+// With a callsign filter, a leg is kept if EITHER the event determining the
+// origin OR the event determining the destination matches. getFilter(lastEvent)
+// returns the compiled filter for a leg, or null to keep every leg.
+//
+// Legs are rows shaped like the CSV produced by the notebook, plus `estimated`
+// for legs with an inferred time:
+// { takeoff_time, landing_time, icao, origin, destination, callsign, registration, estimated }
+// Each is passed to addLeg(leg, lastEvent), lastEvent being the later of the two events.
+const pairEvents = (events, getFilter, addLeg) => {
+  // Group by aircraft, dropping events without icao, type or time
+  const eventsByIcao = new Map();
+  events.forEach(event => {
+    if (!event.icao || !event.type || !event.time) return;
+    if (!eventsByIcao.has(event.icao)) {
+      eventsByIcao.set(event.icao, []);
+    }
+    eventsByIcao.get(event.icao).push(event);
+  });
+
+  eventsByIcao.forEach((group, icao) => {
+    if (group.length < 2) return;
+    group.sort((a, b) => a.time - b.time);
+
+    for (let i = 0; i < group.length - 1; i++) {
+      const prev = group[i];
+      const curr = group[i + 1];
+      if (!prev.airport || !curr.airport) continue;
+
+      let origin = null;
+      let destination = null;
+      let takeoffTime = null;
+      let landingTime = null;
+      let originEventCallsign = null;
+      let destEventCallsign = null;
+      let estimated = false;
+
+      if (prev.type === 'takeoff') {
+        origin = prev.airport;
+        originEventCallsign = prev.callSign;
+        takeoffTime = prev.time;
+        if (curr.type === 'landing') { // T(A) -> L(B)
+          destination = curr.airport;
+          destEventCallsign = curr.callSign;
+          landingTime = curr.time;
+        } else if (curr.type === 'takeoff') { // T(A) -> T(B)
+          destination = curr.airport;
+          destEventCallsign = curr.callSign;
+          landingTime = new Date(takeoffTime.getTime() + ESTIMATED_FLIGHT_MS); // Estimate
+          estimated = true;
+        }
+      } else if (prev.type === 'landing' && curr.type === 'landing') { // L(A) -> L(B)
+        origin = prev.airport;
+        originEventCallsign = prev.callSign;
+        destination = curr.airport;
+        destEventCallsign = curr.callSign;
+        landingTime = curr.time;
+        takeoffTime = new Date(landingTime.getTime() - ESTIMATED_FLIGHT_MS); // Estimate
+        estimated = true;
+      }
+
+      if (!(origin && destination && takeoffTime && landingTime)) continue;
+
+      const compiledFilter = getFilter(curr);
+      const filterMatch = !compiledFilter ||
+        matchesFilter(compiledFilter, originEventCallsign) ||
+        matchesFilter(compiledFilter, destEventCallsign);
+
+      if (filterMatch) {
+        addLeg({
+          takeoff_time: takeoffTime,
+          landing_time: landingTime,
+          icao,
+          origin,
+          destination,
+          callsign: destEventCallsign ? String(destEventCallsign).trim() : '', // Callsign from the destination event
+          registration: curr.reg || '',
+          estimated,
+        }, curr);
+      }
+    }
+  });
+};
+
+// Pair one list of events into legs
+export const generateAirportPairs = (events, callsignFilter = null) => {
+  const compiledFilter = compileCallsignFilter(callsignFilter);
+  const legs = [];
+  pairEvents(events, () => compiledFilter, leg => legs.push(leg));
+  return legs;
+};
+
+const getEventKey = (event) => `${event.icao}|${event.time.getTime()}|${event.type}|${event.airport}`;
+
+// Pair the events of several event files together, as the notebook does with
+// its concatenated files, so legs that cross from one file into the next (a
+// flight over midnight in daily files) aren't lost or estimated. Events that
+// appear in more than one file are used once. Returns each file's legs sorted
+// by landing_time; a leg belongs to the file holding its later event, and is
+// kept or dropped by that file's entry in callsignFilters.
+export const pairEventFiles = (eventLists, callsignFilters = []) => {
+  const compiledFilters = eventLists.map((_, index) => compileCallsignFilter(callsignFilters[index]));
+  const fileIndexes = new Map(); // Event -> index of the file it came from
+  const seenKeys = new Set();
+  const events = [];
+  eventLists.forEach((fileEvents, index) => {
+    fileEvents.forEach(event => {
+      if (event.time) {
+        const key = getEventKey(event);
+        if (seenKeys.has(key)) return;
+        seenKeys.add(key);
+      }
+      fileIndexes.set(event, index);
+      events.push(event);
+    });
+  });
+
+  const legsByFile = eventLists.map(() => []);
+  pairEvents(
+    events,
+    lastEvent => compiledFilters[fileIndexes.get(lastEvent)],
+    (leg, lastEvent) => legsByFile[fileIndexes.get(lastEvent)].push(leg)
+  );
+  legsByFile.forEach(legs => legs.sort((a, b) => a.landing_time - b.landing_time));
+  return legsByFile;
+};
@@ -0,0 +1,166 @@
+import { parseLandingsTakeoffs, generateAirportPairs, pairEventFiles, ESTIMATED_FLIGHT_MS } from './landingsTakeoffs';
+
+const event = (time, type, airport, { icao = 'abc123', callSign = 'TEST1   ', reg = 'N1' } = {}) => ({
+  time: new Date(time),
+  icao,
+  type,
+  airport,
+  callSign,
+  reg,
+});
+
+describe('parseLandingsTakeoffs', () => {
+  test('parses events and rejects invalid JSON lines', () => {
+    const text = [
+      '{"time":"2025-05-01T09:42:44.829Z","icao":"4050dc","callSign":"GCEGU   ","reg":"G-CEGU","eventDetail":{"type":"takeoff","airport":{"airportIdent":"EGLM"}}}',
+      'not json',
+      '',
+    ].join('\n');
+    const { events, rejectedRows } = parseLandingsTakeoffs(text, 10);
+
+    expect(events).toEqual([{
+      time: new Date('2025-05-01T09:42:44.829Z'),
+      icao: '4050dc',
+      type: 'takeoff',
+      airport: 'EGLM',
+      callSign: 'GCEGU   ',
+      reg: 'G-CEGU',
+    }]);
+    expect(rejectedRows).toHaveLength(1);
+    expect(rejectedRows[0]).toMatchObject({ rowNumber: 11, reason: 'invalid_json', row: { line: 'not json' } });
+  });
+});
+
+describe('generateAirportPairs', () => {
+  test('pairs a takeoff with the following landing', () => {
+    const legs = generateAirportPairs([
+      event('2025-05-01T12:00:00Z', 'landing', 'KELP'),
+      event('2025-05-01T10:00:00Z', 'takeoff', 'KAEX'),
+    ]);
+
+    expect(legs).toEqual([{
+      takeoff_time: new Date('2025-05-01T10:00:00Z'),
+      landing_time: new Date('2025-05-01T12:00:00Z'),
+      icao: 'abc123',
+      origin: 'KAEX',
+      destination: 'KELP',
+      callsign: 'TEST1',
+      registration: 'N1',
+      estimated: false,
+    }]);
+  });
+
+  test('estimates the landing of a takeoff followed by another takeoff', () => {
+    const legs = generateAirportPairs([
+      event('2025-05-01T10:00:00Z', 'takeoff', 'KAEX'),
+      event('2025-05-01T15:00:00Z', 'takeoff', 'KELP'),
+    ]);
+
+    expect(legs).toHaveLength(1);
+    expect(legs[0]).toMatchObject({ origin: 'KAEX', destination: 'KELP', estimated: true });
+    expect(legs[0].landing_time.getTime() - legs[0].takeoff_time.getTime()).toBe(ESTIMATED_FLIGHT_MS);
+  });
+
+  test('estimates the takeoff of a landing followed by another landing', () => {
+    const legs = generateAirportPairs([
+      event('2025-05-01T10:00:00Z', 'landing', 'KAEX'),
+      event('2025-05-01T15:00:00Z', 'landing', 'KELP'),
+    ]);
+
+    expect(legs).toHaveLength(1);
+    expect(legs[0]).toMatchObject({ origin: 'KAEX', destination: 'KELP', estimated: true });
+    expect(legs[0].takeoff_time).toEqual(new Date('2025-05-01T13:00:00Z'));
+  });
+
+  test('does not build a leg from a landing followed by a takeoff', () => {
+    expect(generateAirportPairs([
+      event('2025-05-01T10:00:00Z', 'landing', 'KAEX'),
+      event('2025-05-01T15:00:00Z', 'takeoff', 'KAEX'),
+    ])).toEqual([]);
+  });
+
+  test('keeps aircraft apart', () => {
+    const legs = generateAirportPairs([
+      event('2025-05-01T10:00:00Z', 'takeoff', 'KAEX', { icao: 'aaa111' }),
+      event('2025-05-01T11:00:00Z', 'takeoff', 'KBRO', { icao: 'bbb222' }),
+      event('2025-05-01T12:00:00Z', 'landing', 'KELP', { icao: 'aaa111' }),
+      event('2025-05-01T13:00:00Z', 'landing', 'KIWA', { icao: 'bbb222' }),
+    ]);
+
+    expect(legs.map(leg => `${leg.icao}:${leg.origin}-${leg.destination}`).sort())
+      .toEqual(['aaa111:KAEX-KELP', 'bbb222:KBRO-KIWA']);
+  });
+
+  test('keeps legs where either event matches the callsign filter', () => {
+    const events = [
+      event('2025-05-01T10:00:00Z', 'takeoff', 'KAEX', { callSign: 'TYSON12' }),
+      event('2025-05-01T12:00:00Z', 'landing', 'KELP', { callSign: 'OTHER1' }),
+      event('2025-05-01T14:00:00Z', 'takeoff', 'KELP', { callSign: 'OTHER1' }),
+      event('2025-05-01T16:00:00Z', 'landing', 'KBRO', { callSign: 'OTHER1' }),
+    ];
+    const legs = generateAirportPairs(events, '^(TYSON|TYS|ON)[0-9]+');
+
+    expect(legs.map(leg => `${leg.origin}-${leg.destination}`)).toEqual(['KAEX-KELP']);
+  });
+
+  test('anchors the callsign filter at the start of the callsign', () => {
+    const events = [
+      event('2025-05-01T10:00:00Z', 'takeoff', 'KAEX', { callSign: 'XTYSON12' }),
+      event('2025-05-01T12:00:00Z', 'landing', 'KELP', { callSign: 'XTYSON12' }),
+    ];
+
+    expect(generateAirportPairs(events, 'TYSON')).toEqual([]);
+  });
+
+  test('rejects an invalid callsign regex', () => {
+    expect(() => generateAirportPairs([], '(')).toThrow('Invalid regex provided for callsign filter');
+  });
+});
+
+describe('pairEventFiles', () => {
+  test('pairs a flight across two files and gives it to the file with its landing', () => {
+    const day1 = [
+      event('2025-05-01T10:00:00Z', 'takeoff', 'KAEX'),
+      event('2025-05-01T12:00:00Z', 'landing', 'KELP'),
+      event('2025-05-01T23:30:00Z', 'takeoff', 'KELP'),
+    ];
+    const day2 = [
+      event('2025-05-02T01:10:00Z', 'landing', 'KBRO'),
+    ];
+    const [day1Legs, day2Legs] = pairEventFiles([day1, day2]);
+
+    expect(day1Legs.map(leg => `${leg.origin}-${leg.destination}`)).toEqual(['KAEX-KELP']);
+    expect(day2Legs).toEqual([expect.objectContaining({
+      origin: 'KELP',
+      destination: 'KBRO',
+      takeoff_time: new Date('2025-05-01T23:30:00Z'),
+      landing_time: new Date('2025-05-02T01:10:00Z'),
+      estimated: false,
+    })]);
+  });
+
+  test("filters each file's legs with that file's callsign filter", () => {
+    const day1 = [
+      event('2025-05-01T10:00:00Z', 'takeoff', 'KAEX', { callSign: 'TYSON12' }),
+      event('2025-05-01T12:00:00Z', 'landing', 'KELP', { callSign: 'TYSON12' }),
+    ];
+    const day2 = [
+      event('2025-05-02T10:00:00Z', 'takeoff', 'KBRO', { icao: 'def456', callSign: 'OTHER1' }),
+      event('2025-05-02T12:00:00Z', 'landing', 'KIWA', { icao: 'def456', callSign: 'OTHER1' }),
+    ];
+    const [day1Legs, day2Legs] = pairEventFiles([day1, day2], ['TYSON', null]);
+
+    expect(day1Legs.map(leg => `${leg.origin}-${leg.destination}`)).toEqual(['KAEX-KELP']);
+    expect(day2Legs.map(leg => `${leg.origin}-${leg.destination}`)).toEqual(['KBRO-KIWA']);
+    expect(pairEventFiles([day1, day2], [null, 'TYSON'])[1]).toEqual([]);
+  });
+
+  test('uses events found in several files once', () => {
+    const takeoff = event('2025-05-01T10:00:00Z', 'takeoff', 'KAEX');
+    const landing = event('2025-05-01T12:00:00Z', 'landing', 'KELP');
+    const [first, second] = pairEventFiles([[takeoff, landing], [{ ...takeoff }, { ...landing }]]);
+
+    expect(first).toHaveLength(1);
+    expect(second).toEqual([]);
+  });
+});
@@ -0,0 +1,284 @@
+import { feature, mesh } from 'topojson-client';
+import { AIRPORT_METRICS, ROUTE_COLOR_MODES, ROUTE_CUTOFFS, SCALE_TYPES } from './mapStyleUtils';
+import { formatBytes } from './datasetStore';
+
+// --- Tile Source Setting ---
+// The map's background is one of:
+//   osm      OpenStreetMap's tile servers (needs network)
+//   xyz      any XYZ tile URL template, e.g. a tile server on the local network
+//   file     a raster MBTiles or PMTiles file opened from disk
+//   basemap  a vector world map bundled with the app (coastlines, country and
+//            US state borders) that works with no network at all
+// The setting is { source, url } and is remembered in the browser. Opened
+// files are not: they have to be picked again after a reload. Until then,
+// or until a valid XYZ URL is applied, the built-in basemap is shown.
+
+export const TILE_SOURCES = {
+  osm: 'OpenStreetMap (online)',
+  xyz: 'Custom XYZ URL',
+  file: 'Local MBTiles/PMTiles file',
+  basemap: 'Built-in world basemap (offline)',
+};
+
+export const DEFAULT_TILE_SETTINGS = { source: 'osm', url: '' };
+
+export const OSM_TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+export const BASEMAP_ATTRIBUTION = 'Basemap: Natural Earth, US Census Bureau';
+
+const TILE_SETTINGS_STORAGE_KEY = 'ice-air.mapTiles';
+
+// An XYZ template needs the {z}, {x} and {y} placeholders
+export const isValidXyzUrl = (url) => (
+  typeof url === 'string' && ['{z}', '{x}', '{y}'].every(placeholder => url.includes(placeholder))
+);
+
+export const loadTileSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TILE_SETTINGS_STORAGE_KEY));
+    if (stored && TILE_SOURCES[stored.source]) {
+      return { source: stored.source, url: typeof stored.url === 'string' ? stored.url : '' };
+    }
+  } catch (e) {
+    console.warn("Failed to read map tile setting:", e);
+  }
+  return DEFAULT_TILE_SETTINGS;
+};
+
+export const storeTileSettings = (settings) => {
+  try {
+    localStorage.setItem(TILE_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Failed to save map tile setting:", e);
+  }
+};
+
+// --- Local Tile Files ---
+// An opened file is { name, minZoom, maxZoom, attribution, getTile(z, x, y) },
+// where getTile resolves to an image Blob or null for a missing tile. Only
+// raster tiles can be shown; vector tile archives are rejected.
+
+const PMTILES_MIME_TYPES = { 2: 'image/png', 3: 'image/jpeg', 4: 'image/webp', 5: 'image/avif' };
+const MBTILES_MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+const openPmtiles = async (file) => {
+  const { PMTiles, FileSource } = await import('pmtiles');
+  const archive = new PMTiles(new FileSource(file));
+  const header = await archive.getHeader();
+  const type = PMTILES_MIME_TYPES[header.tileType];
+  if (!type) throw new Error(`${file.name} does not contain raster (PNG, JPEG, WebP or AVIF) tiles`);
+  const metadata = await archive.getMetadata().catch(() => null);
+  return {
+    name: file.name,
+    minZoom: header.minZoom,
+    maxZoom: header.maxZoom,
+    attribution: metadata?.attribution || '',
+    getTile: async (z, x, y) => {
+      const tile = await archive.getZxy(z, x, y);
+      return tile ? new Blob([tile.data], { type }) : null;
+    },
+    close: () => {}, // Read in pieces on demand, nothing to release
+  };
+};
+
+// sql.js (SQLite compiled to WebAssembly) is only loaded for MBTiles files
+let sqlJsPromise = null;
+
+const loadSqlJs = () => {
+  if (!sqlJsPromise) {
+    sqlJsPromise = Promise.all([import('sql.js'), import('sql.js/dist/sql-wasm-browser.wasm')])
+      .then(([{ default: initSqlJs }, { default: wasmUrl }]) => initSqlJs({ locateFile: () => wasmUrl }))
+      .catch(err => {
+        sqlJsPromise = null;
+        throw err;
+      });
+  }
+  return sqlJsPromise;
+};
+
+// sql.js reads the whole database into memory, so larger files would crash the tab
+const MAX_MBTILES_BYTES = 1024 ** 3;
+
+const openMbtiles = async (file) => {
+  if (file.size > MAX_MBTILES_BYTES) {
+    throw new Error(
+      `${file.name} is ${formatBytes(file.size)}; MBTiles files over ${formatBytes(MAX_MBTILES_BYTES)} can't be opened ` +
+      'because they are read into memory. Convert it to PMTiles (e.g. with `pmtiles convert`), which is read in pieces.'
+    );
+  }
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+  let metadata;
+  try {
+    const rows = db.exec('SELECT name, value FROM metadata');
+    metadata = Object.fromEntries(rows.length > 0 ? rows[0].values : []);
+  } catch (e) {
+    db.close();
+    throw new Error(`${file.name} is not an MBTiles file`);
+  }
+  const type = MBTILES_MIME_TYPES[String(metadata.format || 'png').toLowerCase()];
+  if (!type) {
+    db.close();
+    throw new Error(`${file.name} does not contain raster (PNG, JPEG or WebP) tiles`);
+  }
+  const statement = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+  let isClosed = false;
+  return {
+    name: file.name,
+    minZoom: Number(metadata.minzoom) || 0,
+    maxZoom: Number(metadata.maxzoom) || 18,
+    attribution: metadata.attribution || '',
+    getTile: async (z, x, y) => {
+      if (isClosed) return null; // A map still showing the file before the next one was opened
+      // MBTiles rows count from the bottom (TMS)
+      statement.bind([z, x, (1 << z) - 1 - y]);
+      const data = statement.step() ? statement.get()[0] : null;
+      statement.reset();
+      return data ? new Blob([data], { type }) : null;
+    },
+    close: () => {
+      isClosed = true;
+      statement.free();
+      db.close();
+    },
+  };
+};
+
+let openedTileFile = null;
+
+// Open an .mbtiles or .pmtiles file; it stays open for every map until
+// another file is opened, which closes it
+export const openTileFile = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  let tileFile;
+  if (extension === 'pmtiles') {
+    tileFile = await openPmtiles(file);
+  } else if (extension === 'mbtiles') {
+    tileFile = await openMbtiles(file);
+  } else {
+    throw new Error(`${file.name} is not an .mbtiles or .pmtiles file`);
+  }
+  if (openedTileFile) openedTileFile.close();
+  openedTileFile = tileFile;
+  return openedTileFile;
+};
+
+export const getOpenedTileFile = () => openedTileFile;
+
+// --- Built-in Basemap ---
+// Natural Earth 1:110m countries (world-atlas) and 1:10m US states
+// (us-atlas), bundled as a separate chunk loaded on first use
+
+let basemapPromise = null;
+
+// GeoJSON for { land, coastlines, countryBorders, stateBorders }
+export const loadWorldBasemap = () => {
+  if (!basemapPromise) {
+    basemapPromise = Promise.all([
+      import('world-atlas/countries-110m.json'),
+      import('us-atlas/states-10m.json'),
+    ])
+      .then(([{ default: world }, { default: us }]) => ({
+        land: feature(world, world.objects.land),
+        coastlines: mesh(world, world.objects.countries, (a, b) => a === b),
+        countryBorders: mesh(world, world.objects.countries, (a, b) => a !== b),
+        stateBorders: mesh(us, us.objects.states, (a, b) => a !== b),
+      }))
+      .catch(err => {
+        basemapPromise = null;
+        throw err;
+      });
+  }
+  return basemapPromise;
+};
+
+// --- Rendering Setting ---
+// Routes and airports are drawn as SVG (crisp, fine for a few hundred
+// routes) or on one canvas (fast with thousands). 'auto' switches to canvas
+// for large networks. Dense airports can be grouped into clusters that
+// split apart as the map zooms in. The setting is { renderer, clusterAirports }.
+
+export const MAP_RENDERERS = {
+  auto: 'Auto',
+  svg: 'SVG',
+  canvas: 'Canvas (fast)',
+};
+
+export const DEFAULT_RENDER_SETTINGS = { renderer: 'auto', clusterAirports: true };
+
+// Networks larger than this are drawn on canvas in auto mode
+const AUTO_CANVAS_ROUTES = 1000;
+const AUTO_CANVAS_AIRPORTS = 500;
+
+const RENDER_SETTINGS_STORAGE_KEY = 'ice-air.mapRendering';
+
+export const loadRenderSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RENDER_SETTINGS_STORAGE_KEY));
+    if (stored && MAP_RENDERERS[stored.renderer]) {
+      return { renderer: stored.renderer, clusterAirports: stored.clusterAirports !== false };
+    }
+  } catch (e) {
+    console.warn("Failed to read map rendering setting:", e);
+  }
+  return DEFAULT_RENDER_SETTINGS;
+};
+
+export const storeRenderSettings = (settings) => {
+  try {
+    localStorage.setItem(RENDER_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Failed to save map rendering setting:", e);
+  }
+};
+
+export const shouldUseCanvas = (renderer, routeCount, airportCount) => (
+  renderer === 'canvas'
+  || (renderer === 'auto' && (routeCount > AUTO_CANVAS_ROUTES || airportCount > AUTO_CANVAS_AIRPORTS))
+);
+
+// --- Style Setting ---
+// What the airports are sized and colored by, what the routes are colored
+// by, the scale used for both, and which weak routes are hidden (see
+// mapStyleUtils.js). The setting is
+// { airportSize, airportColor, routeColor, scale, routeCutoff, routeCutoffValue }.
+
+export const DEFAULT_STYLE_SETTINGS = {
+  airportSize: 'traffic',
+  airportColor: 'selection',
+  routeColor: 'selection',
+  scale: 'linear',
+  routeCutoff: 'none',
+  routeCutoffValue: 10,
+};
+
+const STYLE_SETTINGS_STORAGE_KEY = 'ice-air.mapStyle';
+
+// Each stored field falls back to its default when it is no longer valid
+export const loadStyleSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STYLE_SETTINGS_STORAGE_KEY));
+    if (stored) {
+      const pick = (key, isValid) => (isValid(stored[key]) ? stored[key] : DEFAULT_STYLE_SETTINGS[key]);
+      return {
+        airportSize: pick('airportSize', value => Boolean(AIRPORT_METRICS[value])),
+        airportColor: pick('airportColor', value => value === 'selection' || Boolean(AIRPORT_METRICS[value])),
+        routeColor: pick('routeColor', value => Boolean(ROUTE_COLOR_MODES[value])),
+        scale: pick('scale', value => Boolean(SCALE_TYPES[value])),
+        routeCutoff: pick('routeCutoff', value => Boolean(ROUTE_CUTOFFS[value])),
+        routeCutoffValue: pick('routeCutoffValue', value => Number.isInteger(value) && value > 0),
+      };
+    }
+  } catch (e) {
+    console.warn("Failed to read map style setting:", e);
+  }
+  return DEFAULT_STYLE_SETTINGS;
+};
+
+export const storeStyleSettings = (settings) => {
+  try {
+    localStorage.setItem(STYLE_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Failed to save map style setting:", e);
+  }
+};
@@ -0,0 +1,309 @@
+import { getAircraftOperator, formatDuration, UNKNOWN_OPERATOR } from './dataUtils';
+import { buildStays } from './tripUtils';
+import { getDateKey } from './timeUtils';
+import { percentile } from './statsUtils';
+
+// --- Airport Metrics ---
+// Airports can be sized and colored by any of these. Each airport of the
+// map carries them as fields; dwellTime (the median time aircraft stay on
+// the ground, in ms) is null where no aircraft both arrived and left again.
+
+export const AIRPORT_METRICS = {
+  traffic: 'Flights',
+  arrivals: 'Arrivals',
+  departures: 'Departures',
+  uniqueAircraft: 'Unique aircraft',
+  dwellTime: 'Median dwell time',
+};
+
+// { [code]: { traffic, arrivals, departures, uniqueAircraft } }
+export const buildAirportMetrics = (flights) => {
+  const metrics = {};
+  const aircraftByAirport = {};
+  const count = (code, field, icao) => {
+    if (!metrics[code]) {
+      metrics[code] = { traffic: 0, arrivals: 0, departures: 0, uniqueAircraft: 0 };
+      aircraftByAirport[code] = new Set();
+    }
+    metrics[code].traffic++;
+    metrics[code][field]++;
+    if (icao) aircraftByAirport[code].add(icao.toLowerCase());
+  };
+  (flights || []).forEach(({ origin, destination, icao }) => {
+    if (origin) count(origin, 'departures', icao);
+    if (destination) count(destination, 'arrivals', icao);
+  });
+  Object.entries(aircraftByAirport).forEach(([code, aircraft]) => {
+    metrics[code].uniqueAircraft = aircraft.size;
+  });
+  return metrics;
+};
+
+// { [code]: median stay in ms } (see buildStays in tripUtils.js)
+export const buildAirportDwellTimes = (flights) => {
+  const durations = {};
+  buildStays(flights).forEach(({ airport, duration }) => {
+    if (!durations[airport]) durations[airport] = [];
+    durations[airport].push(duration);
+  });
+  const dwellTimes = {};
+  Object.entries(durations).forEach(([code, values]) => {
+    dwellTimes[code] = percentile(values.sort((a, b) => a - b), 0.5);
+  });
+  return dwellTimes;
+};
+
+// --- Route Attributes ---
+// Routes can be colored by their most common operator or aircraft type, or
+// by when they were last flown. 'selection' keeps the plain colors
+// (selected, outbound, other).
+
+export const ROUTE_COLOR_MODES = {
+  selection: 'Selection',
+  operator: 'Operator',
+  aircraftType: 'Aircraft type',
+  lastActive: 'Most recent activity',
+};
+
+const UNKNOWN_TYPE = 'Unknown type';
+
+// Most frequent key of a Map of counts
+const mostCommon = (counts) => {
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, key) => {
+    if (count > bestCount) {
+      best = key;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// Map of pair -> { operator, aircraftType, lastActive }, lastActive in ms
+export const buildRouteAttributes = (flights, aircraftDataMap) => {
+  const routes = new Map();
+  (flights || []).forEach(flight => {
+    const { origin, destination, icao } = flight;
+    if (!origin || !destination || origin === destination) return;
+    const pairKey = `${origin}-${destination}`;
+    if (!routes.has(pairKey)) routes.set(pairKey, { operators: new Map(), types: new Map(), lastActive: null });
+    const route = routes.get(pairKey);
+    const operator = getAircraftOperator(icao, aircraftDataMap);
+    const type = (icao && aircraftDataMap?.get(icao.toLowerCase())?.ICAOTypeCode) || UNKNOWN_TYPE;
+    route.operators.set(operator, (route.operators.get(operator) || 0) + 1);
+    route.types.set(type, (route.types.get(type) || 0) + 1);
+    const time = (flight.landing_time || flight.takeoff_time)?.getTime();
+    if (Number.isFinite(time) && (route.lastActive === null || time > route.lastActive)) route.lastActive = time;
+  });
+
+  const attributes = new Map();
+  routes.forEach(({ operators, types, lastActive }, pairKey) => {
+    attributes.set(pairKey, { operator: mostCommon(operators), aircraftType: mostCommon(types), lastActive });
+  });
+  return attributes;
+};
+
+// --- Route Cutoff ---
+// Weak routes can be hidden: those with fewer flights than a minimum, or
+// all but the busiest N. Selected routes always stay on the map.
+
+export const ROUTE_CUTOFFS = {
+  none: 'None',
+  minCount: 'Fewer flights than',
+  topN: 'Outside the top',
+};
+
+// `routes` sorted by count, busiest first
+export const applyRouteCutoff = (routes, cutoff, value, selectedPairs) => {
+  if (cutoff === 'none') return routes;
+  return routes.filter((route, index) => (
+    (cutoff === 'minCount' ? route.count >= value : index < value)
+    || selectedPairs.includes(`${route.origin}-${route.destination}`)
+  ));
+};
+
+// --- Scales ---
+// A scale maps values onto 0-1 (toUnit) and back (fromUnit, for the legend).
+// Log scales spread out the many small airports and routes; quantile scales
+// rank them, so every color is used about equally often.
+
+export const SCALE_TYPES = {
+  linear: 'Linear',
+  log: 'Log',
+  quantile: 'Quantile',
+};
+
+// Index of the first value in the ascending `sorted` for which isBefore is false
+const searchSorted = (sorted, isBefore) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (isBefore(sorted[mid])) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+export const createScale = (values, type) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return { toUnit: () => 0, fromUnit: () => null };
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+
+  if (type === 'quantile') {
+    return {
+      // Ties share the middle of their ranks
+      toUnit: (value) => {
+        if (sorted.length === 1) return 0;
+        const first = searchSorted(sorted, item => item < value);
+        const last = Math.max(first, searchSorted(sorted, item => item <= value) - 1);
+        return Math.min(1, Math.max(0, (first + last) / 2 / (sorted.length - 1)));
+      },
+      fromUnit: (t) => sorted[Math.round(t * (sorted.length - 1))],
+    };
+  }
+
+  // Log scales shift the values to start at 1
+  const transform = type === 'log' ? (value) => Math.log(value - min + 1) : (value) => value;
+  const inverse = type === 'log' ? (value) => Math.exp(value) + min - 1 : (value) => value;
+  const low = transform(min);
+  const high = transform(max);
+  return {
+    toUnit: (value) => (high > low ? Math.min(1, Math.max(0, (transform(value) - low) / (high - low))) : 0),
+    fromUnit: (t) => inverse(low + t * (high - low)),
+  };
+};
+
+// --- Colors ---
+
+// Low to high values; the legend's color ramps are drawn from the same stops
+export const RAMP_COLORS = ['#2c7bb6', '#00a6ca', '#00ccbc', '#90eb9d', '#ffff8c'];
+
+// Categories past the first few, and values that are missing
+export const OTHER_COLOR = '#8c8c8c';
+
+const CATEGORY_COLORS = ['#4e79a7', '#9c755f', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7'];
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// Color at t (0-1) along RAMP_COLORS
+export const rampColor = (t) => {
+  const position = Math.min(1, Math.max(0, t)) * (RAMP_COLORS.length - 1);
+  const index = Math.min(Math.floor(position), RAMP_COLORS.length - 2);
+  const from = hexToRgb(RAMP_COLORS[index]);
+  const to = hexToRgb(RAMP_COLORS[index + 1]);
+  const mix = position - index;
+  return `#${from.map((value, i) => Math.round(value + (to[i] - value) * mix).toString(16).padStart(2, '0')).join('')}`;
+};
+
+// --- Map Styles ---
+// Everything the map and its legend need for the style setting (see
+// loadStyleSettings in mapSettings.js). Legend values are formatted here.
+
+const AIRPORT_RADIUS_MIN = 5;
+const AIRPORT_RADIUS_MAX = 20;
+
+const formatAirportMetric = (metric, value) => {
+  if (value === null || value === undefined) return 'N/A';
+  return metric === 'dwellTime' ? formatDuration(value) : Math.round(value).toLocaleString();
+};
+
+// Labels for the low end, middle and high end of a scale
+const getScaleTicks = (scale, format) => [0, 0.5, 1].map(t => format(scale.fromUnit(t)));
+
+// { styles: { [code]: { radius, fillColor, detail } }, sizeLegend, colorLegend }.
+// fillColor is null unless airports are colored by a metric; detail is the
+// tooltip line for metrics other than the flight count.
+export const buildAirportStyles = (airports, { airportSize, airportColor, scale }) => {
+  const createMetricScale = (metric) => createScale(airports.map(airport => airport[metric]), scale);
+  const sizeScale = createMetricScale(airportSize);
+  const colorScale = airportColor !== 'selection' ? createMetricScale(airportColor) : null;
+  const detailMetrics = [...new Set([airportSize, airportColor])]
+    .filter(metric => metric !== 'traffic' && metric !== 'selection');
+
+  const styles = {};
+  airports.forEach(airport => {
+    const size = airport[airportSize];
+    let fillColor = null;
+    if (colorScale) {
+      const value = airport[airportColor];
+      fillColor = Number.isFinite(value) ? rampColor(colorScale.toUnit(value)) : OTHER_COLOR;
+    }
+    styles[airport.code] = {
+      radius: AIRPORT_RADIUS_MIN
+        + (Number.isFinite(size) ? sizeScale.toUnit(size) : 0) * (AIRPORT_RADIUS_MAX - AIRPORT_RADIUS_MIN),
+      fillColor,
+      detail: detailMetrics
+        .map(metric => `${AIRPORT_METRICS[metric]}: ${formatAirportMetric(metric, airport[metric])}`)
+        .join('<br>'),
+    };
+  });
+
+  const format = (metric) => (value) => formatAirportMetric(metric, value);
+  const sizeTicks = getScaleTicks(sizeScale, format(airportSize));
+  return {
+    styles,
+    sizeLegend: { label: AIRPORT_METRICS[airportSize], min: sizeTicks[0], max: sizeTicks[2] },
+    colorLegend: colorScale
+      ? { label: AIRPORT_METRICS[airportColor], ticks: getScaleTicks(colorScale, format(airportColor)) }
+      : null,
+  };
+};
+
+// Operator names, ICAO hexes and airport codes come from the loaded files and
+// go into tooltip HTML
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Up to this many operators or aircraft types get their own color
+const MAX_CATEGORIES = CATEGORY_COLORS.length;
+
+// { colors: { [pair]: { color, detail } }, legend } for a route color mode
+// other than 'selection' (null for it). Categories are ranked by their
+// number of routes; the rest and unknown ones share OTHER_COLOR. Dates are
+// shown in `timeZone`.
+export const buildRouteColors = (routes, attributes, { routeColor, scale }, timeZone) => {
+  if (routeColor === 'selection') return null;
+  const colors = {};
+  const getAttribute = (route) => attributes.get(`${route.origin}-${route.destination}`)?.[routeColor] ?? null;
+
+  if (routeColor === 'lastActive') {
+    const format = (time) => (time === null ? 'N/A' : getDateKey(new Date(time), timeZone));
+    const dateScale = createScale(routes.map(getAttribute), scale);
+    routes.forEach(route => {
+      const time = getAttribute(route);
+      colors[`${route.origin}-${route.destination}`] = {
+        color: time === null ? OTHER_COLOR : rampColor(dateScale.toUnit(time)),
+        detail: `Last flown: ${format(time)}`,
+      };
+    });
+    return { colors, legend: { label: ROUTE_COLOR_MODES.lastActive, ticks: getScaleTicks(dateScale, format) } };
+  }
+
+  const isUnknown = (value) => value === null || value === UNKNOWN_OPERATOR || value === UNKNOWN_TYPE;
+  const routeCounts = new Map();
+  routes.forEach(route => {
+    const value = getAttribute(route);
+    if (!isUnknown(value)) routeCounts.set(value, (routeCounts.get(value) || 0) + 1);
+  });
+  const ranked = [...routeCounts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const categoryColors = new Map(ranked.slice(0, MAX_CATEGORIES).map(([value], i) => [value, CATEGORY_COLORS[i]]));
+
+  routes.forEach(route => {
+    const value = getAttribute(route);
+    colors[`${route.origin}-${route.destination}`] = {
+      color: categoryColors.get(value) || OTHER_COLOR,
+      detail: `${ROUTE_COLOR_MODES[routeColor]}: ${escapeHtml(value ?? 'N/A')}`,
+    };
+  });
+
+  const categories = [...categoryColors.entries()].map(([label, color]) => ({ label, color }));
+  if (ranked.length > MAX_CATEGORIES || routes.some(route => isUnknown(getAttribute(route)))) {
+    categories.push({ label: 'Other', color: OTHER_COLOR });
+  }
+  return { colors, legend: { label: ROUTE_COLOR_MODES[routeColor], categories } };
+};
@@ -0,0 +1,72 @@
+import { createScale, applyRouteCutoff, escapeHtml } from './mapStyleUtils';
+
+describe('createScale', () => {
+  test('linear scales map the range onto 0-1', () => {
+    const scale = createScale([10, 20, 30, NaN], 'linear');
+
+    expect(scale.toUnit(10)).toBe(0);
+    expect(scale.toUnit(20)).toBe(0.5);
+    expect(scale.toUnit(40)).toBe(1); // Clamped
+    expect(scale.fromUnit(0.25)).toBe(15);
+  });
+
+  test('log scales spread out small values', () => {
+    const scale = createScale([1, 10, 100], 'log');
+
+    expect(scale.toUnit(1)).toBe(0);
+    expect(scale.toUnit(100)).toBe(1);
+    expect(scale.toUnit(10)).toBeCloseTo(Math.log(10) / Math.log(100), 10);
+    expect(scale.fromUnit(scale.toUnit(10))).toBeCloseTo(10, 10);
+  });
+
+  test('quantile scales rank values, ties sharing the middle rank', () => {
+    const scale = createScale([1, 2, 2, 1000, 5], 'quantile');
+
+    expect(scale.toUnit(1)).toBe(0);
+    expect(scale.toUnit(2)).toBe(0.375);
+    expect(scale.toUnit(5)).toBe(0.75);
+    expect(scale.toUnit(1000)).toBe(1);
+    expect(scale.fromUnit(0.5)).toBe(2);
+  });
+
+  test('handles empty and constant values', () => {
+    expect(createScale([], 'linear').toUnit(5)).toBe(0);
+    expect(createScale([], 'linear').fromUnit(0.5)).toBeNull();
+    expect(createScale([7, 7], 'log').toUnit(7)).toBe(0);
+    expect(createScale([7], 'quantile').toUnit(7)).toBe(0);
+  });
+});
+
+describe('applyRouteCutoff', () => {
+  const routes = [
+    { origin: 'KAEX', destination: 'KELP', count: 10 },
+    { origin: 'KELP', destination: 'KAEX', count: 5 },
+    { origin: 'KAEX', destination: 'KBRO', count: 2 },
+    { origin: 'KBRO', destination: 'MGGT', count: 1 },
+  ];
+  const pairsOf = (kept) => kept.map(route => `${route.origin}-${route.destination}`);
+
+  test('keeps every route without a cutoff', () => {
+    expect(applyRouteCutoff(routes, 'none', 3, [])).toBe(routes);
+  });
+
+  test('hides routes with fewer flights than the minimum', () => {
+    expect(pairsOf(applyRouteCutoff(routes, 'minCount', 5, []))).toEqual(['KAEX-KELP', 'KELP-KAEX']);
+  });
+
+  test('hides routes outside the busiest N', () => {
+    expect(pairsOf(applyRouteCutoff(routes, 'topN', 1, []))).toEqual(['KAEX-KELP']);
+  });
+
+  test('always keeps selected routes', () => {
+    expect(pairsOf(applyRouteCutoff(routes, 'topN', 1, ['KBRO-MGGT']))).toEqual(['KAEX-KELP', 'KBRO-MGGT']);
+    expect(pairsOf(applyRouteCutoff(routes, 'minCount', 5, ['KAEX-KBRO']))).toEqual(['KAEX-KELP', 'KELP-KAEX', 'KAEX-KBRO']);
+  });
+});
+
+describe('escapeHtml', () => {
+  test('escapes markup in values from the loaded files', () => {
+    expect(escapeHtml('<img src=x onerror=alert(1)>')).toBe('&lt;img src=x onerror=alert(1)&gt;');
+    expect(escapeHtml('A&B')).toBe('A&amp;B');
+  });
+});
@@ -0,0 +1,98 @@
+// --- Playback Legs ---
+// Map playback replays the filtered legs in time order. Each leg is
+// { index, origin, destination, from, to, icao, takeoff, landing } with the
+// airport coordinates and times in ms, sorted by takeoff; legs without
+// coordinates or a positive duration are left out.
+
+export const buildPlaybackLegs = (flights, airports) => {
+  const legs = [];
+  (flights || []).forEach(flight => {
+    const { origin, destination } = flight;
+    if (!origin || !destination || origin === destination) return;
+    if (!airports[origin] || !airports[destination]) return;
+    const takeoff = flight.takeoff_time?.getTime();
+    const landing = flight.landing_time?.getTime();
+    if (!Number.isFinite(takeoff) || !Number.isFinite(landing) || landing <= takeoff) return;
+    legs.push({
+      origin,
+      destination,
+      from: airports[origin],
+      to: airports[destination],
+      icao: (flight.icao || '').toLowerCase(),
+      takeoff,
+      landing,
+    });
+  });
+  legs.sort((a, b) => a.takeoff - b.takeoff);
+  legs.forEach((leg, index) => { leg.index = index; });
+  return legs;
+};
+
+// Index of the first value in the sorted `values` greater than `target`
+const upperBound = (values, target, getValue) => {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (getValue(values[mid]) <= target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Everything the playback needs per frame, precomputed once per leg set:
+// the time range, the longest leg (to bound the airborne search) and the
+// legs in landing order (for the landings counter and arrival pulses)
+export const buildPlaybackTimeline = (legs) => {
+  if (legs.length === 0) return null;
+  const legsByLanding = [...legs].sort((a, b) => a.landing - b.landing);
+  return {
+    legs,
+    legsByLanding,
+    start: legs[0].takeoff,
+    end: legsByLanding[legsByLanding.length - 1].landing,
+    maxDuration: legs.reduce((max, leg) => Math.max(max, leg.landing - leg.takeoff), 0),
+  };
+};
+
+// Legs in the air at `time`, each with its progress (0-1) along the route
+export const getAirborneLegs = (timeline, time) => {
+  if (!timeline) return [];
+  const { legs, maxDuration } = timeline;
+  const last = upperBound(legs, time, leg => leg.takeoff);
+  const first = upperBound(legs, time - maxDuration - 1, leg => leg.takeoff);
+  const airborne = [];
+  for (let i = first; i < last; i++) {
+    const leg = legs[i];
+    if (leg.landing > time) {
+      airborne.push({ leg, progress: (time - leg.takeoff) / (leg.landing - leg.takeoff) });
+    }
+  }
+  return airborne;
+};
+
+const getLanding = (leg) => leg.landing;
+
+export const countLandingsBy = (timeline, time) => (
+  timeline ? upperBound(timeline.legsByLanding, time, getLanding) : 0
+);
+
+// Legs that landed after `from` and up to `to`, for the arrival pulses
+export const getLegsLandedBetween = (timeline, from, to) => {
+  if (!timeline || to <= from) return [];
+  const { legsByLanding } = timeline;
+  return legsByLanding.slice(upperBound(legsByLanding, from, getLanding), upperBound(legsByLanding, to, getLanding));
+};
+
+// --- Playback Speeds ---
+// Simulated time per second of playback
+
+export const PLAYBACK_SPEEDS = {
+  '60000': '1 min/s',
+  '600000': '10 min/s',
+  '3600000': '1 hr/s',
+  '21600000': '6 hr/s',
+  '86400000': '1 day/s',
+};
+
+export const DEFAULT_PLAYBACK_SPEED = '3600000';
@@ -0,0 +1,60 @@
+import { buildPlaybackLegs, buildPlaybackTimeline, getAirborneLegs, countLandingsBy } from './playbackUtils';
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2025, 4, 1);
+
+const airports = {
+  KAEX: { lat: 31.3274, lng: -92.5486 },
+  KELP: { lat: 31.8072, lng: -106.3778 },
+  KBRO: { lat: 25.9068, lng: -97.4259 },
+};
+
+const flight = (origin, destination, takeoffHour, landingHour) => ({
+  icao: 'ABC123',
+  origin,
+  destination,
+  takeoff_time: new Date(START + takeoffHour * HOUR_MS),
+  landing_time: new Date(START + landingHour * HOUR_MS),
+});
+
+describe('playback', () => {
+  const legs = buildPlaybackLegs([
+    flight('KELP', 'KBRO', 2, 6),
+    flight('KAEX', 'KELP', 0, 4),
+    flight('KAEX', 'KAEX', 1, 2), // Same airport
+    flight('KAEX', 'MGGT', 1, 2), // No coordinates
+    flight('KBRO', 'KAEX', 5, 5), // No duration
+    flight('KBRO', 'KAEX', 7, 8),
+  ], airports);
+  const timeline = buildPlaybackTimeline(legs);
+  const at = (hour) => START + hour * HOUR_MS;
+
+  test('keeps legs that can be drawn, sorted by takeoff', () => {
+    expect(legs.map(leg => `${leg.origin}-${leg.destination}`)).toEqual(['KAEX-KELP', 'KELP-KBRO', 'KBRO-KAEX']);
+    expect(legs[0]).toMatchObject({ index: 0, icao: 'abc123', from: airports.KAEX, to: airports.KELP });
+    expect(timeline).toMatchObject({ start: at(0), end: at(8), maxDuration: 4 * HOUR_MS });
+  });
+
+  test('finds the legs in the air with their progress', () => {
+    const airborne = getAirborneLegs(timeline, at(3));
+
+    expect(airborne.map(({ leg, progress }) => [`${leg.origin}-${leg.destination}`, progress])).toEqual([
+      ['KAEX-KELP', 0.75],
+      ['KELP-KBRO', 0.25],
+    ]);
+  });
+
+  test('counts a leg as airborne from takeoff until landing', () => {
+    expect(getAirborneLegs(timeline, at(0)).map(({ progress }) => progress)).toEqual([0]);
+    expect(getAirborneLegs(timeline, at(4)).map(({ leg }) => leg.origin)).toEqual(['KELP']);
+    expect(getAirborneLegs(timeline, at(6.5))).toEqual([]);
+    expect(getAirborneLegs(timeline, at(-1))).toEqual([]);
+    expect(getAirborneLegs(null, at(3))).toEqual([]);
+  });
+
+  test('counts landings so far', () => {
+    expect(countLandingsBy(timeline, at(3))).toBe(0);
+    expect(countLandingsBy(timeline, at(4))).toBe(1);
+    expect(countLandingsBy(timeline, at(8))).toBe(3);
+  });
+});
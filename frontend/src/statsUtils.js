@@ -0,0 +1,10 @@
+// --- Descriptive Statistics ---
+
+// Value at fraction p (0..1) of an ascending array
+export const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+// Median absolute deviation of an ascending array
+export const medianAbsoluteDeviation = (sorted) => {
+  const median = percentile(sorted, 0.5);
+  return percentile(sorted.map(value => Math.abs(value - median)).sort((a, b) => a - b), 0.5);
+};
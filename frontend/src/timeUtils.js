@@ -0,0 +1,202 @@
+import { CalendarDate } from '@internationalized/date';
+
+// --- Time Zone Setting ---
+// The app-wide time zone is 'local' (the browser's zone), 'airport' (each
+// airport's own zone from airports.csv) or an IANA zone name such as 'UTC'.
+
+export const LOCAL_TIME_ZONE = 'local';
+export const AIRPORT_TIME_ZONE = 'airport';
+export const DEFAULT_TIME_ZONE = LOCAL_TIME_ZONE;
+
+const TIME_ZONE_STORAGE_KEY = 'ice-air.timeZone';
+
+export const getBrowserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+export const isValidTimeZone = (zone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+export const isValidTimeZoneSetting = (setting) => (
+  setting === LOCAL_TIME_ZONE || setting === AIRPORT_TIME_ZONE || (typeof setting === 'string' && isValidTimeZone(setting))
+);
+
+export const loadTimeZoneSetting = () => {
+  try {
+    const stored = localStorage.getItem(TIME_ZONE_STORAGE_KEY);
+    if (stored && isValidTimeZoneSetting(stored)) return stored;
+  } catch (e) {
+    console.warn("Failed to read time zone setting:", e);
+  }
+  return DEFAULT_TIME_ZONE;
+};
+
+export const storeTimeZoneSetting = (setting) => {
+  try {
+    localStorage.setItem(TIME_ZONE_STORAGE_KEY, setting);
+  } catch (e) {
+    console.warn("Failed to save time zone setting:", e);
+  }
+};
+
+// Every IANA zone the browser knows, for the zone picker
+export const getSupportedTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes('UTC') ? zones : ['UTC', ...zones];
+};
+
+export const getTimeZoneSettingLabel = (setting) => {
+  if (setting === LOCAL_TIME_ZONE) return `Browser (${getBrowserTimeZone()})`;
+  if (setting === AIRPORT_TIME_ZONE) return 'Airport local time';
+  return setting;
+};
+
+// --- Time Basis ---
+// A time basis says which zone each flight's times are read in. It is a plain
+// object so it can be sent to the aggregation worker:
+//   { timeZone, airportTimeZones }
+// In airport mode timeZone is AIRPORT_TIME_ZONE and airportTimeZones maps
+// airport codes to zones; landings are read at the destination and takeoffs
+// at the origin. Airports without a known zone fall back to UTC.
+
+// Airport code -> zone for the airports whose zone is known
+export const getAirportTimeZones = (airportCoordinates) => {
+  const airportTimeZones = {};
+  Object.entries(airportCoordinates || {}).forEach(([code, airport]) => {
+    if (airport.timeZone) airportTimeZones[code] = airport.timeZone;
+  });
+  return airportTimeZones;
+};
+
+export const buildTimeBasis = (setting, airportCoordinates) => {
+  if (setting === AIRPORT_TIME_ZONE) {
+    return { timeZone: AIRPORT_TIME_ZONE, airportTimeZones: getAirportTimeZones(airportCoordinates) };
+  }
+  return { timeZone: setting === LOCAL_TIME_ZONE ? getBrowserTimeZone() : setting, airportTimeZones: null };
+};
+
+export const isAirportTimeBasis = (timeBasis) => timeBasis?.timeZone === AIRPORT_TIME_ZONE;
+
+// Zone of a time that happened at `airport`
+export const getTimeZoneAt = (timeBasis, airport) => {
+  if (!timeBasis) return getBrowserTimeZone();
+  if (isAirportTimeBasis(timeBasis)) return timeBasis.airportTimeZones[airport] || 'UTC';
+  return timeBasis.timeZone;
+};
+
+export const getLandingTimeZone = (flight, timeBasis) => getTimeZoneAt(timeBasis, flight.destination);
+export const getTakeoffTimeZone = (flight, timeBasis) => getTimeZoneAt(timeBasis, flight.origin);
+
+// Short label for chart titles, e.g. "UTC" or "airport local time"
+export const describeTimeBasis = (timeBasis) => (
+  isAirportTimeBasis(timeBasis) ? 'airport local time' : getTimeZoneAt(timeBasis)
+);
+
+// --- Zoned Calendar Fields ---
+
+// Zone offsets only change on quarter hours, so they are cached per quarter
+// hour; formatToParts is far too slow to call for every flight
+const OFFSET_BUCKET_MS = 15 * 60 * 1000;
+const offsetFormats = new Map(); // zone -> Intl.DateTimeFormat
+const offsetCache = new Map(); // zone -> Map(bucket -> offset in ms)
+
+const getOffsetFormat = (zone) => {
+  let format = offsetFormats.get(zone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    });
+    offsetFormats.set(zone, format);
+  }
+  return format;
+};
+
+// Offset of `zone` from UTC at the given time, in ms
+export const getTimeZoneOffset = (ms, zone) => {
+  if (zone === 'UTC') return 0;
+  let zoneOffsets = offsetCache.get(zone);
+  if (!zoneOffsets) {
+    zoneOffsets = new Map();
+    offsetCache.set(zone, zoneOffsets);
+  }
+  const bucket = Math.floor(ms / OFFSET_BUCKET_MS);
+  let offset = zoneOffsets.get(bucket);
+  if (offset === undefined) {
+    const bucketStart = bucket * OFFSET_BUCKET_MS;
+    const parts = {};
+    getOffsetFormat(zone).formatToParts(new Date(bucketStart)).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+    offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - bucketStart;
+    zoneOffsets.set(bucket, offset);
+  }
+  return offset;
+};
+
+// Wall clock fields of a Date in `zone`; month is 1-12 and weekday 0 (Sunday) to 6
+export const getZonedParts = (date, zone) => {
+  const ms = date.getTime();
+  const shifted = new Date(ms + getTimeZoneOffset(ms, zone));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    weekday: shifted.getUTCDay(),
+  };
+};
+
+const formatDateKey = (year, month, day) => (
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+);
+
+// Calendar date in `zone` as YYYY-MM-DD
+export const getDateKey = (date, zone) => {
+  const { year, month, day } = getZonedParts(date, zone);
+  return formatDateKey(year, month, day);
+};
+
+// The YYYY-MM-DD date `days` after `dateKey`
+export const addDaysToDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + days));
+  return formatDateKey(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate());
+};
+
+export const dateKeyToCalendarDate = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new CalendarDate(year, month, day);
+};
+
+// --- Formatting ---
+
+const dateTimeFormats = new Map(); // `${zone}|${showZone}` -> Intl.DateTimeFormat
+
+// Shared formatter for table timestamps; much faster than calling
+// toLocaleString per row on large tables
+export const getDateTimeFormat = (zone, showZone = false) => {
+  const key = `${zone}|${showZone}`;
+  let format = dateTimeFormats.get(key);
+  if (!format) {
+    format = new Intl.DateTimeFormat(undefined, {
+      timeZone: zone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false,
+      ...(showZone ? { timeZoneName: 'short' } : {}),
+    });
+    dateTimeFormats.set(key, format);
+  }
+  return format;
+};
+
+// Date and time at `airport` in the time basis, with the zone name when
+// times in different zones may sit side by side (airport mode)
+export const formatTimeAt = (date, timeBasis, airport) => {
+  if (!date || !(date instanceof Date) || isNaN(date.getTime())) return 'N/A';
+  return getDateTimeFormat(getTimeZoneAt(timeBasis, airport), isAirportTimeBasis(timeBasis)).format(date);
+};
@@ -0,0 +1,145 @@
+import { CalendarDate } from '@internationalized/date';
+import {
+  AIRPORT_TIME_ZONE,
+  buildTimeBasis,
+  getAirportTimeZones,
+  getTimeZoneAt,
+  getTimeZoneOffset,
+  getZonedParts,
+  getDateKey,
+  addDaysToDateKey,
+  isValidTimeZoneSetting,
+} from './timeUtils';
+import { getDateBounds, filterFlights, filterFlightsByDayHour, aggregateFlightData, getFlightDateRange } from './dataUtils';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const airportCoordinates = {
+  KAEX: { lat: 31.3274, lng: -92.5486, timeZone: 'America/Chicago' },
+  PHNL: { lat: 21.3187, lng: -157.9225, timeZone: 'Pacific/Honolulu' },
+  XXXX: { lat: 0, lng: 0, timeZone: null }, // No zone in airports.csv
+};
+
+const flight = (origin, destination, landing) => ({
+  icao: 'abc123',
+  origin,
+  destination,
+  takeoff_time: new Date(new Date(landing).getTime() - HOUR_MS),
+  landing_time: new Date(landing),
+});
+
+describe('getZonedParts', () => {
+  test('reads wall clock fields in the zone', () => {
+    expect(getZonedParts(new Date('2025-05-01T03:30:00Z'), 'America/Chicago'))
+      .toEqual({ year: 2025, month: 4, day: 30, hour: 22, weekday: 3 });
+    expect(getZonedParts(new Date('2025-05-01T03:30:00Z'), 'UTC'))
+      .toEqual({ year: 2025, month: 5, day: 1, hour: 3, weekday: 4 });
+  });
+
+  test('follows zones offset by a quarter or half hour', () => {
+    // Kathmandu is UTC+5:45 and Adelaide UTC+9:30 in May
+    expect(getZonedParts(new Date('2025-05-01T18:14:00Z'), 'Asia/Kathmandu').hour).toBe(23);
+    expect(getZonedParts(new Date('2025-05-01T18:15:00Z'), 'Asia/Kathmandu').day).toBe(2);
+    expect(getTimeZoneOffset(Date.parse('2025-05-01T00:00:00Z'), 'Australia/Adelaide')).toBe(9.5 * HOUR_MS);
+  });
+
+  test('switches offset at the quarter hour of a DST change, whatever was cached before', () => {
+    // Chicago springs forward at 08:00 UTC on March 9, 2025 (02:00 CST becomes 03:00 CDT)
+    const hourAt = (iso) => getZonedParts(new Date(iso), 'America/Chicago').hour;
+    expect(hourAt('2025-03-09T07:50:00Z')).toBe(1);
+    expect(hourAt('2025-03-09T07:59:59Z')).toBe(1);
+    expect(hourAt('2025-03-09T08:00:00Z')).toBe(3);
+    expect(hourAt('2025-03-09T07:45:00Z')).toBe(1);
+    expect(getTimeZoneOffset(Date.parse('2025-03-09T07:59:00Z'), 'America/Chicago')).toBe(-6 * HOUR_MS);
+    expect(getTimeZoneOffset(Date.parse('2025-03-09T08:00:00Z'), 'America/Chicago')).toBe(-5 * HOUR_MS);
+  });
+
+  test('reads the repeated hour twice when clocks fall back', () => {
+    // 01:30 CDT and 01:30 CST on November 2, 2025 are an hour apart
+    expect(getZonedParts(new Date('2025-11-02T06:30:00Z'), 'America/Chicago').hour).toBe(1);
+    expect(getZonedParts(new Date('2025-11-02T07:30:00Z'), 'America/Chicago').hour).toBe(1);
+    expect(getZonedParts(new Date('2025-11-02T08:30:00Z'), 'America/Chicago').hour).toBe(2);
+  });
+});
+
+describe('getDateKey', () => {
+  test('gives the calendar date in the zone', () => {
+    const date = new Date('2025-05-01T03:00:00Z');
+    expect(getDateKey(date, 'UTC')).toBe('2025-05-01');
+    expect(getDateKey(date, 'America/Chicago')).toBe('2025-04-30');
+    expect(getDateKey(new Date('2025-04-30T14:00:00Z'), 'Pacific/Kiritimati')).toBe('2025-05-01'); // UTC+14
+  });
+
+  test('keeps a DST-change day a single date', () => {
+    expect(getDateKey(new Date('2025-03-09T05:59:00Z'), 'America/Chicago')).toBe('2025-03-08');
+    expect(getDateKey(new Date('2025-03-09T06:00:00Z'), 'America/Chicago')).toBe('2025-03-09');
+    expect(getDateKey(new Date('2025-03-10T04:59:00Z'), 'America/Chicago')).toBe('2025-03-09');
+    expect(getDateKey(new Date('2025-03-10T05:00:00Z'), 'America/Chicago')).toBe('2025-03-10');
+  });
+
+  test('adds days across month and year ends', () => {
+    expect(addDaysToDateKey('2025-02-28', 1)).toBe('2025-03-01');
+    expect(addDaysToDateKey('2024-12-31', 1)).toBe('2025-01-01');
+    expect(addDaysToDateKey('2025-03-01', -1)).toBe('2025-02-28');
+  });
+});
+
+describe('time basis', () => {
+  test('reads every airport in the chosen zone outside airport mode', () => {
+    const timeBasis = buildTimeBasis('America/Chicago', airportCoordinates);
+
+    expect(timeBasis).toEqual({ timeZone: 'America/Chicago', airportTimeZones: null });
+    expect(getTimeZoneAt(timeBasis, 'PHNL')).toBe('America/Chicago');
+  });
+
+  test('reads each airport in its own zone in airport mode, falling back to UTC', () => {
+    const timeBasis = buildTimeBasis(AIRPORT_TIME_ZONE, airportCoordinates);
+
+    expect(timeBasis.airportTimeZones).toEqual(getAirportTimeZones(airportCoordinates));
+    expect(timeBasis.airportTimeZones).toEqual({ KAEX: 'America/Chicago', PHNL: 'Pacific/Honolulu' });
+    expect(getTimeZoneAt(timeBasis, 'PHNL')).toBe('Pacific/Honolulu');
+    expect(getTimeZoneAt(timeBasis, 'XXXX')).toBe('UTC');
+    expect(getTimeZoneAt(timeBasis, 'ZZZZ')).toBe('UTC'); // Not in airports.csv at all
+  });
+
+  test('accepts the local and airport settings and IANA zones only', () => {
+    expect(isValidTimeZoneSetting('local')).toBe(true);
+    expect(isValidTimeZoneSetting('airport')).toBe(true);
+    expect(isValidTimeZoneSetting('Asia/Kathmandu')).toBe(true);
+    expect(isValidTimeZoneSetting('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZoneSetting(null)).toBe(false);
+  });
+});
+
+describe('bucketing in airport local time', () => {
+  const timeBasis = buildTimeBasis(AIRPORT_TIME_ZONE, airportCoordinates);
+  const flights = [
+    flight('PHNL', 'KAEX', '2025-05-01T03:00:00Z'), // 22:00 on April 30 in Chicago
+    flight('KAEX', 'PHNL', '2025-05-01T09:00:00Z'), // 23:00 on April 30 in Honolulu
+    flight('KAEX', 'XXXX', '2025-05-01T09:00:00Z'), // 09:00 on May 1, UTC
+  ];
+
+  test('turns a date range into date keys with the time basis', () => {
+    const dateRange = { start: new CalendarDate(2025, 4, 30), end: new CalendarDate(2025, 4, 30) };
+
+    expect(getDateBounds(dateRange, timeBasis)).toEqual({ startDate: '2025-04-30', endDate: '2025-04-30', timeBasis });
+    expect(getDateBounds(null, timeBasis)).toEqual({ timeBasis });
+  });
+
+  test("filters dates, ranges and charts by each landing airport's date and hour", () => {
+    const bounds = getDateBounds({ start: new CalendarDate(2025, 4, 30), end: new CalendarDate(2025, 4, 30) }, timeBasis);
+    const aggregate = aggregateFlightData(flights, timeBasis);
+
+    expect(filterFlights(flights, bounds).map(({ destination }) => destination)).toEqual(['KAEX', 'PHNL']);
+    const { start, end } = getFlightDateRange(flights, timeBasis);
+    expect([start.toString(), end.toString()]).toEqual(['2025-04-30', '2025-05-01']);
+
+    expect(aggregate.landingsByHour[22]).toBe(1);
+    expect(aggregate.landingsByHour[23]).toBe(1);
+    expect(aggregate.landingsByHour[9]).toBe(1);
+    // April 30, 2025 was a Wednesday and May 1 a Thursday
+    expect(aggregate.landingsByDay[3]).toBe(2);
+    expect(aggregate.landingsByDay[4]).toBe(1);
+    expect(filterFlightsByDayHour(flights, { weekday: 4, hour: 9 }, timeBasis)).toEqual([flights[2]]);
+  });
+});
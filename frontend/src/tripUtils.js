@@ -0,0 +1,407 @@
+import { getDateKey } from './timeUtils';
+import { percentile } from './statsUtils';
+import { isEstimatedLeg } from './durationUtils';
+
+// --- Trip Reconstruction ---
+// A trip is a chain of legs flown by one aircraft where each leg departs from
+// the airport the previous one landed at, within a maximum time on the ground.
+// KAEX→KBRO, KBRO→MGGT, MGGT→KBRO becomes one trip with the route
+// KAEX→KBRO→MGGT→KBRO.
+
+export const DEFAULT_MAX_GROUND_HOURS = 12;
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_GROUND_HOURS_STORAGE_KEY = 'ice-air.tripMaxGroundHours';
+
+export const loadMaxGroundHours = () => {
+  try {
+    const stored = parseFloat(localStorage.getItem(MAX_GROUND_HOURS_STORAGE_KEY));
+    if (isFinite(stored) && stored > 0) return stored;
+  } catch (e) {
+    console.warn("Failed to read trip settings:", e);
+  }
+  return DEFAULT_MAX_GROUND_HOURS;
+};
+
+export const storeMaxGroundHours = (hours) => {
+  try {
+    localStorage.setItem(MAX_GROUND_HOURS_STORAGE_KEY, String(hours));
+  } catch (e) {
+    console.warn("Failed to save trip settings:", e);
+  }
+};
+
+// Time a leg left its origin; falls back to the landing time when the takeoff
+// was not recorded, which can only overstate the ground time before it
+const getDepartureTime = (leg) => leg.takeoff_time || leg.landing_time;
+
+// Legs grouped by lowercase ICAO hex, each group in time order. Legs without
+// an ICAO can't be attributed to an aircraft and are left out.
+export const groupLegsByAircraft = (flights) => {
+  const groups = new Map();
+  flights.forEach(flight => {
+    const icao = flight.icao ? flight.icao.toLowerCase() : null;
+    if (!icao || !flight.landing_time) return;
+    if (!groups.has(icao)) groups.set(icao, []);
+    groups.get(icao).push(flight);
+  });
+  groups.forEach(legs => legs.sort((a, b) => (
+    getDepartureTime(a) - getDepartureTime(b) || a.landing_time - b.landing_time
+  )));
+  return groups;
+};
+
+const uniqueValues = (legs, key) => Array.from(new Set(
+  legs.map(leg => (leg[key] ? leg[key].trim() : '')).filter(Boolean)
+));
+
+const createTrip = (icao, legs) => {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  const airports = [first.origin || '?', ...legs.map(leg => leg.destination)];
+  return {
+    id: `${icao}-${getDepartureTime(first).getTime()}`,
+    icao,
+    registration: uniqueValues(legs, 'registration')[0] || null,
+    callsigns: uniqueValues(legs, 'callsign'),
+    legs,
+    legCount: legs.length,
+    airports,
+    route: airports.join('→'),
+    origin: first.origin,
+    destination: last.destination,
+    takeoff_time: first.takeoff_time, // Named like a leg's so trips work with the ADSBx links
+    landing_time: last.landing_time,
+    duration: first.takeoff_time ? last.landing_time - first.takeoff_time : null,
+    durationEstimated: isEstimatedLeg(first) || isEstimatedLeg(last), // Its first takeoff or last landing time is inferred
+  };
+};
+
+// Link each aircraft's consecutive legs into trips. A leg continues the
+// current trip when its origin is the previous leg's destination and it
+// departed no more than maxGroundHours after that landing. Trips are returned
+// in order of departure.
+export const buildTrips = (flights, { maxGroundHours = DEFAULT_MAX_GROUND_HOURS } = {}) => {
+  const maxGroundMs = maxGroundHours * HOUR_MS;
+  const trips = [];
+  groupLegsByAircraft(flights || []).forEach((legs, icao) => {
+    let current = [legs[0]];
+    for (let i = 1; i < legs.length; i++) {
+      const previous = current[current.length - 1];
+      const leg = legs[i];
+      const groundTime = getDepartureTime(leg) - previous.landing_time;
+      if (leg.origin && leg.origin === previous.destination && groundTime >= 0 && groundTime <= maxGroundMs) {
+        current.push(leg);
+      } else {
+        trips.push(createTrip(icao, current));
+        current = [leg];
+      }
+    }
+    trips.push(createTrip(icao, current));
+  });
+  return trips.sort((a, b) => getDepartureTime(a.legs[0]) - getDepartureTime(b.legs[0]));
+};
+
+// Callsigns compared case-insensitively, as by the flight filters
+const normalizeCallsign = (callsign) => (callsign ? callsign.trim().toLowerCase() : '');
+const toCallsignSet = (callsigns) => new Set(callsigns.map(normalizeCallsign));
+
+// Trips that stop at any of the airports (as origin or destination of any
+// leg), have a leg leaving any of the origins and one landing at any of the
+// destinations, include any of the "ORIGIN-DEST" pairs as one of their legs
+// and fly under any of the callsigns; empty lists don't filter
+export const filterTrips = (trips, { airports = [], origins = [], destinations = [], pairs = [], callsigns = [] } = {}) => {
+  if ([airports, origins, destinations, pairs, callsigns].every(values => values.length === 0)) return trips;
+  const callsignSet = toCallsignSet(callsigns);
+  return trips.filter(trip => {
+    if (airports.length > 0 && !airports.some(airport => trip.airports.includes(airport))) return false;
+    if (origins.length > 0 && !trip.legs.some(leg => origins.includes(leg.origin))) return false;
+    if (destinations.length > 0 && !trip.legs.some(leg => destinations.includes(leg.destination))) return false;
+    if (pairs.length > 0 && !trip.legs.some(leg => pairs.includes(`${leg.origin}-${leg.destination}`))) return false;
+    if (callsigns.length > 0 && !trip.callsigns.some(callsign => callsignSet.has(normalizeCallsign(callsign)))) return false;
+    return true;
+  });
+};
+
+// Counts, typical sequences and durations for the trips summary. Durations
+// only cover trips whose first takeoff time is known and whose end times
+// weren't estimated; estimatedDurationCount counts the trips left out for that.
+export const summarizeTrips = (trips) => {
+  const sequenceCounts = {};
+  let legCount = 0;
+  let multiLegTripCount = 0;
+  trips.forEach(trip => {
+    legCount += trip.legCount;
+    if (trip.legCount > 1) {
+      multiLegTripCount++;
+      sequenceCounts[trip.route] = (sequenceCounts[trip.route] || 0) + 1;
+    }
+  });
+
+  const measuredTrips = trips.filter(trip => trip.duration !== null && trip.duration >= 0);
+  const durations = measuredTrips
+    .filter(trip => !trip.durationEstimated)
+    .map(trip => trip.duration)
+    .sort((a, b) => a - b);
+
+  return {
+    tripCount: trips.length,
+    multiLegTripCount,
+    legCount,
+    averageLegs: trips.length > 0 ? legCount / trips.length : 0,
+    topSequences: Object.entries(sequenceCounts)
+      .sort(([, countA], [, countB]) => countB - countA)
+      .slice(0, 20),
+    durations: durations.length > 0
+      ? {
+        count: durations.length,
+        median: percentile(durations, 0.5),
+        mean: durations.reduce((sum, duration) => sum + duration, 0) / durations.length,
+        p90: percentile(durations, 0.9),
+        max: durations[durations.length - 1],
+      }
+      : null,
+    estimatedDurationCount: measuredTrips.length - durations.length,
+  };
+};
+
+// --- Itinerary Patterns ---
+// N-grams over each aircraft's time-ordered airport sequence, e.g. the
+// 3-gram KAEX-KBRO-MGGT. A sequence breaks where a leg doesn't depart from the
+// airport the previous one landed at (or has no origin), so every step of a
+// pattern is a recorded leg.
+
+// Sequences of stops { airport, leg }, where leg is the leg that arrived at
+// the stop (for a sequence's first stop, the leg that departed it)
+const buildAirportSequences = (flights) => {
+  const sequences = [];
+  groupLegsByAircraft(flights).forEach((legs, icao) => {
+    let stops = [];
+    legs.forEach(leg => {
+      const previous = stops[stops.length - 1];
+      if (previous && leg.origin && leg.origin === previous.airport) {
+        stops.push({ airport: leg.destination, leg });
+        return;
+      }
+      if (stops.length > 0) sequences.push({ icao, stops });
+      stops = leg.origin
+        ? [{ airport: leg.origin, leg }, { airport: leg.destination, leg }]
+        : [{ airport: leg.destination, leg }];
+    });
+    if (stops.length > 0) sequences.push({ icao, stops });
+  });
+  return sequences;
+};
+
+// Whether a pattern flies the "ORIGIN-DEST" pair (for single airports,
+// visits either end of it)
+const patternFliesPair = (airports, pair) => {
+  const [origin, destination] = pair.split('-');
+  if (airports.length === 1) return airports[0] === origin || airports[0] === destination;
+  return airports.some((code, index) => code === origin && airports[index + 1] === destination);
+};
+
+// Whether a pattern visits any of the airports and flies any of the pairs
+const matchesPatternFilters = (airports, airportFilter, pairFilter) => {
+  if (airportFilter.length > 0 && !airportFilter.some(airport => airports.includes(airport))) return false;
+  if (pairFilter.length > 0 && !pairFilter.some(pair => patternFliesPair(airports, pair))) return false;
+  return true;
+};
+
+// The `limit` most common n-grams of `length` airports, as
+// { key, airports, count, aircraftCount, legs }. `legs` are the legs that
+// make up the pattern's occurrences (for single airports, the legs arriving
+// there, or leaving it at the start of a sequence), in landing order. airports / pairs keep only patterns that include one of them.
+export const countItineraryPatterns = (flights, { length = 2, limit = 20, airports = [], pairs = [] } = {}) => {
+  const patterns = new Map();
+  buildAirportSequences(flights || []).forEach(({ icao, stops }) => {
+    for (let i = 0; i + length <= stops.length; i++) {
+      const window = stops.slice(i, i + length);
+      const airports = window.map(stop => stop.airport);
+      const key = airports.join('-');
+      let pattern = patterns.get(key);
+      if (!pattern) {
+        pattern = { key, airports, count: 0, icaos: new Set(), legs: new Set() };
+        patterns.set(key, pattern);
+      }
+      pattern.count++;
+      pattern.icaos.add(icao);
+      (length === 1 ? window : window.slice(1)).forEach(stop => pattern.legs.add(stop.leg));
+    }
+  });
+
+  return Array.from(patterns.values())
+    .filter(pattern => matchesPatternFilters(pattern.airports, airports, pairs))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+    .slice(0, limit)
+    .map(({ icaos, legs, ...pattern }) => ({
+      ...pattern,
+      aircraftCount: icaos.size,
+      legs: Array.from(legs).sort((a, b) => a.landing_time - b.landing_time),
+    }));
+};
+
+// The pattern that visits `airports` in this order (see countItineraryPatterns),
+// or null if it wasn't flown or doesn't match the airports / pairs filters
+export const findItineraryPattern = (flights, airports, { airports: airportFilter = [], pairs = [] } = {}) => {
+  if (!airports || airports.length === 0) return null;
+  return countItineraryPatterns(flights, { length: airports.length, limit: Infinity, airports: airportFilter, pairs })
+    .find(pattern => pattern.airports.every((airport, index) => airport === airports[index])) || null;
+};
+
+// Rows in the notebook's origin,destination,count CSV format. Longer patterns
+// list their intermediate stops in `via`; single airports are airport,count.
+export const patternsToExportRows = (patterns) => patterns.map(({ airports, count }) => {
+  if (airports.length === 1) return { airport: airports[0], count };
+  const row = { origin: airports[0] };
+  if (airports.length > 2) row.via = airports.slice(1, -1).join('-');
+  row.destination = airports[airports.length - 1];
+  row.count = count;
+  return row;
+});
+
+// --- Ground Time ---
+// A stay is the time an aircraft spent at an airport between landing there
+// and its next takeoff from the same airport. Stays are only counted when the
+// next leg departs from where the previous one landed and its takeoff time is
+// known. Stays next to an estimated leg are left out, since one of their ends
+// would be an inferred time.
+
+const MINUTE_MS = 60 * 1000;
+const MIN_STAYS_FOR_OUTLIERS = 8; // Fewer stays at an airport aren't enough to call one unusual
+
+// Histogram bins for stay durations: [label, upper bound in ms]
+export const STAY_DURATION_BINS = [
+  ['< 30m', 30 * MINUTE_MS],
+  ['30m–1h', HOUR_MS],
+  ['1–2h', 2 * HOUR_MS],
+  ['2–4h', 4 * HOUR_MS],
+  ['4–8h', 8 * HOUR_MS],
+  ['8–12h', 12 * HOUR_MS],
+  ['12–24h', 24 * HOUR_MS],
+  ['1–2d', 48 * HOUR_MS],
+  ['2–7d', 7 * 24 * HOUR_MS],
+  ['> 7d', Infinity],
+];
+
+// Stay durations outside Tukey's fences on a log scale, since turnaround
+// times are heavily skewed. The fences are at least half the first quartile
+// and twice the third, so airports with very regular turnarounds don't flag
+// every small deviation. Returns null when there are too few stays.
+const getStayFences = (durations) => {
+  if (durations.length < MIN_STAYS_FOR_OUTLIERS) return null;
+  const logs = durations.map(duration => Math.log(Math.max(duration, MINUTE_MS))).sort((a, b) => a - b);
+  const q1 = percentile(logs, 0.25);
+  const q3 = percentile(logs, 0.75);
+  const spread = Math.max(1.5 * (q3 - q1), Math.LN2);
+  return { short: Math.exp(q1 - spread), long: Math.exp(q3 + spread) };
+};
+
+// Every stay in the flights, in arrival order. Each is flagged `unusual`
+// ('short', 'long' or null) against the other stays at the same airport, and
+// `overnight` when it spans a local midnight at the airport, whatever zone
+// the app displays times in. airportTimeZones maps airport codes to zones
+// (see getAirportTimeZones); airports without one use UTC.
+export const buildStays = (flights, airportTimeZones = {}) => {
+  const stays = [];
+  groupLegsByAircraft(flights || []).forEach((legs, icao) => {
+    for (let i = 1; i < legs.length; i++) {
+      const arriving = legs[i - 1];
+      const departing = legs[i];
+      if (!departing.takeoff_time || departing.origin !== arriving.destination) continue;
+      if (isEstimatedLeg(arriving) || isEstimatedLeg(departing)) continue;
+      const duration = departing.takeoff_time - arriving.landing_time;
+      if (duration < 0) continue; // Overlapping legs, not a stay
+      const zone = airportTimeZones?.[arriving.destination] || 'UTC';
+      stays.push({
+        id: `${icao}-${arriving.landing_time.getTime()}`,
+        icao,
+        airport: arriving.destination,
+        registration: arriving.registration || departing.registration || null,
+        callsign: arriving.callsign || departing.callsign || null,
+        arrivedFrom: arriving.origin || null,
+        departedTo: departing.destination,
+        arrival_time: arriving.landing_time,
+        departure_time: departing.takeoff_time,
+        duration,
+        overnight: getDateKey(arriving.landing_time, zone) !== getDateKey(departing.takeoff_time, zone),
+        unusual: null,
+      });
+    }
+  });
+
+  const durationsByAirport = new Map();
+  stays.forEach(stay => {
+    if (!durationsByAirport.has(stay.airport)) durationsByAirport.set(stay.airport, []);
+    durationsByAirport.get(stay.airport).push(stay.duration);
+  });
+  const fencesByAirport = new Map();
+  durationsByAirport.forEach((durations, airport) => fencesByAirport.set(airport, getStayFences(durations)));
+  stays.forEach(stay => {
+    const fences = fencesByAirport.get(stay.airport);
+    if (!fences) return;
+    if (stay.duration < fences.short) stay.unusual = 'short';
+    else if (stay.duration > fences.long) stay.unusual = 'long';
+  });
+
+  return stays.sort((a, b) => a.arrival_time - b.arrival_time);
+};
+
+// Stays at any of the airports and destinations, after a leg from any of the
+// origins, at the end of any of the "ORIGIN-DEST" pairs after flying it, and
+// under any of the callsigns; empty lists don't filter
+export const filterStays = (stays, { airports = [], origins = [], destinations = [], pairs = [], callsigns = [] } = {}) => {
+  if ([airports, origins, destinations, pairs, callsigns].every(values => values.length === 0)) return stays;
+  const callsignSet = toCallsignSet(callsigns);
+  return stays.filter(stay => {
+    if (airports.length > 0 && !airports.includes(stay.airport)) return false;
+    if (origins.length > 0 && !origins.includes(stay.arrivedFrom)) return false;
+    if (destinations.length > 0 && !destinations.includes(stay.airport)) return false;
+    if (pairs.length > 0 && !pairs.includes(`${stay.arrivedFrom}-${stay.airport}`)) return false;
+    if (callsigns.length > 0 && !callsignSet.has(normalizeCallsign(stay.callsign))) return false;
+    return true;
+  });
+};
+
+// Percentiles and a duration histogram (counts per STAY_DURATION_BINS)
+export const summarizeStays = (stays) => {
+  const durations = stays.map(stay => stay.duration).sort((a, b) => a - b);
+  const histogram = STAY_DURATION_BINS.map(() => 0);
+  durations.forEach(duration => {
+    histogram[STAY_DURATION_BINS.findIndex(([, upperBound]) => duration < upperBound)]++;
+  });
+  const hasStays = durations.length > 0;
+  return {
+    count: durations.length,
+    overnightCount: stays.filter(stay => stay.overnight).length,
+    unusualCount: stays.filter(stay => stay.unusual).length,
+    mean: hasStays ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : null,
+    p10: hasStays ? percentile(durations, 0.1) : null,
+    p25: hasStays ? percentile(durations, 0.25) : null,
+    median: hasStays ? percentile(durations, 0.5) : null,
+    p75: hasStays ? percentile(durations, 0.75) : null,
+    p90: hasStays ? percentile(durations, 0.9) : null,
+    histogram,
+  };
+};
+
+// Per-airport stay counts, median and share of overnight stays, busiest first
+export const summarizeStaysByAirport = (stays) => {
+  const byAirport = new Map();
+  stays.forEach(stay => {
+    if (!byAirport.has(stay.airport)) byAirport.set(stay.airport, []);
+    byAirport.get(stay.airport).push(stay);
+  });
+  return Array.from(byAirport.entries())
+    .map(([airport, airportStays]) => {
+      const durations = airportStays.map(stay => stay.duration).sort((a, b) => a - b);
+      return {
+        airport,
+        count: airportStays.length,
+        median: percentile(durations, 0.5),
+        p90: percentile(durations, 0.9),
+        overnightCount: airportStays.filter(stay => stay.overnight).length,
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.airport.localeCompare(b.airport));
+};
@@ -0,0 +1,190 @@
+import { buildTrips, filterTrips, summarizeTrips, countItineraryPatterns, findItineraryPattern, buildStays } from './tripUtils';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A leg taking off `hour` hours after midnight UTC on May 1 and flying `hours` hours
+const leg = (icao, origin, destination, hour, { hours = 1, estimated = false } = {}) => {
+  const takeoff = new Date(Date.UTC(2025, 4, 1) + hour * HOUR_MS);
+  return {
+    icao,
+    origin,
+    destination,
+    takeoff_time: takeoff,
+    landing_time: new Date(takeoff.getTime() + hours * HOUR_MS),
+    registration: 'N1',
+    callsign: 'TEST1',
+    estimated,
+  };
+};
+
+describe('buildTrips', () => {
+  test('chains legs that continue from the previous destination within the ground time', () => {
+    const trips = buildTrips([
+      leg('abc123', 'KBRO', 'MGGT', 3),
+      leg('abc123', 'KAEX', 'KBRO', 0),
+      leg('abc123', 'MGGT', 'KBRO', 6),
+      leg('abc123', 'KBRO', 'KAEX', 30), // 23 hours on the ground
+      leg('def456', 'KAEX', 'KELP', 1),
+    ]);
+
+    expect(trips.map(trip => `${trip.icao}:${trip.route}`)).toEqual([
+      'abc123:KAEX→KBRO→MGGT→KBRO',
+      'def456:KAEX→KELP',
+      'abc123:KBRO→KAEX',
+    ]);
+    expect(trips[0].legCount).toBe(3);
+    expect(trips[0].duration).toBe(7 * HOUR_MS);
+  });
+
+  test('starts a new trip where a leg departs from another airport', () => {
+    const trips = buildTrips([
+      leg('abc123', 'KAEX', 'KBRO', 0),
+      leg('abc123', 'KELP', 'KAEX', 3),
+    ]);
+
+    expect(trips.map(trip => trip.route)).toEqual(['KAEX→KBRO', 'KELP→KAEX']);
+  });
+
+  test('honors maxGroundHours', () => {
+    const flights = [leg('abc123', 'KAEX', 'KBRO', 0), leg('abc123', 'KBRO', 'KAEX', 5)];
+
+    expect(buildTrips(flights, { maxGroundHours: 2 })).toHaveLength(2);
+    expect(buildTrips(flights, { maxGroundHours: 6 })).toHaveLength(1);
+  });
+});
+
+describe('filterTrips', () => {
+  const trips = buildTrips([
+    leg('abc123', 'KAEX', 'KBRO', 0),
+    leg('abc123', 'KBRO', 'MGGT', 3),
+    leg('def456', 'MGGT', 'KAEX', 1),
+  ]);
+  const routes = (selections) => filterTrips(trips, selections).map(trip => trip.route);
+
+  test('keeps trips with a leg from any of the origins and one to any of the destinations', () => {
+    expect(routes({ origins: ['KBRO'] })).toEqual(['KAEX→KBRO→MGGT']);
+    expect(routes({ destinations: ['KAEX', 'KELP'] })).toEqual(['MGGT→KAEX']);
+    expect(routes({ origins: ['KAEX'], destinations: ['MGGT'] })).toEqual(['KAEX→KBRO→MGGT']);
+    expect(routes({ origins: ['MGGT'], destinations: ['MGGT'] })).toEqual([]);
+  });
+});
+
+describe('summarizeTrips', () => {
+  test('leaves trips with an estimated first or last time out of the durations', () => {
+    const trips = buildTrips([
+      leg('abc123', 'KAEX', 'KBRO', 0),
+      leg('abc123', 'KBRO', 'KAEX', 2),
+      leg('def456', 'KAEX', 'KELP', 0, { hours: 2, estimated: true }),
+      leg('ghi789', 'KAEX', 'KIWA', 0, { hours: 3 }),
+    ]);
+    const summary = summarizeTrips(trips);
+
+    expect(summary.tripCount).toBe(3);
+    expect(summary.multiLegTripCount).toBe(1);
+    expect(summary.legCount).toBe(4);
+    expect(summary.topSequences).toEqual([['KAEX→KBRO→KAEX', 1]]);
+    expect(summary.durations.count).toBe(2);
+    expect(summary.durations.max).toBe(3 * HOUR_MS);
+    expect(summary.estimatedDurationCount).toBe(1);
+  });
+});
+
+describe('countItineraryPatterns', () => {
+  const flights = [
+    leg('abc123', 'KAEX', 'KBRO', 0),
+    leg('abc123', 'KBRO', 'KAEX', 3),
+    leg('abc123', 'KAEX', 'KBRO', 6),
+    leg('def456', 'KAEX', 'KBRO', 0),
+    leg('def456', 'KELP', 'KAEX', 5), // Doesn't continue from KBRO
+  ];
+
+  test('counts airport n-grams along each aircraft route', () => {
+    const patterns = countItineraryPatterns(flights, { length: 2 });
+
+    expect(patterns.map(({ key, count, aircraftCount }) => [key, count, aircraftCount])).toEqual([
+      ['KAEX-KBRO', 3, 2],
+      ['KBRO-KAEX', 1, 1],
+      ['KELP-KAEX', 1, 1],
+    ]);
+    expect(patterns[0].legs).toHaveLength(3);
+  });
+
+  test('counts longer patterns and filters by airports and pairs', () => {
+    expect(countItineraryPatterns(flights, { length: 3 }).map(pattern => pattern.key))
+      .toEqual(['KAEX-KBRO-KAEX', 'KBRO-KAEX-KBRO']);
+    expect(countItineraryPatterns(flights, { length: 2, airports: ['KELP'] }).map(pattern => pattern.key))
+      .toEqual(['KELP-KAEX']);
+    expect(countItineraryPatterns(flights, { length: 3, pairs: ['KAEX-KBRO'] }).map(pattern => pattern.key))
+      .toEqual(['KAEX-KBRO-KAEX', 'KBRO-KAEX-KBRO']);
+  });
+
+  test('limits the number of patterns', () => {
+    expect(countItineraryPatterns(flights, { length: 2, limit: 1 })).toHaveLength(1);
+  });
+
+  test('finds a pattern by its airports', () => {
+    expect(findItineraryPattern(flights, ['KBRO', 'KAEX', 'KBRO']).count).toBe(1);
+    expect(findItineraryPattern(flights, ['KBRO', 'KELP'])).toBeNull();
+    expect(findItineraryPattern(flights, ['KELP', 'KAEX'], { airports: ['KBRO'] })).toBeNull();
+  });
+});
+
+describe('buildStays', () => {
+
+  test('measures the time on the ground between legs', () => {
+    const stays = buildStays([
+      leg('abc123', 'KAEX', 'KBRO', 0),
+      leg('abc123', 'KBRO', 'KAEX', 3),
+      leg('abc123', 'KAEX', 'KELP', 26),
+      leg('abc123', 'KIWA', 'KAEX', 30), // Doesn't depart from KELP
+    ]);
+
+    expect(stays.map(({ airport, duration, overnight, arrivedFrom, departedTo }) => (
+      { airport, hours: duration / HOUR_MS, overnight, arrivedFrom, departedTo }
+    ))).toEqual([
+      { airport: 'KBRO', hours: 2, overnight: false, arrivedFrom: 'KAEX', departedTo: 'KAEX' },
+      { airport: 'KAEX', hours: 22, overnight: true, arrivedFrom: 'KBRO', departedTo: 'KELP' },
+    ]);
+  });
+
+  test("decides overnight stays in the airport's own time zone", () => {
+    const flights = [
+      leg('abc123', 'KBRO', 'KAEX', 21), // Lands 22:00 UTC, 17:00 CDT
+      leg('abc123', 'KAEX', 'KBRO', 25), // Takes off 01:00 UTC, 20:00 CDT
+      leg('abc123', 'KBRO', 'KAEX', 28), // Lands 05:00 UTC, 00:00 CDT
+      leg('abc123', 'KAEX', 'KBRO', 31), // Takes off 07:00 UTC, 02:00 CDT
+      leg('abc123', 'KBRO', 'KAEX', 45), // Lands 22:00 UTC, 17:00 CDT
+      leg('abc123', 'KAEX', 'KBRO', 59), // Takes off 11:00 UTC, 06:00 CDT
+    ];
+    const overnight = (zones) => buildStays(flights, zones)
+      .filter(stay => stay.airport === 'KAEX')
+      .map(stay => stay.overnight);
+
+    expect(overnight({ KAEX: 'America/Chicago' })).toEqual([false, false, true]);
+    expect(overnight({})).toEqual([true, false, true]); // No zone, so UTC
+  });
+
+  test('leaves out stays next to an estimated leg', () => {
+    const stays = buildStays([
+      leg('abc123', 'KAEX', 'KBRO', 0, { hours: 2, estimated: true }),
+      leg('abc123', 'KBRO', 'KELP', 3),
+      leg('abc123', 'KELP', 'KAEX', 6),
+      leg('abc123', 'KAEX', 'KIWA', 9, { hours: 2, estimated: true }),
+    ]);
+
+    expect(stays.map(stay => stay.airport)).toEqual(['KELP']);
+  });
+
+  test('flags unusual stays against the others at the airport', () => {
+    const flights = [];
+    for (let day = 0; day < 10; day++) {
+      const groundHours = day === 9 ? 20 : 1;
+      flights.push(leg('abc123', 'KAEX', 'KBRO', day * 48));
+      flights.push(leg('abc123', 'KBRO', 'KAEX', day * 48 + 1 + groundHours));
+    }
+    const kbro = buildStays(flights).filter(stay => stay.airport === 'KBRO');
+
+    expect(kbro).toHaveLength(10);
+    expect(kbro.filter(stay => stay.unusual).map(stay => [stay.duration / HOUR_MS, stay.unusual])).toEqual([[20, 'long']]);
+  });
+});
@@ -0,0 +1,191 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// --- Data Worker Client ---
+// Wraps dataWorker.js in promise-based tasks. Cancelling a task only drops
+// its result, so the worker and the dataset it holds stay in place;
+// terminate() stops the worker outright (a fresh one is started, and the
+// dataset re-sent, on the next run).
+
+let nextTaskId = 1;
+
+const createCancelledError = () => {
+  const error = new Error('Operation cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+export const isCancelledError = (error) => Boolean(error && error.cancelled);
+
+// Aggregation filters as sent to the worker: the time basis leaves out its
+// airport time zone table, which the worker already holds (see setDataset)
+export const toWorkerFilters = (filters) => (
+  filters.timeBasis ? { ...filters, timeBasis: { timeZone: filters.timeBasis.timeZone } } : filters
+);
+
+export const createDataWorker = () => {
+  let worker = null;
+  let dataset = {}; // Data kept in the worker for later tasks, re-sent if the worker is restarted
+  let sentDataset = {}; // The values the running worker holds
+  const pendingTasks = new Map(); // id -> { resolve, reject, onProgress }
+
+  const rejectAll = (error) => {
+    pendingTasks.forEach(task => task.reject(error));
+    pendingTasks.clear();
+  };
+
+  const terminate = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    rejectAll(createCancelledError());
+  };
+
+  const handleMessage = (event) => {
+    const { type, id } = event.data;
+    const task = pendingTasks.get(id);
+    if (!task) return; // Response for a task that was already cancelled
+
+    if (type === 'progress') {
+      if (task.onProgress) task.onProgress(event.data.progress);
+      return;
+    }
+    pendingTasks.delete(id);
+    if (type === 'result') {
+      task.resolve(event.data.result);
+    } else {
+      task.reject(new Error(event.data.message));
+    }
+  };
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL('./dataWorker.js', import.meta.url));
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        console.error("Data worker error:", event.message);
+        rejectAll(new Error(event.message || 'Data worker failed'));
+        worker.terminate();
+        worker = null;
+      };
+      sentDataset = {};
+    }
+    // Send only the values the worker doesn't have yet
+    const changes = {};
+    Object.keys(dataset).forEach(key => {
+      if (dataset[key] !== sentDataset[key]) changes[key] = dataset[key];
+    });
+    if (Object.keys(changes).length > 0) {
+      worker.postMessage({ type: 'setDataset', dataset: changes });
+      sentDataset = { ...dataset };
+    }
+    return worker;
+  };
+
+  return {
+    // Set the data later tasks work on: { flights, airportTimeZones }
+    setDataset(values) {
+      dataset = { ...dataset, ...values };
+      if (worker) getWorker(); // Send now if a worker is already running
+    },
+
+    // Start a task; returns { promise, cancel }
+    run(type, payload, onProgress) {
+      const id = nextTaskId++;
+      const promise = new Promise((resolve, reject) => {
+        pendingTasks.set(id, { resolve, reject, onProgress });
+      });
+      getWorker().postMessage({ type, id, ...payload });
+      const cancel = () => {
+        const task = pendingTasks.get(id);
+        if (!task) return;
+        pendingTasks.delete(id); // The worker finishes it, but the result is dropped
+        task.reject(createCancelledError());
+      };
+      return { promise, cancel };
+    },
+
+    terminate,
+  };
+};
+
+// Run named worker requests ({ name: { type, ...payload } }) against `dataset`
+// in one shared worker. Each name has at most one request in the worker at a
+// time: a newer request waits for it, and the older result is dropped, so a
+// burst of filter changes doesn't queue a full pass for each. Keeps previous
+// results while new ones are computed; results[name] is { data, request },
+// `request` telling which request the data belongs to.
+export const useAggregationWorker = (dataset, requests) => {
+  const clientRef = useRef(null);
+  if (!clientRef.current) {
+    clientRef.current = createDataWorker();
+  }
+  const channelsRef = useRef({}); // name -> { latest: { request, dataset, runCount }, running }
+  const [results, setResults] = useState({});
+  const [pending, setPending] = useState({}); // name -> whether its latest request is unanswered
+  const [runCount, setRunCount] = useState(0); // Bumped by retry() to re-run after a cancel
+
+  useEffect(() => {
+    const client = clientRef.current;
+    return () => client.terminate();
+  }, []);
+
+  // Send a channel's latest request; once it's answered, send whatever
+  // request replaced it meanwhile
+  const send = useCallback((name) => {
+    const channel = channelsRef.current[name];
+    const token = channel.latest;
+    const { type, ...payload } = token.request;
+    channel.running = true;
+
+    clientRef.current.run(type, payload).promise
+      .then(data => {
+        if (channel.latest === token) {
+          setResults(prev => ({ ...prev, [name]: { data, request: token.request } }));
+        }
+        return true;
+      }, err => {
+        if (isCancelledError(err)) return false; // Worker stopped by cancel()
+        console.error("Aggregation Error:", err);
+        return true;
+      })
+      .then(answered => {
+        channel.running = false;
+        if (channel.latest && channel.latest !== token) {
+          send(name);
+        } else if (answered) {
+          setPending(prev => ({ ...prev, [name]: false }));
+        }
+      });
+  }, []);
+
+  useEffect(() => {
+    const channels = channelsRef.current;
+    if (!dataset.flights) {
+      Object.values(channels).forEach(channel => { channel.latest = null; });
+      setResults({});
+      setPending({});
+      return;
+    }
+
+    clientRef.current.setDataset(dataset);
+    Object.entries(requests).forEach(([name, request]) => {
+      const channel = channels[name] || (channels[name] = { latest: null, running: false });
+      const { latest } = channel;
+      if (latest && latest.request === request && latest.dataset === dataset && latest.runCount === runCount) return;
+      channel.latest = { request, dataset, runCount };
+      setPending(prev => ({ ...prev, [name]: true }));
+      if (!channel.running) send(name);
+    });
+  }, [dataset, requests, runCount, send]);
+
+  const cancel = useCallback(() => {
+    clientRef.current.terminate();
+    setPending({});
+  }, []);
+
+  const retry = useCallback(() => setRunCount(count => count + 1), []);
+
+  const isPending = Object.values(pending).some(Boolean);
+  return { results, isPending, cancel, retry };
+};